@@ -18,8 +18,9 @@ async function processDir(dir) {
 
             let content = await fs.readFile(fullEntry, "utf-8");
             if (!content.includes(".mjs")) {
-                content = content.replace(/import(.*)\"\.(.*)\";/g, 'import$1".$2.mjs";');
-                content = content.replace(/export(.*)\"\.(.*)\";/g, 'export$1".$2.mjs";');
+                content = content.replace(/^import(.*)\"\.(.*)\";/gm, 'import$1".$2.mjs";');
+                content = content.replace(/^export(.*)\"\.(.*)\";/gm, 'export$1".$2.mjs";');
+                content = content.replace(/import\(\"\.(.*)\"\)/g, 'import(".$1.mjs")');
 
                 const sourceMapUrlRegexp = new RegExp("//# sourceMappingURL=data:application/json;base64,(.*)");
                 content = content.replace(sourceMapUrlRegexp, "");
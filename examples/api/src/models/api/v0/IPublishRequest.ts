@@ -20,7 +20,7 @@ export interface IPublishRequest {
     seed: string;
 
     /**
-     * What is the index we are publishing at.
+     * The position we are publishing at, the number of messages published before it on the channel.
      */
     index?: number;
 
@@ -7,7 +7,7 @@ export interface IPublishResponse extends IResponse {
     publishedRoot?: string;
 
     /**
-     * The next index to publish the next message.
+     * The position to publish the next message at, pass it as the index of the next publish.
      */
     nextIndex?: number;
 }
@@ -1,4 +1,4 @@
-import { createChannel, createMessage, mamAttach, TrytesHelper } from "@iota/mam.js";
+import { createChannel, createMessage, mamAttach, seekChannel, TrytesHelper } from "@iota/mam.js";
 import { IPublishRequest } from "../../models/api/v0/IPublishRequest";
 import { IPublishResponse } from "../../models/api/v0/IPublishResponse";
 import { IConfiguration } from "../../models/configuration/IConfiguration";
@@ -52,7 +52,7 @@ export async function publish(config: IConfiguration, request: IPublishRequest):
     const channelState = createChannel(request.seed, 2, request.mode, request.key);
 
     if (request.index !== undefined && request.index !== null) {
-        channelState.start = request.index;
+        seekChannel(channelState, request.index);
     }
 
     let data: string;
@@ -69,7 +69,7 @@ export async function publish(config: IConfiguration, request: IPublishRequest):
     await mamAttach(node, mamMessage, request.tag);
 
     return {
-        nextIndex: channelState.start,
+        nextIndex: channelState.start + channelState.index,
         publishedRoot: mamMessage.root
     };
 }
@@ -1,28 +1,26 @@
-const { createChannel, channelRoot, mamFetchAll, TrytesHelper } = require('@iota/mam.js');
+const { createChannel, channelRoot, importChannelState, mamListen, TrytesHelper } = require('@iota/mam.js');
 const fs = require('fs');
 
 async function run(root, mode, sideKey, interval) {
     const node = "https://chrysalis-nodes.iota.org";
 
-    setInterval(async () => {
-        console.log('Fetching from tangle, please wait...');
-        const fetched = await mamFetchAll(node, root, mode, sideKey);
-        if (fetched && fetched.length > 0) {
-            for (let i = 0; i < fetched.length; i++) {
-                console.log('Fetched', TrytesHelper.toAscii(fetched[i].message));
-            }
-            root = fetched[fetched.length - 1].nextRoot;
-        } else {
-            console.log('Nothing was fetched from the MAM channel');
-        }
-    }, interval);
+    // The subscription polls the channel and advances the root itself,
+    // backing off when there are no new messages.
+    const subscription = mamListen(node, root, mode, sideKey, { interval });
+
+    subscription.on('error', (err) => console.error('Fetching failed', err.message));
+
+    console.log('Listening to the tangle, please wait...');
+    for await (const fetched of subscription) {
+        console.log('Fetched', TrytesHelper.toAscii(fetched.message));
+    }
 }
 
 // Try and load the channel state from json file
 try {
     const currentState = fs.readFileSync('../simple/channelState.json');
     if (currentState) {
-        channelState = JSON.parse(currentState.toString());
+        const channelState = importChannelState(currentState.toString());
 
         // To start reading from the beginning of the channel clone the channel details
         let root = channelRoot(createChannel(channelState.seed, channelState.security, channelState.mode, channelState.sideKey));
@@ -30,7 +28,7 @@ try {
         // let root = channelRoot(channelState);
 
         run(root, channelState.mode, channelState.sideKey, 5000)
-            .then(() => console.log("Running in background"))
+            .then(() => console.log("Stopped listening"))
             .catch((err) => console.error(err));
     } else {
         throw new Error("The simple example has not been run so there is no channel to listen to");
@@ -1,4 +1,4 @@
-const { createChannel, createMessage, parseMessage, mamAttach, mamFetch, TrytesHelper } = require('@iota/mam.js');
+const { createChannel, createMessage, exportChannelState, importChannelState, parseMessage, mamAttach, mamFetch, TrytesHelper } = require('@iota/mam.js');
 const crypto = require('crypto');
 const fs = require('fs');
 
@@ -8,13 +8,11 @@ async function run(payload) {
     const sideKey = 'MYKEY';
     let channelState;
 
-    // Try and load the channel state from json file
-    try {
-        const currentState = fs.readFileSync('./channelState.json');
-        if (currentState) {
-            channelState = JSON.parse(currentState.toString());
-        }
-    } catch (e) { }
+    // Try and load the channel state from json file,
+    // importing will throw if the file has been corrupted.
+    if (fs.existsSync('./channelState.json')) {
+        channelState = importChannelState(fs.readFileSync('./channelState.json').toString());
+    }
 
     // If we couldn't load the details then create a new channel.
     if (!channelState) {
@@ -40,7 +38,7 @@ async function run(payload) {
 
     // Store the channel state.
     try {
-        fs.writeFileSync('./channelState.json', JSON.stringify(channelState, undefined, "\t"));
+        fs.writeFileSync('./channelState.json', exportChannelState(channelState));
     } catch (e) {
         console.error(e)
     }
@@ -5,9 +5,13 @@ module.exports = {
     "transform": {
         "^.+\\.ts$": "ts-jest"
     },
+    "moduleNameMapper": {
+        "^\\./workerModuleUrl$": "<rootDir>/test/workers/workerModuleUrl.js"
+    },
     "collectCoverage": true,
     "collectCoverageFrom": [
-        '<rootDir>/src/**/*.ts'
+        '<rootDir>/src/**/*.ts',
+        '!<rootDir>/src/workers/workerModuleUrl.ts'
     ],
     "testEnvironment": "node"
 }
\ No newline at end of file
@@ -13,16 +13,22 @@ if (process.env.MINIFY) {
     plugins.push(terser());
 }
 
-export default {
+const configs = [{
     input: `./es/index${process.env.BROWSER ? '-browser' : '-node'}.js`,
     output: {
         file: `dist/cjs/index${process.env.BROWSER ? '-browser' : '-node'}${process.env.MINIFY ? '.min' : ''}.js`,
         format: 'umd',
         name: 'Mam',
         compact: process.env.MINIFY,
+        inlineDynamicImports: true,
         globals: {
             "big-integer": "bigInt",
             "crypto": "crypto",
+            "fs": "fs",
+            "module": "module",
+            "os": "os",
+            "path": "path",
+            "worker_threads": "worker_threads",
             '@iota/crypto.js': 'IotaCrypto',
             '@iota/iota.js': 'Iota',
             '@iota/util.js': 'IotaUtil'
@@ -31,5 +37,20 @@ export default {
     plugins,
     external: process.env.BROWSER
         ? ['@iota/crypto.js', '@iota/iota.js', '@iota/util.js', 'big-integer', 'crypto']
-        : ['@iota/crypto.js', '@iota/iota.js', '@iota/util.js', 'big-integer', 'crypto']
-}
\ No newline at end of file
+        : ['@iota/crypto.js', '@iota/iota.js', '@iota/util.js', 'big-integer', 'crypto', 'fs', 'module', 'os', 'path', 'worker_threads']
+}];
+
+// The entry script for the NodeWorker thread, exported as @iota/mam.js/worker
+if (!process.env.BROWSER && !process.env.MINIFY) {
+    configs.push({
+        input: './es/workers/nodeWorkerThread.js',
+        output: {
+            file: 'dist/cjs/nodeWorkerThread.js',
+            format: 'cjs'
+        },
+        plugins,
+        external: ['@iota/crypto.js', '@iota/iota.js', '@iota/util.js', 'big-integer', 'crypto', 'worker_threads']
+    });
+}
+
+export default configs;
\ No newline at end of file
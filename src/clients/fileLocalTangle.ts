@@ -0,0 +1,51 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { promises as fs } from "fs";
+import type { ILocalTangleState } from "../models/ILocalTangleState";
+import { LocalTangle } from "./localTangle";
+
+/**
+ * Local tangle which persists its messages to a JSON file, only available in Node.
+ */
+export class FileLocalTangle extends LocalTangle {
+    /**
+     * The filename to persist the state to.
+     * @internal
+     */
+    private readonly _filename: string;
+
+    /**
+     * Create a new instance of FileLocalTangle.
+     * @param filename The filename to persist the state to.
+     * @param state The initial state for the tangle.
+     */
+    constructor(filename: string, state?: ILocalTangleState) {
+        super(state);
+        this._filename = filename;
+    }
+
+    /**
+     * Load the tangle from a file, if the file does not exist the tangle will be empty.
+     * @param filename The filename to load the state from and persist it to.
+     * @returns The local tangle.
+     */
+    public static async load(filename: string): Promise<FileLocalTangle> {
+        let state: ILocalTangleState | undefined;
+        try {
+            const content = await fs.readFile(filename);
+            state = JSON.parse(content.toString()) as ILocalTangleState;
+        } catch (err) {
+            if ((err as { code?: string }).code !== "ENOENT") {
+                throw err;
+            }
+        }
+        return new FileLocalTangle(filename, state);
+    }
+
+    /**
+     * Called when the state has changed.
+     */
+    protected async onChange(): Promise<void> {
+        await fs.writeFile(this._filename, JSON.stringify(this._state, undefined, "\t"), "utf8");
+    }
+}
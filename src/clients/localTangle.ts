@@ -0,0 +1,186 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Blake2b } from "@iota/crypto.js";
+import { ClientError, IMessage, IMessagesResponse, INDEXATION_PAYLOAD_TYPE } from "@iota/iota.js";
+import { Converter } from "@iota/util.js";
+import type { ILocalTangleState } from "../models/ILocalTangleState";
+import type { MamClient } from "../models/mamClient";
+import { IndexationTransport } from "../transport/indexationTransport";
+
+/**
+ * Client which stores messages in memory instead of on a node, for use in tests and offline development.
+ */
+export class LocalTangle implements MamClient {
+    /**
+     * The maximum number of message ids returned by a find, matches the node limit.
+     * @internal
+     */
+    private static readonly MAX_RESULTS: number = 1000;
+
+    /**
+     * The state of the tangle.
+     * @internal
+     */
+    protected readonly _state: ILocalTangleState;
+
+    /**
+     * The ids of the messages stored or indexed, so new ids can be checked without scanning the state.
+     * @internal
+     */
+    private readonly _messageIds: Set<string>;
+
+    /**
+     * The counter used to make each message id unique.
+     * @internal
+     */
+    private _nextId: number;
+
+    /**
+     * Create a new instance of LocalTangle.
+     * @param state The initial state for the tangle.
+     */
+    constructor(state?: ILocalTangleState) {
+        this._state = {
+            messages: { ...state?.messages },
+            indexes: {}
+        };
+        if (state?.indexes) {
+            for (const index in state.indexes) {
+                this._state.indexes[index] = state.indexes[index].slice();
+            }
+        }
+        this._messageIds = new Set(Object.keys(this._state.messages));
+        for (const index in this._state.indexes) {
+            for (const messageId of this._state.indexes[index]) {
+                this._messageIds.add(messageId);
+            }
+        }
+        this._nextId = this._messageIds.size;
+    }
+
+    /**
+     * Get the state of the tangle, which can be used to create a new instance.
+     * @returns The state.
+     */
+    public getState(): ILocalTangleState {
+        return JSON.parse(JSON.stringify(this._state)) as ILocalTangleState;
+    }
+
+    /**
+     * Submit a message.
+     * @param message The message to submit.
+     * @returns The messageId.
+     */
+    public async messageSubmit(message: IMessage): Promise<string> {
+        const stored: IMessage = JSON.parse(JSON.stringify(message)) as IMessage;
+        const messageId = this.createMessageId(stored);
+
+        this._state.messages[messageId] = stored;
+        if (stored.payload?.type === INDEXATION_PAYLOAD_TYPE) {
+            this.addToIndex(stored.payload.index, messageId);
+        }
+
+        await this.onChange();
+
+        return messageId;
+    }
+
+    /**
+     * Find messages by index.
+     * @param indexationKey The index value as a byte array or UTF8 string.
+     * @returns The messageIds.
+     */
+    public async messagesFind(indexationKey: Uint8Array | string): Promise<IMessagesResponse> {
+        const index = typeof indexationKey === "string"
+            ? Converter.utf8ToHex(indexationKey)
+            : Converter.bytesToHex(indexationKey);
+        const messageIds = this._state.indexes[index] ?? [];
+
+        return {
+            index,
+            maxResults: LocalTangle.MAX_RESULTS,
+            count: messageIds.length,
+            messageIds: messageIds.slice(0, LocalTangle.MAX_RESULTS)
+        };
+    }
+
+    /**
+     * Get the message data by id.
+     * @param messageId The message to get the data for.
+     * @returns The message data.
+     */
+    public async message(messageId: string): Promise<IMessage> {
+        const message = this._state.messages[messageId];
+        if (!message) {
+            throw new ClientError(
+                `message not found: ${messageId}`, `messages/${messageId}`, 404, "404");
+        }
+        return JSON.parse(JSON.stringify(message)) as IMessage;
+    }
+
+    /**
+     * Add a message id to the MAM address which can not be retrieved.
+     * @param address The MAM address to add the missing message to.
+     * @returns The id of the missing message.
+     */
+    public async injectMissingMessage(address: string): Promise<string> {
+        const index = Converter.bytesToHex(IndexationTransport.hashIndex(address));
+        const messageId = this.createMessageId({ payload: { type: INDEXATION_PAYLOAD_TYPE, index } });
+
+        this.addToIndex(index, messageId);
+
+        await this.onChange();
+
+        return messageId;
+    }
+
+    /**
+     * Add a message to the MAM address which does not contain a valid MAM payload.
+     * @param address The MAM address to add the message to.
+     * @param data The data for the payload, defaults to bytes which will not decode.
+     * @returns The id of the message.
+     */
+    public async injectGarbage(address: string, data?: Uint8Array): Promise<string> {
+        const garbage = data ?? new Uint8Array(200).map((v, i) => (i * 37) % 256);
+
+        return this.messageSubmit({
+            payload: {
+                type: INDEXATION_PAYLOAD_TYPE,
+                index: Converter.bytesToHex(IndexationTransport.hashIndex(address)),
+                data: Converter.bytesToHex(garbage)
+            }
+        });
+    }
+
+    /**
+     * Called when the state has changed.
+     */
+    protected async onChange(): Promise<void> { }
+
+    /**
+     * Add a message id to an index.
+     * @param index The hex index.
+     * @param messageId The message id.
+     * @internal
+     */
+    private addToIndex(index: string, messageId: string): void {
+        this._state.indexes[index] = this._state.indexes[index] ?? [];
+        this._state.indexes[index].push(messageId);
+    }
+
+    /**
+     * Create a unique id for a message.
+     * @param message The message to create the id for.
+     * @returns The message id.
+     * @internal
+     */
+    private createMessageId(message: IMessage): string {
+        const content = JSON.stringify(message);
+        let messageId: string;
+        do {
+            messageId = Converter.bytesToHex(Blake2b.sum256(Converter.utf8ToBytes(`${content}${this._nextId++}`)));
+        } while (this._messageIds.has(messageId));
+        this._messageIds.add(messageId);
+        return messageId;
+    }
+}
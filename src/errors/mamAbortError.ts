@@ -0,0 +1,17 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamError } from "./mamError";
+
+/**
+ * Error thrown when creating a message is aborted by its signal.
+ */
+export class MamAbortError extends MamError {
+    /**
+     * Create a new instance of MamAbortError.
+     * @param message The message for the error.
+     */
+    constructor(message: string) {
+        super("aborted", message);
+        this.name = "MamAbortError";
+    }
+}
@@ -0,0 +1,24 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { MamErrorCode } from "../models/mamErrorCode";
+
+/**
+ * The base class for the errors thrown by MAM, use the code to identify the error.
+ */
+export class MamError extends Error {
+    /**
+     * The code for the error.
+     */
+    public readonly code: MamErrorCode;
+
+    /**
+     * Create a new instance of MamError.
+     * @param code The code for the error.
+     * @param message The message for the error.
+     */
+    constructor(code: MamErrorCode, message: string) {
+        super(message);
+        this.name = "MamError";
+        this.code = code;
+    }
+}
@@ -0,0 +1,17 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamError } from "./mamError";
+
+/**
+ * Error thrown when a payload, root or key is not valid trytes.
+ */
+export class MamInvalidTrytesError extends MamError {
+    /**
+     * Create a new instance of MamInvalidTrytesError.
+     * @param message The message for the error.
+     */
+    constructor(message: string) {
+        super("invalidTrytes", message);
+        this.name = "MamInvalidTrytesError";
+    }
+}
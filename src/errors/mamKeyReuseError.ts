@@ -0,0 +1,25 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamError } from "./mamError";
+
+/**
+ * Error thrown when a one-time key would sign a second, different message.
+ */
+export class MamKeyReuseError extends MamError {
+    /**
+     * The index of the leaf whose key has already been used, this is the start plus
+     * the index of the channel state.
+     */
+    public readonly leafIndex: number;
+
+    /**
+     * Create a new instance of MamKeyReuseError.
+     * @param leafIndex The index of the leaf whose key has already been used.
+     */
+    constructor(leafIndex: number) {
+        super("keyReuse", `The key for leaf ${leafIndex} has already signed a different message, ` +
+            "signing again would reveal enough of the key to forge messages");
+        this.name = "MamKeyReuseError";
+        this.leafIndex = leafIndex;
+    }
+}
@@ -0,0 +1,17 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamError } from "./mamError";
+
+/**
+ * Error thrown when the mode is not valid or the side key is missing or not valid for the mode.
+ */
+export class MamModeKeyError extends MamError {
+    /**
+     * Create a new instance of MamModeKeyError.
+     * @param message The message for the error.
+     */
+    constructor(message: string) {
+        super("invalidModeKey", message);
+        this.name = "MamModeKeyError";
+    }
+}
@@ -0,0 +1,18 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamError } from "./mamError";
+
+/**
+ * Error thrown when the hash of a message does not have a valid security checksum, this
+ * happens when the side key is wrong or the start of the payload has been modified.
+ */
+export class MamSecurityChecksumError extends MamError {
+    /**
+     * Create a new instance of MamSecurityChecksumError.
+     * @param message The message for the error.
+     */
+    constructor(message: string) {
+        super("invalidSecurityChecksum", message);
+        this.name = "MamSecurityChecksumError";
+    }
+}
@@ -0,0 +1,18 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamError } from "./mamError";
+
+/**
+ * Error thrown when the signature of a message does not match the root, this happens when the
+ * message was not signed by the channel or the payload has been modified.
+ */
+export class MamSignatureError extends MamError {
+    /**
+     * Create a new instance of MamSignatureError.
+     * @param message The message for the error.
+     */
+    constructor(message: string) {
+        super("signatureMismatch", message);
+        this.name = "MamSignatureError";
+    }
+}
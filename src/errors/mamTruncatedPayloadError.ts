@@ -0,0 +1,18 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamError } from "./mamError";
+
+/**
+ * Error thrown when a payload is too short for the lengths encoded in it, or the lengths are
+ * not valid.
+ */
+export class MamTruncatedPayloadError extends MamError {
+    /**
+     * Create a new instance of MamTruncatedPayloadError.
+     * @param message The message for the error.
+     */
+    constructor(message: string) {
+        super("truncatedPayload", message);
+        this.name = "MamTruncatedPayloadError";
+    }
+}
@@ -1,3 +1,5 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
 export * from "./index";
+export * from "./stores/indexedDbChannelStateStore";
+export * from "./workers/browserWorker";
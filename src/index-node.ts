@@ -1,3 +1,16 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
+import { cpus } from "os";
+import { setKeystoreCrypto } from "./keystore/keystore";
+import { NodeKeystoreCrypto } from "./keystore/nodeKeystoreCrypto";
+import { setDefaultWorker } from "./workers/defaultWorker";
+import { NodeWorker } from "./workers/nodeWorker";
+import { MamWorkerPool } from "./workers/workerPool";
+
 export * from "./index";
+export * from "./clients/fileLocalTangle";
+export * from "./stores/fileChannelStateStore";
+export * from "./workers/nodeWorker";
+
+setDefaultWorker(() => new MamWorkerPool(() => new NodeWorker(), Math.max(1, cpus().length)));
+setKeystoreCrypto(new NodeKeystoreCrypto());
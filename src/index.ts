@@ -1,11 +1,75 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
+export * from "./clients/localTangle";
+export * from "./errors/mamAbortError";
+export * from "./errors/mamError";
+export * from "./errors/mamInvalidTrytesError";
+export * from "./errors/mamKeyReuseError";
+export * from "./errors/mamModeKeyError";
+export * from "./errors/mamSecurityChecksumError";
+export * from "./errors/mamSignatureError";
+export * from "./errors/mamTruncatedPayloadError";
+export * from "./keystore/keystore";
+export * from "./ledger/memorySignedLeafLedger";
+export * from "./ledger/storageSignedLeafLedger";
 export * from "./mam/channel";
+export * from "./mam/channelState";
 export * from "./mam/client";
 export * from "./mam/parser";
+export * from "./mam/publish";
+export * from "./mam/subscription";
+export * from "./merkle/merkleTreeCache";
+export * from "./models/ILocalTangleState";
+export * from "./models/IMamChannelFetch";
+export * from "./models/IMamChannelOptions";
+export * from "./models/IMamChannelRoot";
 export * from "./models/IMamChannelState";
+export * from "./models/IMamChannelStateEnvelope";
+export * from "./models/IMamChannelStateStore";
+export * from "./models/IMamCombinedFetchResult";
+export * from "./models/IMamCreateMessageAsyncOptions";
+export * from "./models/IMamCreateMessageOptions";
+export * from "./models/IMamCreateMessageWorkerRequest";
+export * from "./models/IMamCreateMessageWorkerResponse";
+export * from "./models/IMamFailoverOptions";
 export * from "./models/IMamFetchedMessage";
+export * from "./models/IMamFetchOptions";
+export * from "./models/IMamFetchReport";
+export * from "./models/IMamGenerateAddressesWorkerRequest";
+export * from "./models/IMamGenerateAddressesWorkerResponse";
+export * from "./models/IMamKeystore";
+export * from "./models/IMamListenOptions";
+export * from "./models/IMamLockChannelOptions";
 export * from "./models/IMamMessage";
+export * from "./models/IMamParsedMessageDetails";
+export * from "./models/IMamSeekChannelOptions";
+export * from "./models/IMamSignedLeafLedger";
+export * from "./models/IMamStoredChannelState";
+export * from "./models/IMamTransport";
+export * from "./models/IMamWorker";
+export * from "./models/IMamWorkerExecuteOptions";
+export * from "./models/IMamWorkerRequest";
+export * from "./models/IMamWorkerResponse";
+export * from "./models/INonceSearchOptions";
+export * from "./models/INonceSearchProgress";
+export * from "./models/INonceSearchProvider";
+export * from "./models/ITaggedDataBlock";
+export * from "./models/ITaggedDataClient";
+export * from "./models/ITaggedDataPayload";
+export * from "./models/mamClient";
+export * from "./models/mamErrorCode";
+export * from "./models/mamFetchStatus";
+export * from "./models/mamKeystoreKdf";
 export * from "./models/mamMode";
+export * from "./pearlDiver/hammingDiver";
+export * from "./pearlDiver/int32HammingDiver";
+export * from "./stores/memoryChannelStateStore";
+export * from "./transport/failoverTransport";
+export * from "./transport/indexationTransport";
+export * from "./transport/taggedDataTransport";
 export * from "./utils/trytesHelper";
+export * from "./wasm/wasm";
+export * from "./workers/defaultWorker";
+export * from "./workers/workerHandler";
+export * from "./workers/workerPool";
 
@@ -0,0 +1,251 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Converter } from "@iota/util.js";
+import { exportChannelState, importChannelState } from "../mam/channelState";
+import type { IMamChannelState } from "../models/IMamChannelState";
+import type { IMamKeystore } from "../models/IMamKeystore";
+import type { IMamLockChannelOptions } from "../models/IMamLockChannelOptions";
+import { isObject } from "../utils/guards";
+import type { KeystoreCrypto } from "./keystoreCrypto";
+import { WebKeystoreCrypto } from "./webKeystoreCrypto";
+
+/**
+ * The version of the keystore written by lockChannel.
+ */
+export const KEYSTORE_VERSION: number = 1;
+
+/**
+ * The default number of pbkdf2 iterations.
+ * @internal
+ */
+const DEFAULT_ITERATIONS: number = 600000;
+
+/**
+ * The maximum number of pbkdf2 iterations accepted when unlocking.
+ * @internal
+ */
+const MAX_ITERATIONS: number = 100000000;
+
+/**
+ * The default scrypt cost.
+ * @internal
+ */
+const DEFAULT_COST: number = 32768;
+
+/**
+ * The maximum scrypt cost, four times the default, limiting the memory a keystore
+ * can make the derivation use to 128 * cost * blockSize = 128MB.
+ * @internal
+ */
+const MAX_COST: number = 131072;
+
+/**
+ * The scrypt block size.
+ * @internal
+ */
+const BLOCK_SIZE: number = 8;
+
+/**
+ * The scrypt parallelization.
+ * @internal
+ */
+const PARALLELIZATION: number = 1;
+
+/**
+ * The cryptography used by the keystore, the Node bundle sets this to use the crypto module.
+ * @internal
+ */
+let keystoreCrypto: KeystoreCrypto = new WebKeystoreCrypto();
+
+/**
+ * Set the cryptography used by the keystore.
+ * @param crypto The cryptography to use.
+ * @internal
+ */
+export function setKeystoreCrypto(crypto: KeystoreCrypto): void {
+    keystoreCrypto = crypto;
+}
+
+/**
+ * Lock the channel state in a keystore, the state is encrypted with AES-256-GCM
+ * using a key derived from the passphrase, the version and key derivation parameters
+ * are authenticated as additional data so they can not be modified.
+ * @param channelState The channel state to lock.
+ * @param passphrase The passphrase to derive the key from.
+ * @param options Options for the key derivation.
+ * @returns The keystore as JSON.
+ */
+export async function lockChannel(
+    channelState: IMamChannelState,
+    passphrase: string,
+    options?: IMamLockChannelOptions): Promise<string> {
+    validatePassphrase(passphrase);
+    const kdf = options?.kdf ?? "pbkdf2";
+
+    let kdfParams: IMamKeystore["kdfParams"];
+    const salt = Converter.bytesToHex(keystoreCrypto.randomBytes(32));
+    if (kdf === "pbkdf2") {
+        kdfParams = { salt, iterations: options?.iterations ?? DEFAULT_ITERATIONS };
+    } else if (kdf === "scrypt") {
+        kdfParams = {
+            salt,
+            cost: options?.cost ?? DEFAULT_COST,
+            blockSize: BLOCK_SIZE,
+            parallelization: PARALLELIZATION
+        };
+    } else {
+        throw new Error(`The kdf must be pbkdf2 or scrypt, it is '${String(kdf)}'`);
+    }
+    validateKdfParams(kdf, kdfParams);
+
+    const plaintext = Converter.utf8ToBytes(exportChannelState(channelState));
+    const iv = keystoreCrypto.randomBytes(12);
+    const key = await deriveKey(kdf, kdfParams, passphrase);
+
+    const keystore: IMamKeystore = {
+        version: KEYSTORE_VERSION,
+        kdf,
+        kdfParams,
+        cipher: "aes-256-gcm",
+        iv: Converter.bytesToHex(iv),
+        ciphertext: Converter.bytesToHex(
+            await keystoreCrypto.encrypt(key, iv, plaintext, additionalData(kdf, kdfParams)))
+    };
+
+    return JSON.stringify(keystore);
+}
+
+/**
+ * Unlock the channel state from a keystore written by lockChannel.
+ * @param keystore The keystore as JSON.
+ * @param passphrase The passphrase the keystore was locked with.
+ * @returns The channel state.
+ */
+export async function unlockChannel(keystore: string, passphrase: string): Promise<IMamChannelState> {
+    validatePassphrase(passphrase);
+
+    let json: unknown;
+    try {
+        json = JSON.parse(keystore);
+    } catch (err) {
+        throw new Error(`The keystore is not valid JSON: ${err instanceof Error ? err.message : String(err)}`);
+    }
+    if (!isObject(json)) {
+        throw new Error("The keystore must be an object");
+    }
+    if (json.version !== KEYSTORE_VERSION) {
+        throw new Error(
+            `The keystore version ${String(json.version)} is not supported, the latest version is ${KEYSTORE_VERSION}`);
+    }
+    if (json.kdf !== "pbkdf2" && json.kdf !== "scrypt") {
+        throw new Error("keystore.kdf must be pbkdf2 or scrypt");
+    }
+    if (!isObject(json.kdfParams)) {
+        throw new Error("keystore.kdfParams must be an object");
+    }
+    const kdfParams = json.kdfParams as IMamKeystore["kdfParams"];
+    validateKdfParams(json.kdf, kdfParams);
+    if (json.cipher !== "aes-256-gcm") {
+        throw new Error("keystore.cipher must be aes-256-gcm");
+    }
+    if (typeof json.iv !== "string" || json.iv.length !== 24 || !Converter.isHex(json.iv)) {
+        throw new Error("keystore.iv must be 12 bytes of hex");
+    }
+    if (typeof json.ciphertext !== "string" || json.ciphertext.length % 2 !== 0 || !Converter.isHex(json.ciphertext)) {
+        throw new Error("keystore.ciphertext must be hex");
+    }
+
+    const key = await deriveKey(json.kdf, kdfParams, passphrase);
+
+    let plaintext: Uint8Array;
+    try {
+        plaintext = await keystoreCrypto.decrypt(
+            key,
+            Converter.hexToBytes(json.iv),
+            Converter.hexToBytes(json.ciphertext),
+            additionalData(json.kdf, kdfParams));
+    } catch {
+        throw new Error("Unable to unlock the keystore, the passphrase is wrong or the keystore has been modified");
+    }
+
+    return importChannelState(Converter.bytesToUtf8(plaintext));
+}
+
+/**
+ * Validate the passphrase.
+ * @param passphrase The passphrase to validate.
+ * @internal
+ */
+function validatePassphrase(passphrase: string): void {
+    if (typeof passphrase !== "string" || passphrase.length === 0) {
+        throw new Error("The passphrase must be a non empty string");
+    }
+}
+
+/**
+ * Validate the key derivation parameters, the limits stop a modified keystore
+ * from making the derivation run for an unreasonable time.
+ * @param kdf The key derivation function.
+ * @param kdfParams The parameters to validate.
+ * @internal
+ */
+function validateKdfParams(kdf: IMamKeystore["kdf"], kdfParams: IMamKeystore["kdfParams"]): void {
+    if (typeof kdfParams.salt !== "string" || kdfParams.salt.length < 32 || !Converter.isHex(kdfParams.salt)) {
+        throw new Error("keystore.kdfParams.salt must be at least 16 bytes of hex");
+    }
+    if (kdf === "pbkdf2") {
+        const iterations = kdfParams.iterations as number;
+        if (!Number.isInteger(iterations) || iterations <= 0 || iterations > MAX_ITERATIONS) {
+            throw new Error(`keystore.kdfParams.iterations must be an integer > 0 and <= ${MAX_ITERATIONS}`);
+        }
+    } else {
+        const cost = kdfParams.cost as number;
+        // eslint-disable-next-line no-bitwise
+        if (!Number.isInteger(cost) || cost <= 1 || cost > MAX_COST || (cost & (cost - 1)) !== 0) {
+            throw new Error(`keystore.kdfParams.cost must be a power of 2 > 1 and <= ${MAX_COST}`);
+        }
+        if (kdfParams.blockSize !== BLOCK_SIZE || kdfParams.parallelization !== PARALLELIZATION) {
+            throw new Error(
+                `keystore.kdfParams.blockSize must be ${BLOCK_SIZE} and parallelization must be ${PARALLELIZATION}`);
+        }
+    }
+}
+
+/**
+ * Create the additional data authenticated with the ciphertext, the header of the keystore
+ * serialized in a fixed order so it does not depend on how the JSON was written.
+ * @param kdf The key derivation function.
+ * @param kdfParams The parameters for the derivation.
+ * @returns The additional data.
+ * @internal
+ */
+function additionalData(kdf: IMamKeystore["kdf"], kdfParams: IMamKeystore["kdfParams"]): Uint8Array {
+    const params = kdf === "pbkdf2"
+        ? { salt: kdfParams.salt, iterations: kdfParams.iterations }
+        : {
+            salt: kdfParams.salt,
+            cost: kdfParams.cost,
+            blockSize: kdfParams.blockSize,
+            parallelization: kdfParams.parallelization
+        };
+    return Converter.utf8ToBytes(JSON.stringify({ version: KEYSTORE_VERSION, kdf, kdfParams: params }));
+}
+
+/**
+ * Derive the key from the passphrase.
+ * @param kdf The key derivation function.
+ * @param kdfParams The parameters for the derivation.
+ * @param passphrase The passphrase.
+ * @returns The key.
+ * @internal
+ */
+async function deriveKey(
+    kdf: IMamKeystore["kdf"], kdfParams: IMamKeystore["kdfParams"], passphrase: string): Promise<Uint8Array> {
+    const passphraseBytes = Converter.utf8ToBytes(passphrase.normalize("NFKC"));
+    const salt = Converter.hexToBytes(kdfParams.salt);
+
+    return kdf === "pbkdf2"
+        ? keystoreCrypto.pbkdf2(passphraseBytes, salt, kdfParams.iterations as number)
+        : keystoreCrypto.scrypt(
+            passphraseBytes, salt, kdfParams.cost as number, BLOCK_SIZE, PARALLELIZATION);
+}
@@ -0,0 +1,35 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * The cryptographic operations used by the channel keystore.
+ * @internal
+ */
+export interface KeystoreCrypto {
+    /**
+     * Generate random bytes.
+     */
+    randomBytes: (length: number) => Uint8Array;
+
+    /**
+     * Derive a 32 byte key with PBKDF2-SHA256.
+     */
+    pbkdf2: (passphrase: Uint8Array, salt: Uint8Array, iterations: number) => Promise<Uint8Array>;
+
+    /**
+     * Derive a 32 byte key with scrypt.
+     */
+    scrypt: (
+        passphrase: Uint8Array, salt: Uint8Array, cost: number, blockSize: number, parallelization: number
+    ) => Promise<Uint8Array>;
+
+    /**
+     * Encrypt with AES-256-GCM, the authentication tag is appended to the result.
+     */
+    encrypt: (key: Uint8Array, iv: Uint8Array, data: Uint8Array, additionalData: Uint8Array) => Promise<Uint8Array>;
+
+    /**
+     * Decrypt with AES-256-GCM, the authentication tag is expected at the end of the data.
+     */
+    decrypt: (key: Uint8Array, iv: Uint8Array, data: Uint8Array, additionalData: Uint8Array) => Promise<Uint8Array>;
+}
@@ -0,0 +1,104 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { createCipheriv, createDecipheriv, pbkdf2, randomBytes, scrypt } from "crypto";
+import type { KeystoreCrypto } from "./keystoreCrypto";
+
+/**
+ * Class to perform the keystore cryptography with the Node crypto module.
+ * @internal
+ */
+export class NodeKeystoreCrypto implements KeystoreCrypto {
+    /**
+     * The length of the AES-GCM authentication tag.
+     */
+    private static readonly TAG_LENGTH: number = 16;
+
+    /**
+     * Generate random bytes.
+     * @param length The number of bytes.
+     * @returns The random bytes.
+     */
+    public randomBytes(length: number): Uint8Array {
+        return new Uint8Array(randomBytes(length));
+    }
+
+    /**
+     * Derive a 32 byte key with PBKDF2-SHA256.
+     * @param passphrase The passphrase.
+     * @param salt The salt.
+     * @param iterations The number of iterations.
+     * @returns The key.
+     */
+    public async pbkdf2(passphrase: Uint8Array, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+        return new Promise<Uint8Array>((resolve, reject) => {
+            pbkdf2(passphrase, salt, iterations, 32, "sha256", (err, key) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(new Uint8Array(key));
+                }
+            });
+        });
+    }
+
+    /**
+     * Derive a 32 byte key with scrypt.
+     * @param passphrase The passphrase.
+     * @param salt The salt.
+     * @param cost The cost.
+     * @param blockSize The block size.
+     * @param parallelization The parallelization.
+     * @returns The key.
+     */
+    public async scrypt(
+        passphrase: Uint8Array, salt: Uint8Array, cost: number, blockSize: number, parallelization: number
+    ): Promise<Uint8Array> {
+        // The memory needed is 128 * cost * blockSize, allow for it as the default limit is only 32MB
+        const maxmem = (256 * cost * blockSize) + (1024 * 1024);
+        return new Promise<Uint8Array>((resolve, reject) => {
+            scrypt(passphrase, salt, 32, { cost, blockSize, parallelization, maxmem }, (err, key) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(new Uint8Array(key));
+                }
+            });
+        });
+    }
+
+    /**
+     * Encrypt with AES-256-GCM.
+     * @param key The key.
+     * @param iv The initialization vector.
+     * @param data The data to encrypt.
+     * @param additionalData The additional data to authenticate.
+     * @returns The encrypted data followed by the authentication tag.
+     */
+    public async encrypt(
+        key: Uint8Array, iv: Uint8Array, data: Uint8Array, additionalData: Uint8Array): Promise<Uint8Array> {
+        const cipher = createCipheriv("aes-256-gcm", key, iv);
+        cipher.setAAD(additionalData);
+        const encrypted = Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+        return new Uint8Array(encrypted);
+    }
+
+    /**
+     * Decrypt with AES-256-GCM.
+     * @param key The key.
+     * @param iv The initialization vector.
+     * @param data The encrypted data followed by the authentication tag.
+     * @param additionalData The additional data to authenticate.
+     * @returns The decrypted data.
+     */
+    public async decrypt(
+        key: Uint8Array, iv: Uint8Array, data: Uint8Array, additionalData: Uint8Array): Promise<Uint8Array> {
+        if (data.length < NodeKeystoreCrypto.TAG_LENGTH) {
+            throw new Error("The encrypted data is too short");
+        }
+        const tagStart = data.length - NodeKeystoreCrypto.TAG_LENGTH;
+        const decipher = createDecipheriv("aes-256-gcm", key, iv);
+        decipher.setAuthTag(data.slice(tagStart));
+        decipher.setAAD(additionalData);
+        return new Uint8Array(Buffer.concat([decipher.update(data.slice(0, tagStart)), decipher.final()]));
+    }
+}
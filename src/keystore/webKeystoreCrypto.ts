@@ -0,0 +1,102 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { KeystoreCrypto } from "./keystoreCrypto";
+
+/**
+ * Class to perform the keystore cryptography with WebCrypto.
+ * @internal
+ */
+export class WebKeystoreCrypto implements KeystoreCrypto {
+    /**
+     * The WebCrypto implementation, the global one is used if not set.
+     */
+    private readonly _crypto?: Crypto;
+
+    /**
+     * Create a new instance of WebKeystoreCrypto.
+     * @param crypto The WebCrypto implementation, defaults to the global one.
+     */
+    constructor(crypto?: Crypto) {
+        this._crypto = crypto;
+    }
+
+    /**
+     * Generate random bytes.
+     * @param length The number of bytes.
+     * @returns The random bytes.
+     */
+    public randomBytes(length: number): Uint8Array {
+        return this.getCrypto().getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * Derive a 32 byte key with PBKDF2-SHA256.
+     * @param passphrase The passphrase.
+     * @param salt The salt.
+     * @param iterations The number of iterations.
+     * @returns The key.
+     */
+    public async pbkdf2(passphrase: Uint8Array, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+        const subtle = this.getCrypto().subtle;
+        const baseKey = await subtle.importKey("raw", passphrase, "PBKDF2", false, ["deriveBits"]);
+        const bits = await subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, baseKey, 256);
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * Derive a 32 byte key with scrypt, which WebCrypto does not support.
+     * @param passphrase The passphrase.
+     * @param salt The salt.
+     * @param cost The cost.
+     * @param blockSize The block size.
+     * @param parallelization The parallelization.
+     * @returns The key.
+     */
+    public async scrypt(
+        passphrase: Uint8Array, salt: Uint8Array, cost: number, blockSize: number, parallelization: number
+    ): Promise<Uint8Array> {
+        throw new Error("The scrypt key derivation is only available in the Node bundle");
+    }
+
+    /**
+     * Encrypt with AES-256-GCM.
+     * @param key The key.
+     * @param iv The initialization vector.
+     * @param data The data to encrypt.
+     * @param additionalData The additional data to authenticate.
+     * @returns The encrypted data followed by the authentication tag.
+     */
+    public async encrypt(
+        key: Uint8Array, iv: Uint8Array, data: Uint8Array, additionalData: Uint8Array): Promise<Uint8Array> {
+        const subtle = this.getCrypto().subtle;
+        const aesKey = await subtle.importKey("raw", key, "AES-GCM", false, ["encrypt"]);
+        return new Uint8Array(await subtle.encrypt({ name: "AES-GCM", iv, additionalData }, aesKey, data));
+    }
+
+    /**
+     * Decrypt with AES-256-GCM.
+     * @param key The key.
+     * @param iv The initialization vector.
+     * @param data The encrypted data followed by the authentication tag.
+     * @param additionalData The additional data to authenticate.
+     * @returns The decrypted data.
+     */
+    public async decrypt(
+        key: Uint8Array, iv: Uint8Array, data: Uint8Array, additionalData: Uint8Array): Promise<Uint8Array> {
+        const subtle = this.getCrypto().subtle;
+        const aesKey = await subtle.importKey("raw", key, "AES-GCM", false, ["decrypt"]);
+        return new Uint8Array(await subtle.decrypt({ name: "AES-GCM", iv, additionalData }, aesKey, data));
+    }
+
+    /**
+     * Get the WebCrypto implementation.
+     * @returns The implementation.
+     */
+    private getCrypto(): Crypto {
+        const crypto = this._crypto ?? (globalThis as { crypto?: Crypto }).crypto;
+        if (!crypto?.subtle) {
+            throw new Error("WebCrypto is not available in this environment");
+        }
+        return crypto;
+    }
+}
@@ -0,0 +1,39 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamSignedLeafLedger } from "../models/IMamSignedLeafLedger";
+
+/**
+ * Ledger of signed leaves which is kept in memory.
+ */
+export class MemorySignedLeafLedger implements IMamSignedLeafLedger {
+    /**
+     * The digests signed by each leaf.
+     * @internal
+     */
+    private readonly _digests: Map<string, string>;
+
+    /**
+     * Create a new instance of MemorySignedLeafLedger.
+     */
+    constructor() {
+        this._digests = new Map();
+    }
+
+    /**
+     * Get the digest signed by a leaf.
+     * @param leaf The id of the leaf.
+     * @returns The digest signed by the leaf, or undefined if it has not signed.
+     */
+    public get(leaf: string): string | undefined {
+        return this._digests.get(leaf);
+    }
+
+    /**
+     * Record the digest signed by a leaf.
+     * @param leaf The id of the leaf.
+     * @param digest The digest signed by the leaf.
+     */
+    public set(leaf: string, digest: string): void {
+        this._digests.set(leaf, digest);
+    }
+}
@@ -0,0 +1,52 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Blake2b } from "@iota/crypto.js";
+import { Converter } from "@iota/util.js";
+import { MamKeyReuseError } from "../errors/mamKeyReuseError";
+import type { IMamSignedLeafLedger } from "../models/IMamSignedLeafLedger";
+import { TrytesHelper } from "../utils/trytesHelper";
+
+/**
+ * Check the ledger before a leaf signs a digest and record the digest. The same digest
+ * can be signed again, as it produces the identical signature and reveals nothing more.
+ * @param ledger The ledger of signed leaves.
+ * @param seed The seed of the channel.
+ * @param leafIndex The index of the leaf, the start plus the index of the channel state.
+ * @param digest The digest the leaf is about to sign.
+ * @internal
+ */
+export function checkSignedLeaf(
+    ledger: IMamSignedLeafLedger, seed: string, leafIndex: number, digest: Int8Array): void {
+    recordSignedLeaf(ledger, signedLeafId(seed, leafIndex), leafIndex, TrytesHelper.fromTrits(digest));
+}
+
+/**
+ * Get the id of a leaf in the ledger.
+ * @param seed The seed of the channel.
+ * @param leafIndex The index of the leaf, the start plus the index of the channel state.
+ * @returns The id of the leaf.
+ * @internal
+ */
+export function signedLeafId(seed: string, leafIndex: number): string {
+    // The key is derived only from the seed and the leaf index, so the id must not
+    // depend on the tree size, the id is hashed so the ledger does not contain the seed
+    return Converter.bytesToHex(Blake2b.sum256(Converter.utf8ToBytes(`${seed}:${leafIndex}`)));
+}
+
+/**
+ * Record the digest signed by a leaf, unless it has already signed a different digest.
+ * @param ledger The ledger of signed leaves.
+ * @param leaf The id of the leaf.
+ * @param leafIndex The index of the leaf, the start plus the index of the channel state.
+ * @param digest The trytes of the digest the leaf signs.
+ * @internal
+ */
+export function recordSignedLeaf(
+    ledger: IMamSignedLeafLedger, leaf: string, leafIndex: number, digest: string): void {
+    const signed = ledger.get(leaf);
+    if (signed === undefined) {
+        ledger.set(leaf, digest);
+    } else if (signed !== digest) {
+        throw new MamKeyReuseError(leafIndex);
+    }
+}
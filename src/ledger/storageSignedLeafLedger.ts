@@ -0,0 +1,48 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamSignedLeafLedger } from "../models/IMamSignedLeafLedger";
+
+/**
+ * Ledger of signed leaves which is kept in a Web Storage such as localStorage.
+ */
+export class StorageSignedLeafLedger implements IMamSignedLeafLedger {
+    /**
+     * The storage for the digests.
+     * @internal
+     */
+    private readonly _storage: Pick<Storage, "getItem" | "setItem">;
+
+    /**
+     * The prefix for the storage keys.
+     * @internal
+     */
+    private readonly _prefix: string;
+
+    /**
+     * Create a new instance of StorageSignedLeafLedger.
+     * @param storage The storage for the digests, for example localStorage.
+     * @param prefix The prefix for the storage keys, defaults to mam-leaf-.
+     */
+    constructor(storage: Pick<Storage, "getItem" | "setItem">, prefix: string = "mam-leaf-") {
+        this._storage = storage;
+        this._prefix = prefix;
+    }
+
+    /**
+     * Get the digest signed by a leaf.
+     * @param leaf The id of the leaf.
+     * @returns The digest signed by the leaf, or undefined if it has not signed.
+     */
+    public get(leaf: string): string | undefined {
+        return this._storage.getItem(`${this._prefix}${leaf}`) ?? undefined;
+    }
+
+    /**
+     * Record the digest signed by a leaf.
+     * @param leaf The id of the leaf.
+     * @param digest The digest signed by the leaf.
+     */
+    public set(leaf: string, digest: string): void {
+        this._storage.setItem(`${this._prefix}${leaf}`, digest);
+    }
+}
@@ -1,17 +1,30 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
 import { Curl } from "@iota/crypto.js";
+import { MamAbortError } from "../errors/mamAbortError";
+import { checkSignedLeaf, recordSignedLeaf, signedLeafId } from "../ledger/signedLeafLedger";
 import { MerkleTree } from "../merkle/merkleTree";
+import type { IMamChannelOptions } from "../models/IMamChannelOptions";
+import type { IMamChannelRoot } from "../models/IMamChannelRoot";
 import type { IMamChannelState } from "../models/IMamChannelState";
+import type { IMamCreateMessageAsyncOptions } from "../models/IMamCreateMessageAsyncOptions";
+import type { IMamCreateMessageOptions } from "../models/IMamCreateMessageOptions";
+import type { IMamCreateMessageWorkerRequest } from "../models/IMamCreateMessageWorkerRequest";
 import type { IMamMessage } from "../models/IMamMessage";
+import type { IMamSeekChannelOptions } from "../models/IMamSeekChannelOptions";
+import type { IMamWorker } from "../models/IMamWorker";
+import type { INonceSearchProvider } from "../models/INonceSearchProvider";
 import type { MamMode } from "../models/mamMode";
 import { HammingDiver } from "../pearlDiver/hammingDiver";
+import { Int32HammingDiver } from "../pearlDiver/int32HammingDiver";
 import { signature } from "../signing/iss-p27";
 import { concatenate } from "../utils/arrayHelper";
-import { validateModeKey } from "../utils/guards";
+import { validateModeKey, validateTreeSize } from "../utils/guards";
 import { mask, maskHash } from "../utils/mask";
 import { pascalEncode } from "../utils/pascal";
 import { TrytesHelper } from "../utils/trytesHelper";
+import { createNonceSearch, createSponge } from "../wasm/wasm";
+import { getDefaultWorker } from "../workers/defaultWorker";
 
 /**
  * Create a new channel object.
@@ -19,9 +32,15 @@ import { TrytesHelper } from "../utils/trytesHelper";
  * @param security The security level for the channel.
  * @param mode The mode for the channel.
  * @param sideKey The side key to use for restricted mode.
+ * @param options The options for the Merkle tree sizes of the channel.
  * @returns The new channel state.
  */
-export function createChannel(seed: string, security: number, mode: MamMode, sideKey?: string): IMamChannelState {
+export function createChannel(
+    seed: string,
+    security: number,
+    mode: MamMode,
+    sideKey?: string,
+    options?: IMamChannelOptions): IMamChannelState {
     if (!TrytesHelper.isHash(seed)) {
         throw new Error("The seed must be 81 trytes long");
     }
@@ -30,14 +49,19 @@ export function createChannel(seed: string, security: number, mode: MamMode, sid
     }
     validateModeKey(mode, sideKey);
 
+    const count = options?.count ?? 1;
+    const nextCount = options?.nextCount ?? count;
+    validateTreeSize("options.count", count);
+    validateTreeSize("options.nextCount", nextCount);
+
     return {
         seed,
         mode,
         sideKey: mode === "restricted" ? (sideKey ?? "").padEnd(81, "9") : undefined,
         security,
         start: 0,
-        count: 1,
-        nextCount: 1,
+        count,
+        nextCount,
         index: 0
     };
 }
@@ -48,18 +72,7 @@ export function createChannel(seed: string, security: number, mode: MamMode, sid
  * @returns The root.
  */
 export function channelRoot(channelState: IMamChannelState): string {
-    if (!channelState) {
-        throw new Error("channelState must be provided");
-    }
-    if (channelState.start < 0) {
-        throw new Error("channelState.start must be >= 0");
-    }
-    if (channelState.count <= 0) {
-        throw new Error("channelState.count must be > 0");
-    }
-    if (channelState.security < 1 || channelState.security > 3) {
-        throw new Error(`channelState.security must be between 1 and 3, it is ${channelState.security}`);
-    }
+    validateChannelState(channelState);
 
     const tree = new MerkleTree(
         channelState.seed,
@@ -71,25 +84,80 @@ export function channelRoot(channelState: IMamChannelState): string {
 }
 
 /**
- * Prepare a message on the mam channel.
- * @param channelState The channel to prepare the message for.
- * @param message The trytes to include in the message.
- * @returns The prepared message, the channel state will also be updated.
+ * Get the roots for the next messages on the channel without changing the channel state,
+ * so they can be shared with subscribers in advance. The first root is for the current
+ * tree, the following trees are assumed to have channelState.nextCount leaves.
+ * @param channelState The channel state to get the roots for.
+ * @param n The number of roots to get.
+ * @returns The roots and the addresses they are published to.
  */
-export function createMessage(channelState: IMamChannelState, message: string): IMamMessage {
-    if (!TrytesHelper.isTrytes(message)) {
-        throw new Error("The message must be in trytes");
+export function channelRoots(channelState: IMamChannelState, n: number): IMamChannelRoot[] {
+    validateChannelState(channelState);
+    validateTreeSize("channelState.nextCount", channelState.nextCount);
+    if (!Number.isInteger(n) || n <= 0) {
+        throw new Error(`n must be an integer > 0, it is ${n}`);
     }
-    const tree = new MerkleTree(
+
+    const roots: IMamChannelRoot[] = [];
+    let start = channelState.start;
+    let count = channelState.count;
+    for (let i = 0; i < n; i++) {
+        roots.push(treeRoot(channelState, start, count));
+        start += count;
+        count = channelState.nextCount;
+    }
+
+    return roots;
+}
+
+/**
+ * Get the root of the channel without blocking the calling thread, the addresses
+ * for the tree are generated in parallel if the worker supports it.
+ * @param channelState The channel state to get the root.
+ * @param worker The worker to generate the addresses, defaults to a pool of worker threads in Node.
+ * @returns The root.
+ */
+export async function channelRootAsync(channelState: IMamChannelState, worker?: IMamWorker): Promise<string> {
+    validateChannelState(channelState);
+
+    const tree = await MerkleTree.createAsync(
         channelState.seed,
         channelState.start,
         channelState.count,
-        channelState.security);
-    const nextRootTree = new MerkleTree(
-        channelState.seed,
-        channelState.start + channelState.count,
-        channelState.nextCount,
-        channelState.security);
+        channelState.security,
+        worker ?? getDefaultWorker());
+
+    return TrytesHelper.fromTrits(tree.root.addressTrits);
+}
+
+/**
+ * Prepare a message on the mam channel.
+ * @param channelState The channel to prepare the message for.
+ * @param message The trytes to include in the message.
+ * @param options Options for creating the message.
+ * @returns The prepared message, the channel state will also be updated.
+ */
+export function createMessage(
+    channelState: IMamChannelState,
+    message: string,
+    options?: IMamCreateMessageOptions): IMamMessage {
+    validateCreateMessage(channelState, message, options);
+
+    const treeCache = options?.treeCache;
+    const tree = treeCache
+        ? treeCache.get(channelState.seed, channelState.start, channelState.count, channelState.security)
+        : new MerkleTree(channelState.seed, channelState.start, channelState.count, channelState.security);
+    const nextRootTree = treeCache
+        ? treeCache.get(
+            channelState.seed,
+            channelState.start + channelState.count,
+            channelState.nextCount,
+            channelState.security)
+        : new MerkleTree(
+            channelState.seed,
+            channelState.start + channelState.count,
+            channelState.nextCount,
+            channelState.security);
 
     const nextRootTrits = nextRootTree.root.addressTrits;
 
@@ -99,7 +167,7 @@ export function createMessage(channelState: IMamChannelState, message: string):
 
     const subtree = tree.getSubtree(channelState.index);
 
-    const sponge = new Curl(27);
+    const sponge = createSponge(27);
 
     const sideKeyTrits = TrytesHelper.toTrits(channelState.sideKey ?? "9".repeat(81));
     sponge.absorb(sideKeyTrits, 0, sideKeyTrits.length);
@@ -114,17 +182,25 @@ export function createMessage(channelState: IMamChannelState, message: string):
     payload = concatenate([payload, maskedNextRoot]);
 
     // Calculate the nonce for the message so far
-    const hammingDiver = new HammingDiver();
-    const nonceTrits = hammingDiver.search(
+    const nonceSearch = options?.nonceSearch ?? createNonceSearch();
+    const nonceTrits = nonceSearch.search(
         sponge.rate(Curl.STATE_LENGTH),
         channelState.security,
-        Curl.HASH_LENGTH / 3, 0
+        Curl.HASH_LENGTH / 3, 0,
+        {
+            signal: options?.signal,
+            onProgress: options?.onProgress
+        }
     );
     mask(nonceTrits, sponge);
     payload = concatenate([payload, nonceTrits]);
 
     // Create the signature and add the sibling information
-    const sig = signature(sponge.rate(), subtree.key);
+    const digest = sponge.rate();
+    if (options?.ledger) {
+        checkSignedLeaf(options.ledger, channelState.seed, channelState.start + channelState.index, digest);
+    }
+    const sig = signature(digest, subtree.key);
     const subtreeTrits = concatenate(subtree.leaves.map(l => l.addressTrits));
     const siblingsCount = subtreeTrits.length / Curl.HASH_LENGTH;
 
@@ -146,14 +222,288 @@ export function createMessage(channelState: IMamChannelState, message: string):
         address: TrytesHelper.fromTrits(messageAddress)
     };
 
+    advanceChannelState(channelState);
+    channelState.nextRoot = TrytesHelper.fromTrits(nextRootTrits);
+
+    return maskedAuthenticatedMessage;
+}
+
+/**
+ * Prepare a message on the mam channel without blocking the calling thread, the
+ * nonce search, key generation and signing are performed in a worker.
+ * @param channelState The channel to prepare the message for.
+ * @param message The trytes to include in the message.
+ * @param options Options for creating the message.
+ * @returns The prepared message, the channel state will also be updated.
+ */
+export async function createMessageAsync(
+    channelState: IMamChannelState,
+    message: string,
+    options?: IMamCreateMessageAsyncOptions): Promise<IMamMessage> {
+    validateCreateMessage(channelState, message, options);
+
+    const worker = options?.worker ?? getDefaultWorker();
+    const nonceSearch = workerNonceSearch(options?.nonceSearch);
+    const signal = options?.signal;
+    if (signal?.aborted) {
+        throw new MamAbortError("The request to the worker was aborted");
+    }
+
+    // The trees are generated by the worker if they are not cached, then sent with the request
+    let trees: IMamCreateMessageWorkerRequest["trees"];
+    const treeCache = options?.treeCache;
+    if (treeCache) {
+        await treeCache.prepareAsync(channelState, worker);
+        trees = [
+            { index: channelState.start, count: channelState.count },
+            { index: channelState.start + channelState.count, count: channelState.nextCount }
+        ].map(t => ({
+            index: t.index,
+            addresses: treeCache.get(channelState.seed, t.index, t.count, channelState.security).leaves()
+                .map(leaf => ({
+                    address: TrytesHelper.fromTrits(leaf.address),
+                    privateKey: TrytesHelper.fromTrits(leaf.privateKey)
+                }))
+        }));
+    }
+
+    // The ledger can not be passed to the worker, so the worker is given the digest already
+    // signed by the leaf to check before signing, and the digest it signs is recorded here
+    const ledger = options?.ledger;
+    const leafIndex = channelState.start + channelState.index;
+    const leaf = ledger ? signedLeafId(channelState.seed, leafIndex) : undefined;
+
+    const response = await worker.execute({
+        type: "createMessage",
+        channelState: { ...channelState },
+        message,
+        signedLeaf: ledger && leaf ? { leaf, digest: ledger.get(leaf) } : undefined,
+        nonceSearch,
+        reportProgress: options?.onProgress ? true : undefined,
+        trees
+    }, {
+        signal,
+        onProgress: options?.onProgress
+    });
+
+    if (response.type !== "createMessage") {
+        throw new Error(`Unexpected worker response type '${response.type}'`);
+    }
+
+    if (ledger && leaf) {
+        if (response.signedDigest === undefined) {
+            throw new Error("The worker did not return the signed digest");
+        }
+        recordSignedLeaf(ledger, leaf, leafIndex, response.signedDigest);
+    }
+
+    Object.assign(channelState, response.channelState);
+
+    return response.mamMessage;
+}
+
+/**
+ * Move the channel to the message at a position, so that the next message created
+ * replaces that message or continues the channel from it. The trees after the
+ * current tree are assumed to have channelState.nextCount leaves.
+ * @param channelState The channel state to update.
+ * @param position The number of the message from the start of the channel, starting at 0.
+ * @param options Options for seeking the channel.
+ * @returns The root and address the message at the position is published under.
+ */
+export function seekChannel(
+    channelState: IMamChannelState,
+    position: number,
+    options?: IMamSeekChannelOptions): IMamChannelRoot {
+    validateChannelState(channelState);
+    validateTreeSize("channelState.nextCount", channelState.nextCount);
+    if (!Number.isInteger(position) || position < 0) {
+        throw new Error(`position must be an integer >= 0, it is ${position}`);
+    }
+
+    // The sizes of the trees from the start of the channel, the trees after these have nextCount leaves
+    let treeSizes: number[];
+    if (options?.treeSizes) {
+        treeSizes = historyTreeSizes(channelState, options.treeSizes);
+    } else if (position < channelState.start) {
+        if (channelState.count !== channelState.nextCount) {
+            throw new Error(
+                "The treeSizes must be provided as the tree size of the channel has changed");
+        }
+        if (channelState.start % channelState.count !== 0) {
+            throw new Error(
+                "The treeSizes must be provided as channelState.start is not a multiple of channelState.count");
+        }
+        // The earlier trees are assumed to be the current size, so skip directly to the tree
+        const skipped = Math.floor(position / channelState.count) * channelState.count;
+        treeSizes = [skipped, channelState.count, channelState.count].filter(size => size > 0);
+    } else {
+        treeSizes = [channelState.start, channelState.count].filter(size => size > 0);
+    }
+
+    let start = 0;
+    let i = 0;
+    while (i < treeSizes.length && position >= start + treeSizes[i]) {
+        start += treeSizes[i];
+        i++;
+    }
+
+    let count: number;
+    let nextCount: number;
+    if (i < treeSizes.length) {
+        count = treeSizes[i];
+        nextCount = i + 1 < treeSizes.length ? treeSizes[i + 1] : channelState.nextCount;
+    } else {
+        start += Math.floor((position - start) / channelState.nextCount) * channelState.nextCount;
+        count = channelState.nextCount;
+        nextCount = channelState.nextCount;
+    }
+
+    const root = treeRoot(channelState, start, count);
+
+    channelState.start = start;
+    channelState.count = count;
+    channelState.nextCount = nextCount;
+    channelState.index = position - start;
+    delete channelState.nextRoot;
+
+    return root;
+}
+
+/**
+ * Advance the channel state to the next index, moving on to the next tree when
+ * the index was the last leaf of the current tree.
+ * @param channelState The channel state to advance.
+ * @internal
+ */
+export function advanceChannelState(channelState: IMamChannelState): void {
     if (channelState.index === channelState.count - 1) {
-        channelState.start = channelState.nextCount + channelState.start;
+        channelState.start += channelState.count;
+        channelState.count = channelState.nextCount;
         channelState.index = 0;
     } else {
         channelState.index++;
     }
+}
 
-    channelState.nextRoot = TrytesHelper.fromTrits(nextRootTrits);
+/**
+ * Validate the channel state, message and options for creating a message.
+ * @param channelState The channel to prepare the message for.
+ * @param message The trytes to include in the message.
+ * @param options Options for creating the message.
+ * @internal
+ */
+export function validateCreateMessage(
+    channelState: IMamChannelState,
+    message: string,
+    options?: IMamCreateMessageOptions): void {
+    if (!TrytesHelper.isTrytes(message)) {
+        throw new Error("The message must be in trytes");
+    }
+    validateChannelState(channelState);
+    validateTreeSize("channelState.nextCount", channelState.nextCount);
+    if (options?.treeCache !== undefined && typeof options.treeCache.get !== "function") {
+        throw new Error("The treeCache must be a MerkleTreeCache");
+    }
+    if (options?.nonceSearch !== undefined && typeof options.nonceSearch.search !== "function") {
+        throw new Error("The nonceSearch must be a nonce search provider");
+    }
+    if (options?.onProgress !== undefined && typeof options.onProgress !== "function") {
+        throw new Error("The onProgress must be a function");
+    }
+    if (options?.ledger !== undefined &&
+        (typeof options.ledger.get !== "function" || typeof options.ledger.set !== "function")) {
+        throw new Error("The ledger must be a signed leaf ledger");
+    }
+}
 
-    return maskedAuthenticatedMessage;
+/**
+ * Validate the history of tree sizes against the channel state.
+ * @param channelState The channel state.
+ * @param treeSizes The sizes of the trees from the start of the channel.
+ * @returns The tree sizes including the current tree.
+ * @internal
+ */
+function historyTreeSizes(channelState: IMamChannelState, treeSizes: number[]): number[] {
+    let start = 0;
+    let includesCurrent = false;
+    for (let i = 0; i < treeSizes.length; i++) {
+        validateTreeSize(`treeSizes[${i}]`, treeSizes[i]);
+        if (start === channelState.start) {
+            if (treeSizes[i] !== channelState.count) {
+                throw new Error(
+                    `treeSizes[${i}] must be channelState.count ${channelState.count}, it is ${treeSizes[i]}`);
+            }
+            includesCurrent = true;
+        }
+        start += treeSizes[i];
+    }
+
+    if (start === channelState.start) {
+        return [...treeSizes, channelState.count];
+    }
+    if (!includesCurrent) {
+        throw new Error(
+            `The treeSizes must include a tree starting at channelState.start ${channelState.start}`);
+    }
+    return treeSizes;
+}
+
+/**
+ * Get the root of a tree of the channel and the address it is published to.
+ * @param channelState The channel state.
+ * @param start The index of the first leaf of the tree.
+ * @param count The number of leaves in the tree.
+ * @returns The root.
+ * @internal
+ */
+function treeRoot(channelState: IMamChannelState, start: number, count: number): IMamChannelRoot {
+    const tree = new MerkleTree(channelState.seed, start, count, channelState.security);
+    const addressTrits = channelState.mode === "public"
+        ? tree.root.addressTrits : maskHash(tree.root.addressTrits);
+
+    return {
+        start,
+        count,
+        root: TrytesHelper.fromTrits(tree.root.addressTrits),
+        address: TrytesHelper.fromTrits(addressTrits)
+    };
+}
+
+/**
+ * Get the name of the nonce search to use in a worker, only the built in providers can be sent to a worker.
+ * @param nonceSearch The nonce search provider.
+ * @returns The name of the nonce search or undefined to use the default.
+ * @internal
+ */
+function workerNonceSearch(nonceSearch?: INonceSearchProvider): IMamCreateMessageWorkerRequest["nonceSearch"] {
+    if (nonceSearch === undefined) {
+        return undefined;
+    } else if (nonceSearch instanceof HammingDiver) {
+        return "HammingDiver";
+    } else if (nonceSearch instanceof Int32HammingDiver) {
+        return "Int32HammingDiver";
+    }
+    throw new Error("The nonceSearch must be a HammingDiver or Int32HammingDiver to be used in a worker");
+}
+
+/**
+ * Validate the channel state.
+ * @param channelState The channel state to validate.
+ * @internal
+ */
+function validateChannelState(channelState: IMamChannelState): void {
+    if (!channelState) {
+        throw new Error("channelState must be provided");
+    }
+    if (channelState.start < 0) {
+        throw new Error("channelState.start must be >= 0");
+    }
+    validateTreeSize("channelState.count", channelState.count);
+    if (!Number.isInteger(channelState.index) || channelState.index < 0 || channelState.index >= channelState.count) {
+        throw new Error(`channelState.index must be >= 0 and < channelState.count, it is ${channelState.index}`);
+    }
+    if (channelState.security < 1 || channelState.security > 3) {
+        throw new Error(`channelState.security must be between 1 and 3, it is ${channelState.security}`);
+    }
 }
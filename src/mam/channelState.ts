@@ -0,0 +1,148 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelState } from "../models/IMamChannelState";
+import type { IMamChannelStateEnvelope } from "../models/IMamChannelStateEnvelope";
+import type { MamMode } from "../models/mamMode";
+import { isObject, validateModeKey, validateTreeSize } from "../utils/guards";
+import { TrytesHelper } from "../utils/trytesHelper";
+
+/**
+ * The version of the envelope written by exportChannelState.
+ */
+export const CHANNEL_STATE_VERSION: number = 1;
+
+/**
+ * Export the channel state so that it can be stored, the state is validated
+ * and written in a versioned envelope which importChannelState can read.
+ * @param channelState The channel state to export.
+ * @returns The exported channel state as JSON.
+ */
+export function exportChannelState(channelState: IMamChannelState): string {
+    const envelope: IMamChannelStateEnvelope = {
+        version: CHANNEL_STATE_VERSION,
+        channelState: validateStoredChannelState(channelState)
+    };
+
+    return JSON.stringify(envelope);
+}
+
+/**
+ * Import a channel state, every field of the state is validated so that a corrupted
+ * state fails instead of being used to publish. Channel states stored as plain JSON
+ * and the layout used by the mam.client.js library are migrated to the current layout.
+ * @param data The JSON exported by exportChannelState.
+ * @returns The channel state.
+ */
+export function importChannelState(data: string): IMamChannelState {
+    let json: unknown;
+    try {
+        json = JSON.parse(data);
+    } catch (err) {
+        throw new Error(`The channel state is not valid JSON: ${err instanceof Error ? err.message : String(err)}`);
+    }
+
+    if (!isObject(json)) {
+        throw new Error("The channel state must be an object");
+    }
+
+    let stored: unknown;
+    if (json.version !== undefined) {
+        if (json.version !== CHANNEL_STATE_VERSION) {
+            throw new Error(
+                `The channel state version ${String(json.version)} is not supported, the latest version is ${
+                    CHANNEL_STATE_VERSION}`);
+        }
+        stored = json.channelState;
+    } else if (isObject(json.channel)) {
+        stored = migrateClientLayout(json, json.channel);
+    } else {
+        stored = migratePlainLayout(json);
+    }
+
+    return validateStoredChannelState(stored);
+}
+
+/**
+ * Migrate a channel state stored as plain JSON before the envelope was introduced.
+ * @param json The stored state.
+ * @returns The state in the current layout.
+ * @internal
+ */
+function migratePlainLayout(json: { [key: string]: unknown }): unknown {
+    return {
+        ...json,
+        sideKey: json.sideKey ?? undefined,
+        nextRoot: json.nextRoot ?? undefined,
+        nextCount: json.nextCount ?? json.count
+    };
+}
+
+/**
+ * Migrate a channel state stored in the mam.client.js layout.
+ * @param json The stored state.
+ * @param channel The channel part of the stored state.
+ * @returns The state in the current layout.
+ * @internal
+ */
+function migrateClientLayout(json: { [key: string]: unknown }, channel: { [key: string]: unknown }): unknown {
+    return {
+        seed: json.seed,
+        mode: channel.mode,
+        sideKey: channel.side_key ?? undefined,
+        security: channel.security,
+        start: channel.start,
+        count: channel.count,
+        nextRoot: channel.next_root ?? undefined,
+        nextCount: channel.next_count ?? channel.count,
+        index: channel.index
+    };
+}
+
+/**
+ * Validate all of the fields in a stored channel state.
+ * @param stored The stored channel state.
+ * @returns A copy of the channel state containing only the known fields.
+ * @internal
+ */
+function validateStoredChannelState(stored: unknown): IMamChannelState {
+    if (!isObject(stored)) {
+        throw new Error("channelState must be an object");
+    }
+
+    const { seed, mode, sideKey, security, start, count, nextCount, index, nextRoot } = stored;
+
+    if (typeof seed !== "string" || !TrytesHelper.isHash(seed)) {
+        throw new Error("channelState.seed must be 81 trytes long");
+    }
+    if (sideKey !== undefined && typeof sideKey !== "string") {
+        throw new Error("channelState.sideKey must be a string");
+    }
+    validateModeKey(mode as MamMode, sideKey);
+    if (typeof security !== "number" || !Number.isInteger(security) || security < 1 || security > 3) {
+        throw new Error(`channelState.security must be an integer between 1 and 3, it is ${String(security)}`);
+    }
+    if (typeof start !== "number" || !Number.isInteger(start) || start < 0) {
+        throw new Error(`channelState.start must be an integer >= 0, it is ${String(start)}`);
+    }
+    validateTreeSize("channelState.count", count as number);
+    validateTreeSize("channelState.nextCount", nextCount as number);
+    if (typeof index !== "number" || !Number.isInteger(index) || index < 0 || index >= (count as number)) {
+        throw new Error(`channelState.index must be an integer >= 0 and < channelState.count, it is ${
+            String(index)}`);
+    }
+    if (nextRoot !== undefined && (typeof nextRoot !== "string" || !TrytesHelper.isHash(nextRoot))) {
+        throw new Error("channelState.nextRoot must be 81 trytes long");
+    }
+
+    return {
+        seed,
+        mode: mode as MamMode,
+        sideKey: mode === "restricted" ? (sideKey as string).padEnd(81, "9") : undefined,
+        security,
+        start,
+        count: count as number,
+        nextRoot,
+        nextCount: nextCount as number,
+        index
+    };
+}
@@ -1,29 +1,43 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
-import { Blake2b } from "@iota/crypto.js";
-import { IClient, IIndexationPayload, IMessage, IMessagesResponse, INDEXATION_PAYLOAD_TYPE, SingleNodeClient } from "@iota/iota.js";
-import { Converter } from "@iota/util.js";
+import type { IMessage } from "@iota/iota.js";
+import { MamError } from "../errors/mamError";
+import { MamModeKeyError } from "../errors/mamModeKeyError";
+import { MamTruncatedPayloadError } from "../errors/mamTruncatedPayloadError";
+import type { IMamChannelFetch } from "../models/IMamChannelFetch";
+import type { IMamCombinedFetchResult } from "../models/IMamCombinedFetchResult";
 import type { IMamFetchedMessage } from "../models/IMamFetchedMessage";
+import type { IMamFetchOptions } from "../models/IMamFetchOptions";
+import type { IMamFetchReport } from "../models/IMamFetchReport";
+import type { IMamListenOptions } from "../models/IMamListenOptions";
 import type { IMamMessage } from "../models/IMamMessage";
+import type { IMamTransport } from "../models/IMamTransport";
+import type { ITaggedDataBlock } from "../models/ITaggedDataBlock";
+import type { MamClient } from "../models/mamClient";
 import type { MamMode } from "../models/mamMode";
-import { validateModeKey } from "../utils/guards";
+import { IndexationTransport } from "../transport/indexationTransport";
+import { resolveTransport } from "../transport/resolveTransport";
+import { TaggedDataTransport } from "../transport/taggedDataTransport";
+import { validateModeKey, validateRoot } from "../utils/guards";
 import { maskHash } from "../utils/mask";
+import { withTimeout } from "../utils/timeout";
 import { TrytesHelper } from "../utils/trytesHelper";
-import { parseMessage } from "./parser";
+import { parseMessageDetailed } from "./parser";
+import { MamSubscription } from "./subscription";
 
 /**
  * Attach the mam message to the tangle.
- * @param client The client or node endpoint to use for sending.
+ * @param client The client, node endpoint or transport to use for sending.
  * @param mamMessage The message to attach.
  * @param tag Optional tag for the transactions.
  * @returns The transactions that were attached.
  */
-export async function mamAttach(
-    client: IClient | string,
+export async function mamAttach<T = IMessage>(
+    client: MamClient | string | IMamTransport<T>,
     mamMessage: IMamMessage,
     tag?: string): Promise<{
         messageId: string;
-        message: IMessage;
+        message: T;
     }> {
     if (tag !== undefined && typeof tag !== "string") {
         throw new Error("MWM and depth are no longer needed when calling mamAttach");
@@ -44,62 +58,91 @@ export async function mamAttach(
     }
     data.set(packedData, 1 + packedTaglength);
 
-    const hashedAddress = Blake2b.sum256(Converter.utf8ToBytes(mamMessage.address));
-
-    const indexationPayload: IIndexationPayload = {
-        type: INDEXATION_PAYLOAD_TYPE,
-        index: Converter.bytesToHex(hashedAddress),
-        data: Converter.bytesToHex(data)
-    };
-
-    const message: IMessage = {
-        payload: indexationPayload
-    };
-
-    const localClient = typeof client === "string" ? new SingleNodeClient(client) : client;
-    const messageId = await localClient.messageSubmit(message);
-
-    return {
-        message,
-        messageId
-    };
+    return resolveTransport(client).submit(mamMessage.address, data);
 }
 
 /**
  * Fetch a mam message from a channel.
- * @param client The client or node endpoint to use for fetching.
+ * If the channel tree has more than one leaf there can be more than one message for the root,
+ * in which case the message with the lowest index is returned, use mamFetchRoot to get them all.
+ * The messages at the address are retrieved concurrently, retrieval stops once a message is found
+ * which no other message for the root can come before.
+ * @param client The client, node endpoint or transport to use for fetching.
  * @param root The root within the mam channel to fetch the message.
  * @param mode The mode to use for fetching.
  * @param sideKey The sideKey if mode is restricted.
+ * @param options Options for retrieving the messages.
  * @returns The decoded message and the nextRoot if successful, undefined if no messages found,
  * throws exception if transactions found on address are invalid.
  */
 export async function mamFetch(
-    client: IClient | string,
+    client: MamClient | string | IMamTransport,
     root: string,
     mode: MamMode,
-    sideKey?: string): Promise<IMamFetchedMessage | undefined> {
+    sideKey?: string,
+    options?: IMamFetchOptions): Promise<IMamFetchedMessage | undefined> {
+    validateRoot(root);
     validateModeKey(mode, sideKey);
-    const localClient = typeof client === "string" ? new SingleNodeClient(client) : client;
+    validateFetchOptions(options);
+    const transport = resolveTransport(client);
 
-    const messageAddress = decodeAddress(root, mode);
+    try {
+        const fetched = await fetchMessages(transport, root, mode, sideKey, options, true);
+        return fetched[0];
+    } catch { }
+}
 
-    const hashedAddress = Blake2b.sum256(Converter.utf8ToBytes(messageAddress));
+/**
+ * Fetch all the mam messages for a root in a channel.
+ * If the channel tree has more than one leaf there can be more than one message for the root,
+ * they all share the same nextRoot.
+ * @param client The client, node endpoint or transport to use for fetching.
+ * @param root The root within the mam channel to fetch the messages.
+ * @param mode The mode to use for fetching.
+ * @param sideKey The sideKey if mode is restricted.
+ * @param options Options for retrieving the messages.
+ * @returns The decoded messages ordered by their index in the tree, empty if no messages found.
+ */
+export async function mamFetchRoot(
+    client: MamClient | string | IMamTransport,
+    root: string,
+    mode: MamMode,
+    sideKey?: string,
+    options?: IMamFetchOptions): Promise<IMamFetchedMessage[]> {
+    validateRoot(root);
+    validateModeKey(mode, sideKey);
+    validateFetchOptions(options);
+    const transport = resolveTransport(client);
 
     try {
-        const messagesResponse: IMessagesResponse = await localClient.messagesFind(hashedAddress);
-
-        const messages: IMessage[] = [];
+        return await fetchMessages(transport, root, mode, sideKey, options);
+    } catch {
+        return [];
+    }
+}
 
-        for (const messageId of messagesResponse.messageIds) {
-            try {
-                const message = await localClient.message(messageId);
-                messages.push(message);
-            } catch { }
-        }
+/**
+ * Fetch all the mam messages for a root in a channel and report on every message found at the address.
+ * Unlike mamFetchRoot this rejects if the messages can not be found, so a transport failure can be
+ * told apart from nothing being published, and it lists the messages which failed to load or decode.
+ * @param client The client, node endpoint or transport to use for fetching.
+ * @param root The root within the mam channel to fetch the messages.
+ * @param mode The mode to use for fetching.
+ * @param sideKey The sideKey if mode is restricted.
+ * @param options Options for retrieving the messages.
+ * @returns The report for the fetch.
+ */
+export async function mamFetchDetailed(
+    client: MamClient | string | IMamTransport,
+    root: string,
+    mode: MamMode,
+    sideKey?: string,
+    options?: IMamFetchOptions): Promise<IMamFetchReport> {
+    validateRoot(root);
+    validateModeKey(mode, sideKey);
+    validateFetchOptions(options);
 
-        return await decodeMessages(messages, root, sideKey);
-    } catch { }
+    return fetchReport(resolveTransport(client), root, mode, sideKey, options);
 }
 
 /**
@@ -118,22 +161,28 @@ export function decodeAddress(root: string, mode: MamMode): string {
  * Fetch all the mam message from a channel.
  * If limit is undefined we use Number.MAX_VALUE, this could potentially take a long time to complete.
  * It is preferable to specify the limit so you read the data in chunks, then if you read and get the
- * same amount of messages as your limit you should probably read again.
- * @param client The client or node endpoint to use for fetching.
+ * same amount of messages as your limit you should probably read again from the nextRoot of the last message.
+ * All the messages for a root are always returned together, so there can be more messages than the limit.
+ * If the index of the last message is below treeSize - 1 more messages can still be published to its root.
+ * @param client The client, node endpoint or transport to use for fetching.
  * @param root The root within the mam channel to fetch the message.
  * @param mode The mode to use for fetching.
  * @param sideKey The sideKey if mode is restricted.
- * @param limit Limit the number of messages retrieved.
+ * @param limit Stop retrieving once this number of messages have been retrieved.
+ * @param options Options for retrieving the messages at each root.
  * @returns The array of retrieved messages.
  */
 export async function mamFetchAll(
-    client: IClient | string,
+    client: MamClient | string | IMamTransport,
     root: string,
     mode: MamMode,
     sideKey?: string,
-    limit?: number): Promise<IMamFetchedMessage[]> {
-    const localClient = typeof client === "string" ? new SingleNodeClient(client) : client;
+    limit?: number,
+    options?: IMamFetchOptions): Promise<IMamFetchedMessage[]> {
+    const transport = resolveTransport(client);
+    validateRoot(root);
     validateModeKey(mode, sideKey);
+    validateFetchOptions(options);
 
     const localLimit = limit === undefined ? Number.MAX_VALUE : limit;
     const messages: IMamFetchedMessage[] = [];
@@ -141,10 +190,10 @@ export async function mamFetchAll(
     let fetchRoot: string | undefined = root;
 
     do {
-        const fetched: IMamFetchedMessage | undefined = await mamFetch(localClient, fetchRoot, mode, sideKey);
-        if (fetched) {
-            messages.push(fetched);
-            fetchRoot = fetched.nextRoot;
+        const fetched: IMamFetchedMessage[] = await mamFetchRoot(transport, fetchRoot, mode, sideKey, options);
+        if (fetched.length > 0) {
+            messages.push(...fetched);
+            fetchRoot = fetched[fetched.length - 1].nextRoot;
         } else {
             fetchRoot = undefined;
         }
@@ -153,8 +202,102 @@ export async function mamFetchAll(
     return messages;
 }
 
+/**
+ * Fetch the next message from each of a list of channels, the channels are fetched concurrently.
+ * The roots in the returned results are advanced for any channel where the messages for every leaf
+ * of the tree have been found, until then the root is kept and the index is advanced past the messages
+ * found, so the results can be passed straight back in to poll for the following messages.
+ * @param client The client, node endpoint or transport to use for fetching.
+ * @param channels The details of the channels to fetch.
+ * @param options Options for retrieving the messages for each channel.
+ * @returns The result of the fetch for each channel, in the same order as the channels.
+ */
+export async function mamFetchCombined(
+    client: MamClient | string | IMamTransport,
+    channels: IMamChannelFetch[],
+    options?: IMamFetchOptions): Promise<IMamCombinedFetchResult[]> {
+    if (!Array.isArray(channels)) {
+        throw new TypeError("channels must be an array");
+    }
+    validateFetchOptions(options);
+    const transport = resolveTransport(client);
+
+    return Promise.all(channels.map(async channel => {
+        const result: IMamCombinedFetchResult = {
+            root: channel.root,
+            mode: channel.mode,
+            sideKey: channel.sideKey,
+            index: channel.index,
+            status: "notPublished"
+        };
+
+        try {
+            validateRoot(channel.root);
+            validateModeKey(channel.mode, channel.sideKey);
+            const fromIndex = channel.index ?? 0;
+            if (!Number.isInteger(fromIndex) || fromIndex < 0) {
+                throw new Error(`The index must be an integer >= 0, it is ${fromIndex}`);
+            }
+
+            const allFetched = await fetchMessages(transport, channel.root, channel.mode, channel.sideKey, options);
+            const fetched = allFetched.filter(m => m.index >= fromIndex);
+            if (fetched.length > 0) {
+                const last = fetched[fetched.length - 1];
+                result.status = "found";
+                result.message = fetched[0];
+                result.messages = fetched;
+                if (last.index === last.treeSize - 1) {
+                    result.root = last.nextRoot;
+                    result.index = undefined;
+                } else {
+                    result.index = last.index + 1;
+                }
+            }
+        } catch (err) {
+            result.status = "error";
+            result.error = errorMessage(err);
+            if (err instanceof MamError) {
+                result.errorCode = err.code;
+            }
+        }
+
+        return result;
+    }));
+}
+
+/**
+ * Listen to a channel for new messages, polling from the root and advancing
+ * to the next root once the messages for every leaf of its tree have been found. The messages can be consumed
+ * using the message event or by iterating the subscription with for await.
+ * If a poll finds no messages the interval is increased by the backoff factor
+ * up to the maximum interval, it is reset once messages are found again.
+ * @param client The client, node endpoint or transport to use for fetching.
+ * @param root The root within the mam channel to start listening from.
+ * @param mode The mode to use for fetching.
+ * @param sideKey The sideKey if mode is restricted.
+ * @param options Options for the polling, including a signal to stop listening.
+ * @returns The subscription to the channel.
+ */
+export function mamListen(
+    client: MamClient | string | IMamTransport,
+    root: string,
+    mode: MamMode,
+    sideKey?: string,
+    options?: IMamListenOptions): MamSubscription {
+    validateRoot(root);
+    validateModeKey(mode, sideKey);
+    const transport = resolveTransport(client);
+
+    return new MamSubscription(
+        async fetchRoot => fetchMessages(transport, fetchRoot, mode, sideKey),
+        root,
+        options);
+}
+
 /**
  * Decode messages from an address to try and find a MAM message.
+ * Both Chrysalis indexation payloads and Stardust tagged data payloads are decoded.
+ * If more than one valid message is found the one with the lowest index is returned.
  * @param messages The objects returned from the fetch.
  * @param root The root within the mam channel to fetch the message.
  * @param sideKey The sideKey if mode is restricted.
@@ -162,38 +305,290 @@ export async function mamFetchAll(
  * throws exception if transactions found on address are invalid.
  */
 export async function decodeMessages(
-    messages: IMessage[],
+    messages: (IMessage | ITaggedDataBlock)[],
     root: string,
     sideKey?: string):
     Promise<IMamFetchedMessage | undefined> {
+    validateRoot(root);
+    if (sideKey !== undefined && !TrytesHelper.isTrytes(sideKey)) {
+        throw new MamModeKeyError("The sideKey must be in trytes");
+    }
     if (!messages || messages.length === 0) {
         return;
     }
 
+    const payloads: Uint8Array[] = [];
     for (const message of messages) {
-        // We only use indexation payload for storing mam messages
-        if (message.payload?.type === INDEXATION_PAYLOAD_TYPE && message.payload.data) {
-            const payloadBytes = Converter.hexToBytes(message.payload.data);
-
-            // We have a minimum size for the message payload
-            if (payloadBytes.length > 100) {
-                const packedTagLength = payloadBytes[0];
-                const packedTag = packedTagLength > 0 ? payloadBytes.slice(1, 1 + packedTagLength) : undefined;
-                const packedData = payloadBytes.slice(1 + packedTagLength);
-
-                const tag = packedTag ? TrytesHelper.unpackTrytes(packedTag) : "";
-                const data = TrytesHelper.unpackTrytes(packedData);
-
-                try {
-                    const parsed = parseMessage(data, root, sideKey);
-                    return {
-                        root,
-                        ...parsed,
-                        tag
-                    };
-                } catch { }
+        const data = IndexationTransport.extractData(message as IMessage) ??
+            TaggedDataTransport.extractData(message as ITaggedDataBlock);
+        if (data) {
+            payloads.push(data);
+        }
+    }
+
+    return decodePayloads(payloads, root, sideKey)[0];
+}
+
+/**
+ * The number of messages retrieved at the same time if no concurrency is specified.
+ * @internal
+ */
+const DEFAULT_FETCH_CONCURRENCY = 4;
+
+/**
+ * Fetch the mam messages for a root from a channel, errors from the transport are not caught.
+ * Retrieval stops once a message is found from a tree with a single leaf, as there can be no other
+ * messages for the root, or if only the first message is needed once the message with index 0 is found.
+ * @param transport The transport to use for fetching.
+ * @param root The root within the mam channel to fetch the message.
+ * @param mode The mode to use for fetching.
+ * @param sideKey The sideKey if mode is restricted.
+ * @param options Options for retrieving the messages.
+ * @param firstOnly Only the message with the lowest index is needed.
+ * @returns The decoded messages ordered by their index.
+ * @internal
+ */
+async function fetchMessages(
+    transport: IMamTransport,
+    root: string,
+    mode: MamMode,
+    sideKey?: string,
+    options?: IMamFetchOptions,
+    firstOnly?: boolean): Promise<IMamFetchedMessage[]> {
+    const report = await fetchReport(transport, root, mode, sideKey, options,
+        (message, siblingsCount) => siblingsCount === 0 || (firstOnly === true && message.index === 0));
+    return report.messages;
+}
+
+/**
+ * Fetch the mam messages for a root from a channel and report on every message found,
+ * errors from finding the messages are not caught.
+ * The messages are retrieved concurrently but the report is assembled in the order of their ids,
+ * so if there is more than one payload for an index the first one is used.
+ * @param transport The transport to use for fetching.
+ * @param root The root within the mam channel to fetch the message.
+ * @param mode The mode to use for fetching.
+ * @param sideKey The sideKey if mode is restricted.
+ * @param options Options for retrieving the messages.
+ * @param isComplete Is the fetch complete once the message has been decoded, no further messages are retrieved.
+ * @returns The report for the fetch.
+ * @internal
+ */
+async function fetchReport(
+    transport: IMamTransport,
+    root: string,
+    mode: MamMode,
+    sideKey?: string,
+    options?: IMamFetchOptions,
+    isComplete?: (message: IMamFetchedMessage, siblingsCount: number) => boolean): Promise<IMamFetchReport> {
+    const address = decodeAddress(root, mode);
+    const messageIds = await withTimeout(
+        transport.findMessageIds(address), options?.timeout, `find the messages for ${address}`);
+
+    const outcomes: FetchOutcome[] = [];
+    let nextPosition = 0;
+    let complete = false;
+
+    const retrieve = async () => {
+        while (!complete && nextPosition < messageIds.length) {
+            const position = nextPosition++;
+            const outcome = await fetchOutcome(transport, messageIds[position], root, sideKey, options?.timeout);
+            outcomes[position] = outcome;
+            if (outcome.decoded && isComplete?.(outcome.decoded.message, outcome.decoded.siblingsCount)) {
+                complete = true;
+            }
+        }
+    };
+
+    const concurrency = Math.min(options?.concurrency ?? DEFAULT_FETCH_CONCURRENCY, messageIds.length);
+    const workers: Promise<void>[] = [];
+    for (let i = 0; i < concurrency; i++) {
+        workers.push(retrieve());
+    }
+    await Promise.all(workers);
+
+    const report: IMamFetchReport = {
+        root,
+        address,
+        messageIds,
+        messages: [],
+        loadFailures: [],
+        decodeFailures: []
+    };
+
+    for (const outcome of outcomes) {
+        if (outcome.loadFailure) {
+            report.loadFailures.push(outcome.loadFailure);
+        } else if (outcome.decodeFailure) {
+            report.decodeFailures.push(outcome.decodeFailure);
+        } else if (outcome.decoded) {
+            const decoded = outcome.decoded.message;
+            if (!report.messages.some(m => m.index === decoded.index)) {
+                report.messages.push(decoded);
             }
         }
     }
+
+    report.messages.sort((a, b) => a.index - b.index);
+
+    return report;
+}
+
+/**
+ * The outcome of loading and decoding a message.
+ * @internal
+ */
+interface FetchOutcome {
+    /**
+     * The failure if the message could not be loaded.
+     */
+    loadFailure?: IMamFetchReport["loadFailures"][0];
+    /**
+     * The failure if the message could not be decoded.
+     */
+    decodeFailure?: IMamFetchReport["decodeFailures"][0];
+    /**
+     * The message if it was decoded.
+     */
+    decoded?: {
+        /**
+         * The decoded message.
+         */
+        message: IMamFetchedMessage;
+        /**
+         * The number of siblings in the tree the message was signed with.
+         */
+        siblingsCount: number;
+    };
+}
+
+/**
+ * Load and decode a message.
+ * @param transport The transport to use for fetching.
+ * @param messageId The id of the message.
+ * @param root The root within the mam channel to fetch the message.
+ * @param sideKey The sideKey if mode is restricted.
+ * @param timeout The time in milliseconds to wait for the message to load.
+ * @returns The outcome for the message.
+ * @internal
+ */
+async function fetchOutcome(
+    transport: IMamTransport,
+    messageId: string,
+    root: string,
+    sideKey?: string,
+    timeout?: number): Promise<FetchOutcome> {
+    let data: Uint8Array | undefined;
+    try {
+        data = await withTimeout(transport.get(messageId), timeout, `get the message ${messageId}`);
+    } catch (err) {
+        return { loadFailure: { messageId, error: errorMessage(err) } };
+    }
+
+    if (!data) {
+        return { decodeFailure: { messageId, error: "The message does not contain MAM data" } };
+    }
+
+    try {
+        return { decoded: decodePayload(data, root, sideKey) };
+    } catch (err) {
+        return {
+            decodeFailure: {
+                messageId,
+                error: errorMessage(err),
+                errorCode: err instanceof MamError ? err.code : undefined
+            }
+        };
+    }
 }
 
+/**
+ * Decode the packed payloads from an address to find all the valid MAM messages.
+ * @param payloads The packed payloads.
+ * @param root The root within the mam channel to fetch the message.
+ * @param sideKey The sideKey if mode is restricted.
+ * @returns The decoded messages ordered by their index, if there is more than one
+ * payload for an index the first one is used.
+ * @internal
+ */
+function decodePayloads(
+    payloads: Uint8Array[],
+    root: string,
+    sideKey?: string): IMamFetchedMessage[] {
+    const decoded: IMamFetchedMessage[] = [];
+
+    for (const payloadBytes of payloads) {
+        try {
+            const parsed = decodePayload(payloadBytes, root, sideKey).message;
+            if (!decoded.some(d => d.index === parsed.index)) {
+                decoded.push(parsed);
+            }
+        } catch { }
+    }
+
+    return decoded.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Decode a packed payload.
+ * @param payloadBytes The packed payload.
+ * @param root The root within the mam channel to fetch the message.
+ * @param sideKey The sideKey if mode is restricted.
+ * @returns The decoded message and the number of siblings in the tree it was signed with.
+ * @internal
+ */
+function decodePayload(payloadBytes: Uint8Array, root: string, sideKey?: string): {
+    message: IMamFetchedMessage;
+    siblingsCount: number;
+} {
+    // We have a minimum size for the message payload
+    if (payloadBytes.length <= 100) {
+        throw new MamTruncatedPayloadError(
+            `The payload is truncated, it is ${payloadBytes.length} bytes which is too short for a message`);
+    }
+    const packedTagLength = payloadBytes[0];
+    const packedTag = packedTagLength > 0 ? payloadBytes.slice(1, 1 + packedTagLength) : undefined;
+    const packedData = payloadBytes.slice(1 + packedTagLength);
+
+    const tag = packedTag ? TrytesHelper.unpackTrytes(packedTag) : "";
+    const data = TrytesHelper.unpackTrytes(packedData);
+
+    const parsed = parseMessageDetailed(data, root, sideKey);
+
+    return {
+        message: {
+            root,
+            message: parsed.message,
+            nextRoot: parsed.nextRoot,
+            index: parsed.index,
+            treeSize: 2 ** parsed.siblingsCount,
+            tag
+        },
+        siblingsCount: parsed.siblingsCount
+    };
+}
+
+/**
+ * Validate the options for fetching messages.
+ * @param options The options to validate.
+ * @internal
+ */
+function validateFetchOptions(options?: IMamFetchOptions): void {
+    if (options?.concurrency !== undefined &&
+        (!Number.isInteger(options.concurrency) || options.concurrency < 1)) {
+        throw new Error("The concurrency must be an integer of at least 1");
+    }
+    if (options?.timeout !== undefined && !(options.timeout > 0)) {
+        throw new Error("The timeout must be greater than 0");
+    }
+}
+
+/**
+ * Get the message from an error.
+ * @param err The error.
+ * @returns The message.
+ * @internal
+ */
+function errorMessage(err: unknown): string {
+    return err instanceof Error ? err.message : String(err);
+}
@@ -1,11 +1,18 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
 import { Curl } from "@iota/crypto.js";
+import { MamInvalidTrytesError } from "../errors/mamInvalidTrytesError";
+import { MamSecurityChecksumError } from "../errors/mamSecurityChecksumError";
+import { MamSignatureError } from "../errors/mamSignatureError";
+import { MamTruncatedPayloadError } from "../errors/mamTruncatedPayloadError";
 import { MerkleTree } from "../merkle/merkleTree";
+import type { IMamParsedMessageDetails } from "../models/IMamParsedMessageDetails";
 import { checksumSecurity, digestFromSignature, PRIVATE_KEY_FRAGMENT_LENGTH } from "../signing/iss-p27";
+import { validateRoot } from "../utils/guards";
 import { unmask } from "../utils/mask";
 import { pascalDecode } from "../utils/pascal";
 import { TrytesHelper } from "../utils/trytesHelper";
+import { createSponge } from "../wasm/wasm";
 
 /**
  * Parse the trytes back to the original message.
@@ -24,21 +31,51 @@ export function parseMessage(payload: string, root: string, channelKey?: string)
      */
     message: string;
 } {
+    const parsed = parseMessageDetailed(payload, root, channelKey);
+
+    return {
+        nextRoot: parsed.nextRoot,
+        message: parsed.message
+    };
+}
+
+/**
+ * Parse the trytes back to the original message, including the details of the verification
+ * so that it can be shown which leaf signed the message and at what security level.
+ * @param payload The trytes to decode.
+ * @param root The root for the message.
+ * @param channelKey The key used to encode the data.
+ * @returns The decoded message and the details of the verification.
+ */
+export function parseMessageDetailed(payload: string, root: string, channelKey?: string): IMamParsedMessageDetails {
+    if (typeof payload !== "string" || !TrytesHelper.isTrytes(payload)) {
+        throw new MamInvalidTrytesError("The payload must be in trytes");
+    }
+    validateRoot(root);
+    if (channelKey !== undefined && (typeof channelKey !== "string" || !TrytesHelper.isTrytes(channelKey))) {
+        throw new MamInvalidTrytesError("The channelKey must be in trytes");
+    }
+
     const payloadTrits = TrytesHelper.toTrits(payload);
     const rootTrits = TrytesHelper.toTrits(root);
     const channelKeyTrits = TrytesHelper.toTrits(channelKey ?? "9".repeat(81));
 
     // Get data positions in payload
-    const indexData = pascalDecode(payloadTrits);
+    const indexData = decodeLength(payloadTrits, 0, "index");
     const index = indexData.value;
-    const messageData = pascalDecode(payloadTrits.slice(indexData.end));
+    const messageData = decodeLength(payloadTrits, indexData.end, "message length");
     const messageLength = messageData.value;
-    const nextRootStart = indexData.end + messageData.end;
+    const nextRootStart = messageData.end;
     const messageStart = nextRootStart + Curl.HASH_LENGTH;
     const messageEnd = messageStart + messageLength;
+    if (payloadTrits.length < messageEnd + (Curl.HASH_LENGTH / 3)) {
+        throw new MamTruncatedPayloadError(
+            `The payload is truncated, it is ${payloadTrits.length} trits but the message and nonce end at ${
+                messageEnd + (Curl.HASH_LENGTH / 3)}`);
+    }
 
     // Hash the key, root and payload
-    const sponge = new Curl(27);
+    const sponge = createSponge(27);
     sponge.absorb(channelKeyTrits, 0, channelKeyTrits.length);
     sponge.absorb(rootTrits, 0, rootTrits.length);
     sponge.absorb(payloadTrits, 0, nextRootStart);
@@ -52,7 +89,8 @@ export function parseMessage(payload: string, root: string, channelKey?: string)
     // Check the security level is valid
     const securityLevel = checksumSecurity(hmac);
     if (securityLevel === 0) {
-        throw new Error("Message Hash did not have a hamming weight of zero, security level is invalid");
+        throw new MamSecurityChecksumError(
+            "Message Hash did not have a hamming weight of zero, security level is invalid");
     }
 
     // Decrypt the rest of the payload
@@ -60,28 +98,87 @@ export function parseMessage(payload: string, root: string, channelKey?: string)
     sponge.reset();
 
     // Get the signature and absorb its digest
-    const signature = decryptedMetadata.slice(0, securityLevel * PRIVATE_KEY_FRAGMENT_LENGTH);
+    const signatureLength = securityLevel * PRIVATE_KEY_FRAGMENT_LENGTH;
+    if (decryptedMetadata.length < signatureLength) {
+        throw new MamTruncatedPayloadError(
+            `The payload is truncated, the signature is ${decryptedMetadata.length} trits but it should be ${
+                signatureLength}`);
+    }
+    const signature = decryptedMetadata.slice(0, signatureLength);
     const digest = digestFromSignature(hmac, signature);
     sponge.absorb(digest, 0, digest.length);
 
     // Get the sibling information and validate it
-    const siblingsCountData = pascalDecode(decryptedMetadata.slice(securityLevel * PRIVATE_KEY_FRAGMENT_LENGTH));
+    // The siblings are only verified by the root, so if they can not be decoded
+    // the payload has been modified or decrypted with the wrong key
+    let siblingsCountData;
+    try {
+        siblingsCountData = decodeLength(decryptedMetadata, signatureLength, "siblings count");
+    } catch {
+        throw new MamSignatureError("Signature did not match expected root, the siblings count is not valid");
+    }
     const siblingsCount = siblingsCountData.value;
     let recalculatedRoot = sponge.rate();
     if (siblingsCount !== 0) {
-        const siblingsStart = (securityLevel * PRIVATE_KEY_FRAGMENT_LENGTH) + siblingsCountData.end;
-        const siblings = decryptedMetadata.slice(siblingsStart, siblingsStart + (siblingsCount * Curl.HASH_LENGTH));
+        const siblingsStart = siblingsCountData.end;
+        const siblingsEnd = siblingsStart + (siblingsCount * Curl.HASH_LENGTH);
+        if (decryptedMetadata.length < siblingsEnd) {
+            throw new MamSignatureError(
+                `Signature did not match expected root, the payload does not contain the ${siblingsCount} siblings`);
+        }
+        const siblings = decryptedMetadata.slice(siblingsStart, siblingsEnd);
 
         recalculatedRoot = MerkleTree.root(recalculatedRoot, siblings, index);
     }
 
     // Make sure the root matches the calculated one
-    if (TrytesHelper.fromTrits(recalculatedRoot) !== root) {
-        throw new Error("Signature did not match expected root");
+    const recalculatedRootTrytes = TrytesHelper.fromTrits(recalculatedRoot);
+    if (recalculatedRootTrytes !== root) {
+        throw new MamSignatureError("Signature did not match expected root");
     }
 
     return {
+        message: TrytesHelper.fromTrits(message),
         nextRoot: TrytesHelper.fromTrits(nextRoot),
-        message: TrytesHelper.fromTrits(message)
+        index,
+        securityLevel,
+        siblingsCount,
+        recalculatedRoot: recalculatedRootTrytes,
+        payloadTrytes: payload.length,
+        // Each tryte is packed in to 5 bits
+        payloadBytes: Math.ceil(payload.length * 5 / 8)
     };
 }
+
+/**
+ * Decode a pascal encoded length from the payload.
+ * @param trits The trits to decode from.
+ * @param start The position of the encoded length.
+ * @param name The name of the length for error messages.
+ * @returns The decoded length and the position after it.
+ * @internal
+ */
+function decodeLength(trits: Int8Array, start: number, name: string): {
+    /**
+     * The decoded length.
+     */
+    value: number;
+    /**
+     * The position after the encoded length.
+     */
+    end: number;
+} {
+    let decoded;
+    try {
+        decoded = pascalDecode(trits.slice(start));
+    } catch {
+        throw new MamTruncatedPayloadError(`The payload is truncated, it does not contain the ${name}`);
+    }
+    if (start + decoded.end > trits.length) {
+        throw new MamTruncatedPayloadError(`The payload is truncated, it does not contain the ${name}`);
+    }
+    if (!Number.isSafeInteger(decoded.value) || decoded.value < 0) {
+        throw new MamTruncatedPayloadError(`The payload ${name} is not valid, it is ${decoded.value}`);
+    }
+    return { value: decoded.value, end: start + decoded.end };
+}
@@ -0,0 +1,55 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamAbortError } from "../errors/mamAbortError";
+import type { IMamChannelStateStore } from "../models/IMamChannelStateStore";
+import type { IMamCreateMessageOptions } from "../models/IMamCreateMessageOptions";
+import type { IMamMessage } from "../models/IMamMessage";
+import { advanceChannelState, createMessage, validateCreateMessage } from "./channel";
+
+/**
+ * Create a message on a channel whose state is kept in a store. The index used for
+ * the message is reserved in the store before the message is signed, so two
+ * publishers sharing the store can never sign with the same one-time key, the
+ * publisher which loaded a stale revision fails instead. The message and options are
+ * validated before the index is reserved, if creating the message still fails the
+ * reserved index is skipped rather than reused. Once the message is created
+ * the state is saved again to record the next root, this is skipped if another publisher
+ * has saved the state since, as the index has already been reserved.
+ * @param store The store containing the channel state.
+ * @param id The id of the channel state in the store.
+ * @param message The trytes to include in the message.
+ * @param options Options for creating the message.
+ * @returns The prepared message, the updated channel state is saved in the store.
+ */
+export async function publish(
+    store: IMamChannelStateStore,
+    id: string,
+    message: string,
+    options?: IMamCreateMessageOptions): Promise<IMamMessage> {
+    const stored = await store.load(id);
+    if (!stored) {
+        throw new Error(`There is no channel state '${id}' in the store`);
+    }
+
+    validateCreateMessage(stored.channelState, message, options);
+    if (options?.signal?.aborted) {
+        throw new MamAbortError("The nonce search was aborted");
+    }
+
+    const reservedState = { ...stored.channelState };
+    advanceChannelState(reservedState);
+    const reservedRevision = await store.save(id, reservedState, stored.revision);
+
+    const channelState = { ...stored.channelState };
+    const mamMessage = createMessage(channelState, message, options);
+    try {
+        await store.save(id, channelState, reservedRevision);
+    } catch (err) {
+        const current = await store.load(id);
+        if (current?.revision === reservedRevision) {
+            throw err;
+        }
+    }
+
+    return mamMessage;
+}
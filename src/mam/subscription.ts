@@ -0,0 +1,365 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamFetchedMessage } from "../models/IMamFetchedMessage";
+import type { IMamListenOptions } from "../models/IMamListenOptions";
+
+/**
+ * Class to poll a channel for new messages.
+ */
+export class MamSubscription implements AsyncIterable<IMamFetchedMessage> {
+    /**
+     * The default interval between polls.
+     * @internal
+     */
+    private static readonly DEFAULT_INTERVAL: number = 5000;
+
+    /**
+     * The default maximum interval between polls.
+     * @internal
+     */
+    private static readonly DEFAULT_MAX_INTERVAL: number = 60000;
+
+    /**
+     * The default backoff factor.
+     * @internal
+     */
+    private static readonly DEFAULT_BACKOFF_FACTOR: number = 2;
+
+    /**
+     * The method to fetch the messages for a root.
+     * @internal
+     */
+    private readonly _fetcher: (root: string) => Promise<IMamFetchedMessage[]>;
+
+    /**
+     * The interval between polls when messages are found.
+     * @internal
+     */
+    private readonly _interval: number;
+
+    /**
+     * The maximum interval between polls.
+     * @internal
+     */
+    private readonly _maxInterval: number;
+
+    /**
+     * The backoff factor for the interval.
+     * @internal
+     */
+    private readonly _backoffFactor: number;
+
+    /**
+     * The signal to stop the polling.
+     * @internal
+     */
+    private readonly _signal?: AbortSignal;
+
+    /**
+     * The handler for the signal being aborted.
+     * @internal
+     */
+    private readonly _abortHandler: () => void;
+
+    /**
+     * The listeners for the events.
+     * @internal
+     */
+    private readonly _listeners: {
+        [event: string]: ((data?: IMamFetchedMessage | Error) => void)[];
+    };
+
+    /**
+     * The root to poll next.
+     * @internal
+     */
+    private _root: string;
+
+    /**
+     * The indexes of the messages already emitted for the root.
+     * @internal
+     */
+    private readonly _seen: Set<number>;
+
+    /**
+     * The current interval between polls.
+     * @internal
+     */
+    private _currentInterval: number;
+
+    /**
+     * The timer for the next poll.
+     * @internal
+     */
+    private _timer?: ReturnType<typeof setTimeout>;
+
+    /**
+     * Has the subscription been stopped.
+     * @internal
+     */
+    private _stopped: boolean;
+
+    /**
+     * Create a new instance of MamSubscription.
+     * @param fetcher The method to fetch the messages for a root.
+     * @param root The root to start polling from.
+     * @param options The options for the polling.
+     * @internal
+     */
+    constructor(
+        fetcher: (root: string) => Promise<IMamFetchedMessage[]>,
+        root: string,
+        options?: IMamListenOptions) {
+        this._interval = options?.interval ?? MamSubscription.DEFAULT_INTERVAL;
+        this._maxInterval = options?.maxInterval ?? Math.max(this._interval, MamSubscription.DEFAULT_MAX_INTERVAL);
+        this._backoffFactor = options?.backoffFactor ?? MamSubscription.DEFAULT_BACKOFF_FACTOR;
+
+        if (this._interval <= 0) {
+            throw new Error("options.interval must be > 0");
+        }
+        if (this._maxInterval < this._interval) {
+            throw new Error("options.maxInterval must be >= options.interval");
+        }
+        if (this._backoffFactor < 1) {
+            throw new Error("options.backoffFactor must be >= 1");
+        }
+
+        this._fetcher = fetcher;
+        this._root = root;
+        this._seen = new Set();
+        this._signal = options?.signal;
+        this._abortHandler = () => this.stop();
+        this._listeners = {};
+        this._currentInterval = this._interval;
+        this._stopped = false;
+
+        if (this._signal?.aborted) {
+            this._stopped = true;
+        } else {
+            this._signal?.addEventListener("abort", this._abortHandler);
+            this.schedule(0);
+        }
+    }
+
+    /**
+     * The root which will be polled next.
+     * @returns The root.
+     */
+    public get root(): string {
+        return this._root;
+    }
+
+    /**
+     * Has the subscription been stopped.
+     * @returns True if the subscription is stopped.
+     */
+    public get stopped(): boolean {
+        return this._stopped;
+    }
+
+    /**
+     * Add a listener for new messages.
+     * @param event The message event.
+     * @param callback The callback for each message.
+     * @returns The subscription.
+     */
+    public on(event: "message", callback: (message: IMamFetchedMessage) => void): this;
+
+    /**
+     * Add a listener for fetch errors, the polling continues after an error.
+     * Errors thrown by the message and stop listeners are also reported to the error listeners.
+     * @param event The error event.
+     * @param callback The callback for each error.
+     * @returns The subscription.
+     */
+    public on(event: "error", callback: (err: Error) => void): this;
+
+    /**
+     * Add a listener for the subscription stopping.
+     * @param event The stop event.
+     * @param callback The callback for the stop.
+     * @returns The subscription.
+     */
+    public on(event: "stop", callback: () => void): this;
+
+    /**
+     * Add a listener for an event.
+     * @param event The event to listen for.
+     * @param callback The callback for the event.
+     * @returns The subscription.
+     */
+    public on(event: string, callback: (data: never) => void): this {
+        this._listeners[event] = this._listeners[event] ?? [];
+        this._listeners[event].push(callback as (data?: IMamFetchedMessage | Error) => void);
+        return this;
+    }
+
+    /**
+     * Remove a listener for an event.
+     * @param event The event to remove the listener from.
+     * @param callback The callback to remove.
+     * @returns The subscription.
+     */
+    public off(event: "message" | "error" | "stop", callback: (data: never) => void): this {
+        if (this._listeners[event]) {
+            this._listeners[event] = this._listeners[event].filter(l => l !== callback);
+        }
+        return this;
+    }
+
+    /**
+     * Stop polling the channel.
+     */
+    public stop(): void {
+        if (!this._stopped) {
+            this._stopped = true;
+            this._signal?.removeEventListener("abort", this._abortHandler);
+            if (this._timer) {
+                clearTimeout(this._timer);
+                this._timer = undefined;
+            }
+            this.emit("stop");
+        }
+    }
+
+    /**
+     * Iterate the messages as they are fetched, the iteration completes when the subscription is stopped.
+     * Ending the iteration early, for example with a break from for await, stops the subscription.
+     * @returns The iterator.
+     */
+    public [Symbol.asyncIterator](): AsyncIterator<IMamFetchedMessage> {
+        const queue: IMamFetchedMessage[] = [];
+        const waiting: ((result: IteratorResult<IMamFetchedMessage>) => void)[] = [];
+
+        const onMessage = (message: IMamFetchedMessage) => {
+            const resolve = waiting.shift();
+            if (resolve) {
+                resolve({ value: message, done: false });
+            } else {
+                queue.push(message);
+            }
+        };
+        const onStop = () => {
+            for (const resolve of waiting.splice(0)) {
+                resolve({ value: undefined, done: true });
+            }
+        };
+        const detach = () => {
+            this.off("message", onMessage);
+            this.off("stop", onStop);
+        };
+
+        this.on("message", onMessage);
+        this.on("stop", onStop);
+
+        return {
+            next: async () => {
+                const message = queue.shift();
+                if (message) {
+                    return { value: message, done: false };
+                }
+                if (this._stopped) {
+                    detach();
+                    return { value: undefined, done: true };
+                }
+                return new Promise<IteratorResult<IMamFetchedMessage>>(resolve => {
+                    waiting.push(resolve);
+                });
+            },
+            return: async () => {
+                detach();
+                onStop();
+                this.stop();
+                return { value: undefined, done: true };
+            }
+        };
+    }
+
+    /**
+     * Schedule the next poll.
+     * @param delay The delay before polling.
+     * @internal
+     */
+    private schedule(delay: number): void {
+        if (!this._stopped) {
+            this._timer = setTimeout(async () => this.poll(), delay);
+        }
+    }
+
+    /**
+     * Poll the channel for all the messages available from the current root.
+     * The root is only advanced once the message for the last leaf of its tree has been found,
+     * until then it is polled again for the messages still to be published to it.
+     * @internal
+     */
+    private async poll(): Promise<void> {
+        this._timer = undefined;
+        let found = 0;
+
+        try {
+            let advanced: boolean;
+            do {
+                const fetched = await this._fetcher(this._root);
+                if (this._stopped) {
+                    return;
+                }
+                advanced = false;
+                for (const message of fetched) {
+                    // A listener can stop the subscription, in which case the remaining messages are not emitted
+                    if (this._stopped) {
+                        return;
+                    }
+                    if (!this._seen.has(message.index)) {
+                        this._seen.add(message.index);
+                        found++;
+                        this.emit("message", message);
+                    }
+                }
+                if (this._stopped) {
+                    return;
+                }
+                const last = fetched[fetched.length - 1];
+                if (last && last.index === last.treeSize - 1) {
+                    this._root = last.nextRoot;
+                    this._seen.clear();
+                    advanced = true;
+                }
+            } while (advanced);
+        } catch (err) {
+            if (this._stopped) {
+                return;
+            }
+            this.emit("error", err instanceof Error ? err : new Error(String(err)));
+        }
+
+        if (found > 0) {
+            this._currentInterval = this._interval;
+            this.schedule(this._currentInterval);
+        } else {
+            this.schedule(this._currentInterval);
+            this._currentInterval = Math.min(this._currentInterval * this._backoffFactor, this._maxInterval);
+        }
+    }
+
+    /**
+     * Emit an event to the listeners, errors thrown by the listeners are emitted as errors
+     * so they can not stop the polling, errors thrown by the error listeners are ignored.
+     * @param event The event to emit.
+     * @param data The data for the event.
+     * @internal
+     */
+    private emit(event: string, data?: IMamFetchedMessage | Error): void {
+        const listeners = this._listeners[event];
+        if (listeners) {
+            for (const listener of listeners.slice()) {
+                try {
+                    listener(data);
+                } catch (err) {
+                    if (event !== "error") {
+                        this.emit("error", err instanceof Error ? err : new Error(String(err)));
+                    }
+                }
+            }
+        }
+    }
+}
@@ -1,7 +1,9 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
 import { Curl } from "@iota/crypto.js";
+import type { IMamWorker } from "../models/IMamWorker";
 import { TrytesHelper } from "../utils/trytesHelper";
+import { createSponge } from "../wasm/wasm";
 import { generateAddress } from "./merkleHashGenerator";
 import { MerkleNode } from "./merkleNode";
 
@@ -21,13 +23,28 @@ export class MerkleTree {
      * @param index The start index for the creation.
      * @param count The count for the creation.
      * @param security The security level to create the hashes.
+     * @param addresses The addresses and private keys for the leaves if they have already been generated.
      */
-    constructor(seed: string, index: number, count: number, security: number) {
+    constructor(
+        seed: string,
+        index: number,
+        count: number,
+        security: number,
+        addresses?: {
+            /**
+             * The address.
+             */
+            address: Int8Array;
+            /**
+             * The private key for the address.
+             */
+            privateKey: Int8Array;
+        }[]) {
         const seedTrits = TrytesHelper.toTrits(seed);
         const leaves = [];
 
         for (let i = 0; i < count; i++) {
-            const addressPrivateKey = generateAddress(seedTrits, index + i, security);
+            const addressPrivateKey = addresses ? addresses[i] : generateAddress(seedTrits, index + i, security);
             leaves.push(new MerkleNode(undefined, undefined, addressPrivateKey.address, addressPrivateKey.privateKey));
             leaves[i].size = 1;
         }
@@ -35,6 +52,52 @@ export class MerkleTree {
         this.root = this.buildTree(leaves);
     }
 
+    /**
+     * Create a new instance of the merkle tree, generating the addresses for the leaves
+     * using the worker, split in to as many requests as the worker can execute in parallel.
+     * @param seed The seed to use for the tree.
+     * @param index The start index for the creation.
+     * @param count The count for the creation.
+     * @param security The security level to create the hashes.
+     * @param worker The worker to generate the addresses.
+     * @returns The tree.
+     */
+    public static async createAsync(
+        seed: string,
+        index: number,
+        count: number,
+        security: number,
+        worker: IMamWorker): Promise<MerkleTree> {
+        const concurrency = Math.max(1, Math.min(count, worker.concurrency ?? 1));
+        const chunkSize = Math.ceil(count / concurrency);
+
+        const requests = [];
+        for (let i = 0; i < count; i += chunkSize) {
+            requests.push(worker.execute({
+                type: "generateAddresses",
+                seed,
+                start: index + i,
+                count: Math.min(chunkSize, count - i),
+                security
+            }));
+        }
+
+        const addresses = [];
+        for (const response of await Promise.all(requests)) {
+            if (response.type !== "generateAddresses") {
+                throw new Error(`Unexpected worker response type '${response.type}'`);
+            }
+            for (const a of response.addresses) {
+                addresses.push({
+                    address: TrytesHelper.toTrits(a.address),
+                    privateKey: TrytesHelper.toTrits(a.privateKey)
+                });
+            }
+        }
+
+        return new MerkleTree(seed, index, count, security, addresses);
+    }
+
     /**
      * Recalculate the root for the siblings.
      * @param rate The current address.
@@ -43,7 +106,7 @@ export class MerkleTree {
      * @returns The new sibling root.
      */
     public static root(rate: Int8Array, siblings: Int8Array, index: number): Int8Array {
-        const sponge = new Curl(27);
+        const sponge = createSponge(27);
         let i = 1;
         const numChunks = Math.ceil(siblings.length / Curl.HASH_LENGTH);
         for (let c = 0; c < numChunks; c++) {
@@ -68,6 +131,39 @@ export class MerkleTree {
         return sponge.rate();
     }
 
+    /**
+     * Get the addresses and private keys of the leaves.
+     * @returns The leaves in index order.
+     * @internal
+     */
+    public leaves(): {
+        /**
+         * The address.
+         */
+        address: Int8Array;
+        /**
+         * The private key for the address.
+         */
+        privateKey: Int8Array;
+    }[] {
+        const leaves = [];
+        const nodes: MerkleNode[] = [this.root];
+        let node: MerkleNode | undefined;
+
+        while ((node = nodes.pop())) {
+            if (node.left) {
+                if (node.right) {
+                    nodes.push(node.right);
+                }
+                nodes.push(node.left);
+            } else if (node.privateKeyTrits) {
+                leaves.push({ address: node.addressTrits, privateKey: node.privateKeyTrits });
+            }
+        }
+
+        return leaves;
+    }
+
     /**
      * Get a sub tree.
      * @param index The index of the subtree.
@@ -136,7 +232,7 @@ export class MerkleTree {
             let addressTrits;
 
             if (right) {
-                const sponge = new Curl(27);
+                const sponge = createSponge(27);
 
                 sponge.absorb(left.addressTrits, 0, left.addressTrits.length);
                 sponge.absorb(right.addressTrits, 0, right.addressTrits.length);
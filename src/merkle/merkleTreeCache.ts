@@ -0,0 +1,159 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelState } from "../models/IMamChannelState";
+import type { IMamWorker } from "../models/IMamWorker";
+import { getDefaultWorker } from "../workers/defaultWorker";
+import { MerkleTree } from "./merkleTree";
+
+/**
+ * Cache for the Merkle trees of a channel, so that the next tree generated for
+ * one message can be reused as the current tree of the following message.
+ * The cached trees contain the private keys for the leaves, so the cache
+ * should be treated with the same care as the seed.
+ */
+export class MerkleTreeCache {
+    /**
+     * The default number of trees to cache, the current and next trees.
+     * @internal
+     */
+    private static readonly DEFAULT_MAX_SIZE: number = 2;
+
+    /**
+     * The maximum number of trees to cache.
+     * @internal
+     */
+    private readonly _maxSize: number;
+
+    /**
+     * The cached trees, most recently used last.
+     * @internal
+     */
+    private _trees: {
+        /**
+         * The key for the tree.
+         */
+        key: string;
+        /**
+         * The tree.
+         */
+        tree: MerkleTree;
+    }[];
+
+    /**
+     * Create a new instance of MerkleTreeCache.
+     * @param maxSize The maximum number of trees to cache, defaults to 2.
+     */
+    constructor(maxSize?: number) {
+        this._maxSize = maxSize ?? MerkleTreeCache.DEFAULT_MAX_SIZE;
+        if (!Number.isInteger(this._maxSize) || this._maxSize < 1) {
+            throw new Error(`maxSize must be an integer >= 1, it is ${this._maxSize}`);
+        }
+        this._trees = [];
+    }
+
+    /**
+     * The number of trees in the cache.
+     * @returns The number of trees.
+     */
+    public get size(): number {
+        return this._trees.length;
+    }
+
+    /**
+     * Remove all the trees from the cache.
+     */
+    public clear(): void {
+        this._trees = [];
+    }
+
+    /**
+     * Generate the current and next trees for the channel which are not already cached in parallel using workers
+     * and add them to the cache, the following createMessage for the channel will then not need to generate any trees.
+     * @param channelState The channel state to prepare the trees for.
+     * @param worker The worker to generate the addresses, defaults to a pool of worker threads in Node.
+     * @returns Nothing.
+     */
+    public async prepareAsync(channelState: IMamChannelState, worker?: IMamWorker): Promise<void> {
+        const poolWorker = worker ?? getDefaultWorker();
+
+        const trees = [
+            { index: channelState.start, count: channelState.count },
+            { index: channelState.start + channelState.count, count: channelState.nextCount }
+        ].map(t => ({ ...t, key: this.createKey(channelState.seed, t.index, t.count, channelState.security) }));
+
+        const created = await Promise.all(trees.map(async t =>
+            this._trees.find(c => c.key === t.key)?.tree ?? MerkleTree.createAsync(
+                channelState.seed,
+                t.index,
+                t.count,
+                channelState.security,
+                poolWorker)));
+
+        for (let i = 0; i < trees.length; i++) {
+            this.store(trees[i].key, created[i]);
+        }
+    }
+
+    /**
+     * Get a tree from the cache, creating it if it is not already cached.
+     * @param seed The seed to use for the tree.
+     * @param index The start index for the creation.
+     * @param count The count for the creation.
+     * @param security The security level to create the hashes.
+     * @returns The tree.
+     * @internal
+     */
+    public get(seed: string, index: number, count: number, security: number): MerkleTree {
+        const key = this.createKey(seed, index, count, security);
+        const cached = this._trees.find(t => t.key === key);
+
+        const tree = cached ? cached.tree : new MerkleTree(seed, index, count, security);
+
+        this.store(key, tree);
+
+        return tree;
+    }
+
+    /**
+     * Add a tree to the cache.
+     * @param seed The seed used for the tree.
+     * @param index The start index of the tree.
+     * @param security The security level of the hashes.
+     * @param tree The tree.
+     * @internal
+     */
+    public set(seed: string, index: number, security: number, tree: MerkleTree): void {
+        this.store(this.createKey(seed, index, tree.root.size, security), tree);
+    }
+
+    /**
+     * Create the key for a tree.
+     * @param seed The seed to use for the tree.
+     * @param index The start index for the creation.
+     * @param count The count for the creation.
+     * @param security The security level to create the hashes.
+     * @returns The key.
+     * @internal
+     */
+    private createKey(seed: string, index: number, count: number, security: number): string {
+        return `${security}/${index}/${count}/${seed}`;
+    }
+
+    /**
+     * Store the tree as the most recently used, removing the least recently used if the cache is full.
+     * @param key The key for the tree.
+     * @param tree The tree.
+     * @internal
+     */
+    private store(key: string, tree: MerkleTree): void {
+        const cachedIndex = this._trees.findIndex(t => t.key === key);
+        if (cachedIndex >= 0) {
+            this._trees.splice(cachedIndex, 1);
+        }
+
+        this._trees.push({ key, tree });
+        if (this._trees.length > this._maxSize) {
+            this._trees.shift();
+        }
+    }
+}
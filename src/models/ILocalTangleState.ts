@@ -0,0 +1,18 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMessage } from "@iota/iota.js";
+
+/**
+ * Definition of the stored state for a local tangle.
+ */
+export interface ILocalTangleState {
+    /**
+     * The messages stored by their id.
+     */
+    messages: { [messageId: string]: IMessage };
+    /**
+     * The message ids stored by their hex index, ids which are
+     * not in the messages are reported as missing when retrieved.
+     */
+    indexes: { [index: string]: string[] };
+}
@@ -0,0 +1,26 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { MamMode } from "./mamMode";
+
+/**
+ * Definition of a channel to fetch from.
+ */
+export interface IMamChannelFetch {
+    /**
+     * The root within the mam channel to fetch the message.
+     */
+    root: string;
+    /**
+     * The mode to use for fetching.
+     */
+    mode: MamMode;
+    /**
+     * The sideKey if mode is restricted.
+     */
+    sideKey?: string;
+    /**
+     * The index in the tree for the root to fetch from, the messages with lower indexes
+     * have already been fetched, defaults to 0.
+     */
+    index?: number;
+}
@@ -0,0 +1,17 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of the options for creating a channel.
+ */
+export interface IMamChannelOptions {
+    /**
+     * The number of leaves in the first Merkle tree of the channel, must be a power of 2, defaults to 1.
+     * Each tree has one root, so a larger tree means the root changes less often,
+     * but all of the leaves must be generated each time a message is created.
+     */
+    count?: number;
+    /**
+     * The number of leaves in each of the following Merkle trees, must be a power of 2, defaults to count.
+     */
+    nextCount?: number;
+}
@@ -0,0 +1,24 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of a root of a channel, all the messages signed by the leaves of
+ * the tree are published under the root.
+ */
+export interface IMamChannelRoot {
+    /**
+     * The index of the first leaf of the tree.
+     */
+    start: number;
+    /**
+     * The number of leaves in the tree, which is the number of messages published under the root.
+     */
+    count: number;
+    /**
+     * The root of the tree.
+     */
+    root: string;
+    /**
+     * The address the messages are published to, for private and restricted mode this is the hash of the root.
+     */
+    address: string;
+}
@@ -0,0 +1,17 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelState } from "./IMamChannelState";
+
+/**
+ * Definition of the versioned envelope written by exportChannelState.
+ */
+export interface IMamChannelStateEnvelope {
+    /**
+     * The version of the envelope layout.
+     */
+    version: number;
+    /**
+     * The channel state.
+     */
+    channelState: IMamChannelState;
+}
@@ -0,0 +1,26 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelState } from "./IMamChannelState";
+import type { IMamStoredChannelState } from "./IMamStoredChannelState";
+
+/**
+ * Definition of a store for channel states, every save increments the revision of
+ * the state so that concurrent updates can be detected.
+ */
+export interface IMamChannelStateStore {
+    /**
+     * Load a channel state.
+     * @param id The id of the channel state.
+     * @returns The channel state and its revision, or undefined if there is no state for the id.
+     */
+    load(id: string): Promise<IMamStoredChannelState | undefined>;
+
+    /**
+     * Save a channel state, the save must fail if the stored revision is not the expected revision.
+     * @param id The id of the channel state.
+     * @param channelState The channel state to save.
+     * @param revision The revision the state was loaded at, or undefined if the state is new.
+     * @returns The new revision of the state.
+     */
+    save(id: string, channelState: IMamChannelState, revision?: number): Promise<number>;
+}
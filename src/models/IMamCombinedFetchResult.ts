@@ -0,0 +1,35 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelFetch } from "./IMamChannelFetch";
+import type { IMamFetchedMessage } from "./IMamFetchedMessage";
+import type { MamErrorCode } from "./mamErrorCode";
+import type { MamFetchStatus } from "./mamFetchStatus";
+
+/**
+ * Definition of the result for a single channel in a combined fetch.
+ * The root and index are the ones to use for the next fetch, so the results can be
+ * passed straight back in to the next combined fetch.
+ */
+export interface IMamCombinedFetchResult extends IMamChannelFetch {
+    /**
+     * The status of the fetch for the channel.
+     */
+    status: MamFetchStatus;
+    /**
+     * The first message fetched if the status is found.
+     */
+    message?: IMamFetchedMessage;
+    /**
+     * All the new messages fetched for the root ordered by their index, a root
+     * has more than one message when the channel tree has more than one leaf.
+     */
+    messages?: IMamFetchedMessage[];
+    /**
+     * The error if the status is error.
+     */
+    error?: string;
+    /**
+     * The code of the error if the status is error and it was a MamError.
+     */
+    errorCode?: MamErrorCode;
+}
@@ -0,0 +1,45 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { MerkleTreeCache } from "../merkle/merkleTreeCache";
+import type { IMamSignedLeafLedger } from "./IMamSignedLeafLedger";
+import type { IMamWorker } from "./IMamWorker";
+import type { INonceSearchProgress } from "./INonceSearchProgress";
+import type { INonceSearchProvider } from "./INonceSearchProvider";
+
+/**
+ * Options for creating a message without blocking the calling thread.
+ */
+export interface IMamCreateMessageAsyncOptions {
+    /**
+     * The worker to perform the proof of work and signing, defaults to a worker thread in Node.
+     */
+    worker?: IMamWorker;
+
+    /**
+     * Cache for the Merkle trees, the trees missing from the cache are generated by the worker
+     * and added to it, then the trees are sent to the worker with the request.
+     */
+    treeCache?: MerkleTreeCache;
+
+    /**
+     * The provider to search for the nonce, as it runs in the worker this must be a HammingDiver
+     * or Int32HammingDiver, defaults to the default nonce search of the worker.
+     */
+    nonceSearch?: INonceSearchProvider;
+
+    /**
+     * Signal to abort creating the message, the worker is terminated and the channel state is not changed.
+     */
+    signal?: AbortSignal;
+
+    /**
+     * Callback to report the progress of the nonce search in the worker.
+     */
+    onProgress?: (progress: INonceSearchProgress) => void;
+
+    /**
+     * Ledger of the digests signed by each one-time key, if provided a MamKeyReuseError is
+     * thrown instead of signing a different message with a key which has already been used.
+     */
+    ledger?: IMamSignedLeafLedger;
+}
@@ -0,0 +1,41 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { MerkleTreeCache } from "../merkle/merkleTreeCache";
+import type { IMamSignedLeafLedger } from "./IMamSignedLeafLedger";
+import type { INonceSearchProgress } from "./INonceSearchProgress";
+import type { INonceSearchProvider } from "./INonceSearchProvider";
+
+/**
+ * Definition of the options for creating a message.
+ */
+export interface IMamCreateMessageOptions {
+    /**
+     * Cache for the Merkle trees, reusing the same cache for consecutive messages
+     * on a channel avoids generating the trees again.
+     */
+    treeCache?: MerkleTreeCache;
+
+    /**
+     * The provider to search for the nonce, defaults to Int32HammingDiver or its
+     * WebAssembly equivalent when enabled with enableWasm.
+     */
+    nonceSearch?: INonceSearchProvider;
+
+    /**
+     * Signal to abort the nonce search, a MamAbortError is thrown and the channel state is not changed.
+     * As createMessage is synchronous the signal can only be aborted from onProgress,
+     * use createMessageAsync to abort from elsewhere.
+     */
+    signal?: AbortSignal;
+
+    /**
+     * Callback to report the progress of the nonce search.
+     */
+    onProgress?: (progress: INonceSearchProgress) => void;
+
+    /**
+     * Ledger of the digests signed by each one-time key, if provided a MamKeyReuseError is
+     * thrown instead of signing a different message with a key which has already been used.
+     */
+    ledger?: IMamSignedLeafLedger;
+}
@@ -0,0 +1,65 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelState } from "./IMamChannelState";
+
+/**
+ * Definition of a request to create a message in a worker.
+ */
+export interface IMamCreateMessageWorkerRequest {
+    /**
+     * The type of the request.
+     */
+    type: "createMessage";
+    /**
+     * The channel state to create the message from.
+     */
+    channelState: IMamChannelState;
+    /**
+     * The trytes to include in the message.
+     */
+    message: string;
+    /**
+     * The leaf which will sign the message and the digest it has already signed, if a ledger is in use,
+     * the message is only signed if the digest is the same.
+     */
+    signedLeaf?: {
+        /**
+         * The id of the leaf in the ledger.
+         */
+        leaf: string;
+        /**
+         * The digest already signed by the leaf.
+         */
+        digest?: string;
+    };
+    /**
+     * The built in nonce search to use, defaults to the nonce search of the worker.
+     */
+    nonceSearch?: "HammingDiver" | "Int32HammingDiver";
+    /**
+     * Should the progress of the nonce search be posted while the message is created.
+     */
+    reportProgress?: boolean;
+    /**
+     * The current and next trees from the tree cache, so they do not need to be generated.
+     */
+    trees?: {
+        /**
+         * The start index of the tree.
+         */
+        index: number;
+        /**
+         * The addresses and private keys of the leaves in trytes.
+         */
+        addresses: {
+            /**
+             * The address.
+             */
+            address: string;
+            /**
+             * The private key for the address.
+             */
+            privateKey: string;
+        }[];
+    }[];
+}
@@ -0,0 +1,26 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelState } from "./IMamChannelState";
+import type { IMamMessage } from "./IMamMessage";
+
+/**
+ * Definition of the response to a request to create a message in a worker.
+ */
+export interface IMamCreateMessageWorkerResponse {
+    /**
+     * The type of the request.
+     */
+    type: "createMessage";
+    /**
+     * The message which was created.
+     */
+    mamMessage: IMamMessage;
+    /**
+     * The channel state updated by creating the message.
+     */
+    channelState: IMamChannelState;
+    /**
+     * The digest signed by the leaf if the request included the signed leaf.
+     */
+    signedDigest?: string;
+}
@@ -0,0 +1,36 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of the options for a transport which fails over between endpoints.
+ */
+export interface IMamFailoverOptions {
+    /**
+     * The time in milliseconds to wait for each request to an endpoint before it fails, defaults to 10000.
+     */
+    timeout?: number;
+    /**
+     * The number of times to retry reads once every endpoint has failed, defaults to 2.
+     */
+    retries?: number;
+    /**
+     * The delay in milliseconds before the first retry, defaults to 500.
+     */
+    retryDelay?: number;
+    /**
+     * The factor to multiply the delay by for each subsequent retry, defaults to 2.
+     */
+    backoffFactor?: number;
+    /**
+     * The maximum delay in milliseconds between retries, defaults to 10000.
+     */
+    maxRetryDelay?: number;
+    /**
+     * The number of consecutive failures after which an endpoint is unhealthy, defaults to 3.
+     */
+    failureThreshold?: number;
+    /**
+     * The time in milliseconds an unhealthy endpoint is only used once the healthy endpoints have failed,
+     * defaults to 30000.
+     */
+    cooldown?: number;
+}
@@ -0,0 +1,15 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of the options for fetching messages.
+ */
+export interface IMamFetchOptions {
+    /**
+     * The maximum number of messages to retrieve from the client at the same time, defaults to 4.
+     */
+    concurrency?: number;
+    /**
+     * The time in milliseconds to wait for each request to the client before it fails, defaults to no limit.
+     */
+    timeout?: number;
+}
@@ -0,0 +1,56 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamFetchedMessage } from "./IMamFetchedMessage";
+import type { MamErrorCode } from "./mamErrorCode";
+
+/**
+ * Definition of the report from fetching the messages for a root.
+ */
+export interface IMamFetchReport {
+    /**
+     * The root the messages were fetched for.
+     */
+    root: string;
+    /**
+     * The address the messages were found at.
+     */
+    address: string;
+    /**
+     * The ids of the messages found at the address.
+     */
+    messageIds: string[];
+    /**
+     * The decoded messages ordered by their index in the tree.
+     */
+    messages: IMamFetchedMessage[];
+    /**
+     * The messages which could not be loaded.
+     */
+    loadFailures: {
+        /**
+         * The id of the message.
+         */
+        messageId: string;
+        /**
+         * The reason the message could not be loaded.
+         */
+        error: string;
+    }[];
+    /**
+     * The messages which were loaded but are not valid MAM messages for the root.
+     */
+    decodeFailures: {
+        /**
+         * The id of the message.
+         */
+        messageId: string;
+        /**
+         * The reason the message could not be decoded.
+         */
+        error: string;
+        /**
+         * The code of the error if it was a MamError.
+         */
+        errorCode?: MamErrorCode;
+    }[];
+}
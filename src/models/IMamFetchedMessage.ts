@@ -16,6 +16,15 @@ export interface IMamFetchedMessage {
      * The next root for the message.
      */
     nextRoot: string;
+    /**
+     * The index of the message in the tree for the root.
+     */
+    index: number;
+    /**
+     * The number of leaves in the tree for the root, calculated from the siblings of the message,
+     * until a message with index treeSize - 1 is found more messages can be published to the root.
+     */
+    treeSize: number;
     /**
      * The tag of the transactions.
      */
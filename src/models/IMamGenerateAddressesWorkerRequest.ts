@@ -0,0 +1,28 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Definition of a request to generate the addresses for Merkle tree leaves in a worker.
+ */
+export interface IMamGenerateAddressesWorkerRequest {
+    /**
+     * The type of the request.
+     */
+    type: "generateAddresses";
+    /**
+     * The seed to generate the addresses from.
+     */
+    seed: string;
+    /**
+     * The index of the first address to generate.
+     */
+    start: number;
+    /**
+     * The number of addresses to generate.
+     */
+    count: number;
+    /**
+     * The security level of the addresses.
+     */
+    security: number;
+}
@@ -0,0 +1,25 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Definition of the response to a request to generate addresses in a worker.
+ */
+export interface IMamGenerateAddressesWorkerResponse {
+    /**
+     * The type of the request.
+     */
+    type: "generateAddresses";
+    /**
+     * The addresses which were generated, in index order.
+     */
+    addresses: {
+        /**
+         * The address trytes.
+         */
+        address: string;
+        /**
+         * The private key trytes for the address.
+         */
+        privateKey: string;
+    }[];
+}
@@ -0,0 +1,54 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { MamKeystoreKdf } from "./mamKeystoreKdf";
+
+/**
+ * Definition of the keystore written by lockChannel.
+ */
+export interface IMamKeystore {
+    /**
+     * The version of the keystore layout.
+     */
+    version: number;
+    /**
+     * The function used to derive the key from the passphrase.
+     */
+    kdf: MamKeystoreKdf;
+    /**
+     * The parameters for the key derivation.
+     */
+    kdfParams: {
+        /**
+         * The salt in hex.
+         */
+        salt: string;
+        /**
+         * The number of iterations for pbkdf2.
+         */
+        iterations?: number;
+        /**
+         * The cost for scrypt.
+         */
+        cost?: number;
+        /**
+         * The block size for scrypt.
+         */
+        blockSize?: number;
+        /**
+         * The parallelization for scrypt.
+         */
+        parallelization?: number;
+    };
+    /**
+     * The cipher used to encrypt the channel state.
+     */
+    cipher: "aes-256-gcm";
+    /**
+     * The initialization vector in hex.
+     */
+    iv: string;
+    /**
+     * The encrypted channel state followed by the authentication tag in hex.
+     */
+    ciphertext: string;
+}
@@ -0,0 +1,23 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of the options for listening to a channel.
+ */
+export interface IMamListenOptions {
+    /**
+     * The interval in milliseconds between polls when messages are being found, defaults to 5000.
+     */
+    interval?: number;
+    /**
+     * The maximum interval in milliseconds between polls after backing off, defaults to 60000.
+     */
+    maxInterval?: number;
+    /**
+     * The factor to multiply the interval by each time a poll finds no messages, defaults to 2.
+     */
+    backoffFactor?: number;
+    /**
+     * Signal which will stop the listener when aborted.
+     */
+    signal?: AbortSignal;
+}
@@ -0,0 +1,22 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { MamKeystoreKdf } from "./mamKeystoreKdf";
+
+/**
+ * Options for locking a channel.
+ */
+export interface IMamLockChannelOptions {
+    /**
+     * The function used to derive the key from the passphrase, defaults to pbkdf2,
+     * scrypt is only available in the Node bundle.
+     */
+    kdf?: MamKeystoreKdf;
+    /**
+     * The number of iterations for pbkdf2, defaults to 600000.
+     */
+    iterations?: number;
+    /**
+     * The cost for scrypt, must be a power of 2 no more than 131072, defaults to 32768.
+     */
+    cost?: number;
+}
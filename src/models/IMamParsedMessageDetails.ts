@@ -0,0 +1,39 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of the details of a parsed and verified message.
+ */
+export interface IMamParsedMessageDetails {
+    /**
+     * The decoded message.
+     */
+    message: string;
+    /**
+     * The next root.
+     */
+    nextRoot: string;
+    /**
+     * The index of the leaf in the tree which signed the message.
+     */
+    index: number;
+    /**
+     * The security level of the signature, from the checksum of the message hash.
+     */
+    securityLevel: number;
+    /**
+     * The number of siblings used to recalculate the root from the leaf.
+     */
+    siblingsCount: number;
+    /**
+     * The root recalculated from the signature and siblings, which matched the expected root.
+     */
+    recalculatedRoot: string;
+    /**
+     * The length of the payload in trytes.
+     */
+    payloadTrytes: number;
+    /**
+     * The length of the payload in bytes when packed to attach to the tangle, without the tag.
+     */
+    payloadBytes: number;
+}
@@ -0,0 +1,15 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Options for seeking a channel.
+ */
+export interface IMamSeekChannelOptions {
+    /**
+     * The number of leaves in each tree from the start of the channel, each a power of 2, in the order they
+     * were used, up to at least channelState.start. The trees after those listed have
+     * channelState.nextCount leaves. If not provided the trees before channelState.start
+     * are assumed to have channelState.count leaves, which requires channelState.nextCount
+     * to be the same size.
+     */
+    treeSizes?: number[];
+}
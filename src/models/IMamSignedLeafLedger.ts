@@ -0,0 +1,21 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of a ledger which records the digest signed by each one-time key, so
+ * that createMessage can refuse to sign a different digest with the same key.
+ */
+export interface IMamSignedLeafLedger {
+    /**
+     * Get the digest signed by a leaf.
+     * @param leaf The id of the leaf, derived from the seed and leaf index.
+     * @returns The digest signed by the leaf, or undefined if it has not signed.
+     */
+    get(leaf: string): string | undefined;
+
+    /**
+     * Record the digest signed by a leaf, this must be stored before the signature is returned.
+     * @param leaf The id of the leaf, derived from the seed and leaf index.
+     * @param digest The digest signed by the leaf.
+     */
+    set(leaf: string, digest: string): void;
+}
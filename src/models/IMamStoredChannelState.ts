@@ -0,0 +1,17 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamChannelState } from "./IMamChannelState";
+
+/**
+ * Definition of a channel state loaded from a channel state store.
+ */
+export interface IMamStoredChannelState {
+    /**
+     * The channel state.
+     */
+    channelState: IMamChannelState;
+    /**
+     * The revision of the stored state, which must be passed back when saving it.
+     */
+    revision: number;
+}
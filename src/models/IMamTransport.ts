@@ -0,0 +1,37 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Definition of a transport which stores and retrieves MAM payloads from a ledger.
+ */
+export interface IMamTransport<T = unknown> {
+    /**
+     * Submit the payload data to the ledger under the index.
+     * @param index The index to store the data under, this is the address of the MAM message.
+     * @param data The packed data for the MAM message.
+     * @returns The id of the stored message and the message in the form stored by the ledger.
+     */
+    submit(index: string, data: Uint8Array): Promise<{
+        /**
+         * The id of the stored message.
+         */
+        messageId: string;
+        /**
+         * The message as it was stored.
+         */
+        message: T;
+    }>;
+
+    /**
+     * Find the ids of the messages stored under the index.
+     * @param index The index to find the messages for, this is the address of the MAM message.
+     * @returns The ids of the messages.
+     */
+    findMessageIds(index: string): Promise<string[]>;
+
+    /**
+     * Get the payload data for a message.
+     * @param messageId The id of the message to get.
+     * @returns The payload data, or undefined if the message does not contain data for MAM.
+     */
+    get(messageId: string): Promise<Uint8Array | undefined>;
+}
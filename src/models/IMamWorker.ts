@@ -0,0 +1,29 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamWorkerExecuteOptions } from "./IMamWorkerExecuteOptions";
+import type { IMamWorkerRequest } from "./IMamWorkerRequest";
+import type { IMamWorkerResponse } from "./IMamWorkerResponse";
+
+/**
+ * Definition of a worker which performs the CPU intensive operations off the main thread.
+ */
+export interface IMamWorker {
+    /**
+     * The number of requests the worker can execute in parallel, defaults to 1.
+     */
+    readonly concurrency?: number;
+
+    /**
+     * Execute the request in the worker.
+     * @param request The request to execute.
+     * @param options Options to abort the request and report its progress.
+     * @returns The response from the worker.
+     */
+    execute(request: IMamWorkerRequest, options?: IMamWorkerExecuteOptions): Promise<IMamWorkerResponse>;
+
+    /**
+     * Stop the worker.
+     * @returns Nothing.
+     */
+    close(): Promise<void>;
+}
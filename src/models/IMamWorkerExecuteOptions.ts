@@ -0,0 +1,18 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { INonceSearchProgress } from "./INonceSearchProgress";
+
+/**
+ * Definition of the options for executing a request in a worker.
+ */
+export interface IMamWorkerExecuteOptions {
+    /**
+     * Signal to abort the request, the built in workers stop the work in progress by terminating their thread.
+     */
+    signal?: AbortSignal;
+
+    /**
+     * Callback to report the progress of the nonce search while creating a message.
+     */
+    onProgress?: (progress: INonceSearchProgress) => void;
+}
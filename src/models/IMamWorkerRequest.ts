@@ -0,0 +1,9 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamCreateMessageWorkerRequest } from "./IMamCreateMessageWorkerRequest";
+import type { IMamGenerateAddressesWorkerRequest } from "./IMamGenerateAddressesWorkerRequest";
+
+/**
+ * The requests which can be executed by a worker.
+ */
+export type IMamWorkerRequest = IMamCreateMessageWorkerRequest | IMamGenerateAddressesWorkerRequest;
@@ -0,0 +1,9 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamCreateMessageWorkerResponse } from "./IMamCreateMessageWorkerResponse";
+import type { IMamGenerateAddressesWorkerResponse } from "./IMamGenerateAddressesWorkerResponse";
+
+/**
+ * The responses from a worker.
+ */
+export type IMamWorkerResponse = IMamCreateMessageWorkerResponse | IMamGenerateAddressesWorkerResponse;
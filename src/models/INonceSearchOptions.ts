@@ -0,0 +1,20 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { INonceSearchProgress } from "./INonceSearchProgress";
+
+/**
+ * Definition of the options for a nonce search.
+ */
+export interface INonceSearchOptions {
+    /**
+     * Signal to abort the search, it is checked before each iteration and a MamAbortError is thrown.
+     * The search is synchronous so the signal can only be aborted from the onProgress callback,
+     * use createMessageAsync to abort the search from the calling thread.
+     */
+    signal?: AbortSignal;
+    /**
+     * Callback which is called after each iteration of the search,
+     * as the search is synchronous this is also the place to abort it from.
+     */
+    onProgress?: (progress: INonceSearchProgress) => void;
+}
@@ -0,0 +1,16 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Definition of the progress of a nonce search.
+ */
+export interface INonceSearchProgress {
+    /**
+     * The number of iterations tried so far, each iteration tries 64 nonces.
+     */
+    iterations: number;
+    /**
+     * The time elapsed since the search started in milliseconds.
+     */
+    elapsed: number;
+}
@@ -0,0 +1,24 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { INonceSearchOptions } from "./INonceSearchOptions";
+
+/**
+ * Definition of a provider which searches for the nonce of a message.
+ */
+export interface INonceSearchProvider {
+    /**
+     * Search for the nonce.
+     * @param trits The trits to calculate the nonce.
+     * @param securityLevel The security level to calculate at.
+     * @param length The length of the data to search.
+     * @param offset The offset to start the search.
+     * @param options Options to abort the search and report its progress.
+     * @returns The trits of the nonce.
+     */
+    search(
+        trits: Int8Array,
+        securityLevel: number,
+        length: number,
+        offset: number,
+        options?: INonceSearchOptions): Int8Array;
+}
@@ -0,0 +1,18 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { ITaggedDataPayload } from "./ITaggedDataPayload";
+
+/**
+ * Stardust block, only the parts used for MAM are defined.
+ */
+export interface ITaggedDataBlock {
+    /**
+     * The payload of the block.
+     */
+    payload?: ITaggedDataPayload | {
+        /**
+         * The type of the payload.
+         */
+        type: number;
+    };
+}
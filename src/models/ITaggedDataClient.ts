@@ -0,0 +1,36 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { ITaggedDataBlock } from "./ITaggedDataBlock";
+import type { ITaggedDataPayload } from "./ITaggedDataPayload";
+
+/**
+ * Definition of the client used to store MAM payloads in Stardust tagged data blocks.
+ */
+export interface ITaggedDataClient {
+    /**
+     * Submit a block, the node will fill in the parents and nonce.
+     * @param block The block to submit.
+     * @returns The id of the block.
+     */
+    blockSubmit(block: {
+        /**
+         * The payload of the block.
+         */
+        payload: ITaggedDataPayload;
+    }): Promise<string>;
+
+    /**
+     * Get a block by id.
+     * @param blockId The id of the block to get.
+     * @returns The block.
+     */
+    block(blockId: string): Promise<ITaggedDataBlock>;
+
+    /**
+     * Find the ids of the blocks with tagged data payloads using the tag, Stardust nodes
+     * do not index tagged data so this is expected to be provided by an indexing service.
+     * @param tag The tag as 0x prefixed hex.
+     * @returns The ids of the blocks.
+     */
+    blocksFindByTag(tag: string): Promise<string[]>;
+}
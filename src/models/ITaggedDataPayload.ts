@@ -0,0 +1,24 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * The global type for the Stardust tagged data payload.
+ */
+export const TAGGED_DATA_PAYLOAD_TYPE = 5;
+
+/**
+ * Stardust tagged data payload.
+ */
+export interface ITaggedDataPayload {
+    /**
+     * The type of the payload.
+     */
+    type: typeof TAGGED_DATA_PAYLOAD_TYPE;
+    /**
+     * The tag for the data as 0x prefixed hex.
+     */
+    tag?: string;
+    /**
+     * The data as 0x prefixed hex.
+     */
+    data?: string;
+}
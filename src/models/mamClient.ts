@@ -0,0 +1,8 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IClient } from "@iota/iota.js";
+
+/**
+ * The methods of the client used for storing and retrieving MAM messages.
+ */
+export type MamClient = Pick<IClient, "message" | "messageSubmit" | "messagesFind">;
@@ -0,0 +1,13 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * The codes for the errors thrown by MAM, the codes will not change between versions.
+ */
+export type MamErrorCode =
+    "invalidTrytes" |
+    "truncatedPayload" |
+    "invalidSecurityChecksum" |
+    "signatureMismatch" |
+    "invalidModeKey" |
+    "keyReuse" |
+    "aborted";
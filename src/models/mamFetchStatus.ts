@@ -0,0 +1,6 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * The status of a channel fetch.
+ */
+export type MamFetchStatus = "found" | "notPublished" | "error";
@@ -0,0 +1,6 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * The key derivation functions for the channel keystore.
+ */
+export type MamKeystoreKdf = "pbkdf2" | "scrypt";
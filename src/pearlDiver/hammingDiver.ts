@@ -2,14 +2,17 @@
 // SPDX-License-Identifier: Apache-2.0
 import { Curl } from "@iota/crypto.js";
 import bigInt from "big-integer";
+import { MamAbortError } from "../errors/mamAbortError";
+import type { INonceSearchOptions } from "../models/INonceSearchOptions";
+import type { INonceSearchProvider } from "../models/INonceSearchProvider";
 import { roundThird } from "../utils/pascal";
 import type { PearlDiverSearchStates } from "./pearlDiverSearchStates";
 
 /**
- * Class to perform Hamming calculation for nonce.
- * @internal
+ * Class to perform Hamming calculation for nonce using big-integer values,
+ * Int32HammingDiver is a faster implementation of the same search.
  */
-export class HammingDiver {
+export class HammingDiver implements INonceSearchProvider {
     /**
      * Max 64 bit value.
      */
@@ -71,15 +74,27 @@ export class HammingDiver {
      * @param securityLevel The security level to calculate at.
      * @param length The length of the data to search.
      * @param offset The offset to start the search.
+     * @param options Options to abort the search and report its progress.
      * @returns The trits of the nonce.
      */
-    public search(trits: Int8Array, securityLevel: number, length: number, offset: number): Int8Array {
+    public search(
+        trits: Int8Array,
+        securityLevel: number,
+        length: number,
+        offset: number,
+        options?: INonceSearchOptions): Int8Array {
         const state = this.prepareTrits(trits, offset);
         let size = Math.min(length, Curl.HASH_LENGTH) - offset;
 
         let index = 0;
+        let iterations = 0;
+        const startTime = Date.now();
 
         while (index === 0) {
+            if (options?.signal?.aborted) {
+                throw new MamAbortError("The nonce search was aborted");
+            }
+
             const incrementResult = this.increment(state, offset + (size * 2 / 3), offset + size);
             size = Math.min(roundThird(offset + (size * 2 / 3) + incrementResult), Curl.HASH_LENGTH) - offset;
 
@@ -91,6 +106,14 @@ export class HammingDiver {
             this.transform(curlCopy);
 
             index = this.check(securityLevel, curlCopy.low, curlCopy.high);
+
+            iterations++;
+            if (options?.onProgress) {
+                options.onProgress({
+                    iterations,
+                    elapsed: Date.now() - startTime
+                });
+            }
         }
 
         return this.trinaryGet(state.low, state.high, size, index);
@@ -0,0 +1,304 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/* eslint-disable no-bitwise */
+import { Curl } from "@iota/crypto.js";
+import { MamAbortError } from "../errors/mamAbortError";
+import type { INonceSearchOptions } from "../models/INonceSearchOptions";
+import type { INonceSearchProvider } from "../models/INonceSearchProvider";
+import { roundThird } from "../utils/pascal";
+
+/**
+ * The 64 bit search states stored as pairs of 32 bit lanes.
+ * @internal
+ */
+interface Int32SearchStates {
+    /**
+     * The lower 32 bits of the low bits of the state.
+     */
+    lowLo: Int32Array;
+
+    /**
+     * The upper 32 bits of the low bits of the state.
+     */
+    lowHi: Int32Array;
+
+    /**
+     * The lower 32 bits of the high bits of the state.
+     */
+    highLo: Int32Array;
+
+    /**
+     * The upper 32 bits of the high bits of the state.
+     */
+    highHi: Int32Array;
+}
+
+/**
+ * Class to perform Hamming calculation for nonce, the 64 bit values are
+ * stored as pairs of 32 bit integers so no big number arithmetic is needed.
+ */
+export class Int32HammingDiver implements INonceSearchProvider {
+    /**
+     * The initial low bits of the 4 nonce trits which are varied in each iteration,
+     * stored as upper and lower 32 bits, they are converted to signed values when stored in the lanes.
+     * @internal
+     */
+    private static readonly LOW: number[][] = [
+        [0xDB6DB6DB, 0x6DB6DB6D],
+        [0xF1F8FC7E, 0x3F1F8FC7],
+        [0x7FFFE00F, 0xFFFC01FF],
+        [0xFFC00000, 0x07FFFFFF]
+    ];
+
+    /**
+     * The initial high bits of the 4 nonce trits which are varied in each iteration,
+     * stored as upper and lower 32 bits.
+     * @internal
+     */
+    private static readonly HIGH: number[][] = [
+        [0xB6DB6DB6, 0xDB6DB6DB],
+        [0x8FC7E3F1, 0xF8FC7E3F],
+        [0xFFC01FFF, 0xF803FFFF],
+        [0x003FFFFF, 0xFFFFFFFF]
+    ];
+
+    /**
+     * Number of rounds.
+     * @internal
+     */
+    private static readonly ROUNDS: number = 27;
+
+    /**
+     * Search for the nonce.
+     * @param trits The trits to calculate the nonce.
+     * @param securityLevel The security level to calculate at.
+     * @param length The length of the data to search.
+     * @param offset The offset to start the search.
+     * @param options Options to abort the search and report its progress.
+     * @returns The trits of the nonce.
+     */
+    public search(
+        trits: Int8Array,
+        securityLevel: number,
+        length: number,
+        offset: number,
+        options?: INonceSearchOptions): Int8Array {
+        const state = this.prepareTrits(trits, offset);
+        let size = Math.min(length, Curl.HASH_LENGTH) - offset;
+
+        const curlCopy = this.createStates();
+        const scratchpad = this.createStates();
+
+        let index = 0;
+        let iterations = 0;
+        const startTime = Date.now();
+
+        while (index === 0) {
+            if (options?.signal?.aborted) {
+                throw new MamAbortError("The nonce search was aborted");
+            }
+
+            const incrementResult = this.increment(state, offset + (size * 2 / 3), offset + size);
+            size = Math.min(roundThird(offset + (size * 2 / 3) + incrementResult), Curl.HASH_LENGTH) - offset;
+
+            curlCopy.lowLo.set(state.lowLo);
+            curlCopy.lowHi.set(state.lowHi);
+            curlCopy.highLo.set(state.highLo);
+            curlCopy.highHi.set(state.highHi);
+
+            this.transform(curlCopy, scratchpad);
+
+            index = this.check(securityLevel, curlCopy);
+
+            iterations++;
+            if (options?.onProgress) {
+                options.onProgress({
+                    iterations,
+                    elapsed: Date.now() - startTime
+                });
+            }
+        }
+
+        return this.trinaryGet(state, size, index);
+    }
+
+    /**
+     * Create empty search states.
+     * @returns The search states.
+     * @internal
+     */
+    private createStates(): Int32SearchStates {
+        return {
+            lowLo: new Int32Array(Curl.STATE_LENGTH),
+            lowHi: new Int32Array(Curl.STATE_LENGTH),
+            highLo: new Int32Array(Curl.STATE_LENGTH),
+            highHi: new Int32Array(Curl.STATE_LENGTH)
+        };
+    }
+
+    /**
+     * Prepare the trits for calculation.
+     * @param trits The trits.
+     * @param offset The offset to start.
+     * @returns The prepared trits.
+     * @internal
+     */
+    private prepareTrits(trits: Int8Array, offset: number): Int32SearchStates {
+        const states = this.createStates();
+
+        // All bits set for both low and high represents a 0 trit, which
+        // is also used to pad the input to the state length
+        states.lowLo.fill(-1);
+        states.lowHi.fill(-1);
+        states.highLo.fill(-1);
+        states.highHi.fill(-1);
+
+        for (let i = 0; i < trits.length && i < Curl.STATE_LENGTH; i++) {
+            if (trits[i] === 1) {
+                states.lowLo[i] = 0;
+                states.lowHi[i] = 0;
+            } else if (trits[i] !== 0) {
+                states.highLo[i] = 0;
+                states.highHi[i] = 0;
+            }
+        }
+
+        for (let i = 0; i < 4; i++) {
+            states.lowHi[offset + i] = Int32HammingDiver.LOW[i][0];
+            states.lowLo[offset + i] = Int32HammingDiver.LOW[i][1];
+            states.highHi[offset + i] = Int32HammingDiver.HIGH[i][0];
+            states.highLo[offset + i] = Int32HammingDiver.HIGH[i][1];
+        }
+
+        return states;
+    }
+
+    /**
+     * Increment the state values.
+     * @param states The state to increment.
+     * @param fromIndex The index to start from.
+     * @param toIndex The index to end at.
+     * @returns The increment length.
+     * @internal
+     */
+    private increment(states: Int32SearchStates, fromIndex: number, toIndex: number): number {
+        for (let i = fromIndex; i < toIndex; i++) {
+            const lowLo = states.lowLo[i];
+            const lowHi = states.lowHi[i];
+            const highLo = states.highLo[i];
+            const highHi = states.highHi[i];
+
+            states.lowLo[i] = highLo ^ lowLo;
+            states.lowHi[i] = highHi ^ lowHi;
+            states.highLo[i] = lowLo;
+            states.highHi[i] = lowHi;
+
+            if ((highLo & ~lowLo) === 0 && (highHi & ~lowHi) === 0) {
+                return toIndex - fromIndex;
+            }
+        }
+
+        return toIndex - fromIndex + 1;
+    }
+
+    /**
+     * Transform the states.
+     * @param searchStates The states to transform.
+     * @param scratchpad The states to use as the scratchpad.
+     * @internal
+     */
+    private transform(searchStates: Int32SearchStates, scratchpad: Int32SearchStates): void {
+        let curlScratchpadIndex = 0;
+        for (let round = 0; round < Int32HammingDiver.ROUNDS; round++) {
+            scratchpad.lowLo.set(searchStates.lowLo);
+            scratchpad.lowHi.set(searchStates.lowHi);
+            scratchpad.highLo.set(searchStates.highLo);
+            scratchpad.highHi.set(searchStates.highHi);
+
+            for (let stateIndex = 0; stateIndex < Curl.STATE_LENGTH; stateIndex++) {
+                const alphaLo = scratchpad.lowLo[curlScratchpadIndex];
+                const alphaHi = scratchpad.lowHi[curlScratchpadIndex];
+                const betaLo = scratchpad.highLo[curlScratchpadIndex];
+                const betaHi = scratchpad.highHi[curlScratchpadIndex];
+                curlScratchpadIndex += curlScratchpadIndex < 365 ? 364 : -365;
+                const gammaLo = scratchpad.highLo[curlScratchpadIndex];
+                const gammaHi = scratchpad.highHi[curlScratchpadIndex];
+
+                const deltaLo = (alphaLo | ~gammaLo) & (scratchpad.lowLo[curlScratchpadIndex] ^ betaLo);
+                const deltaHi = (alphaHi | ~gammaHi) & (scratchpad.lowHi[curlScratchpadIndex] ^ betaHi);
+
+                searchStates.lowLo[stateIndex] = ~deltaLo;
+                searchStates.lowHi[stateIndex] = ~deltaHi;
+                searchStates.highLo[stateIndex] = (alphaLo ^ gammaLo) | deltaLo;
+                searchStates.highHi[stateIndex] = (alphaHi ^ gammaHi) | deltaHi;
+            }
+        }
+    }
+
+    /**
+     * Check if we have found the nonce.
+     * @param securityLevel The security level to check.
+     * @param states The transformed states.
+     * @returns The nonce if found.
+     * @internal
+     */
+    private check(securityLevel: number, states: Int32SearchStates): number {
+        for (let i = 0; i < 64; i++) {
+            const low = i < 32 ? states.lowLo : states.lowHi;
+            const high = i < 32 ? states.highLo : states.highHi;
+            const bit = 1 << (i % 32);
+            let sum = 0;
+
+            for (let j = 0; j < securityLevel; j++) {
+                for (let k = j * 243 / 3; k < (j + 1) * 243 / 3; k++) {
+                    if ((low[k] & bit) === 0) {
+                        sum--;
+                    } else if ((high[k] & bit) === 0) {
+                        sum++;
+                    }
+                }
+
+                if (sum === 0 && j < securityLevel - 1) {
+                    sum = 1;
+                    break;
+                }
+            }
+
+            if (sum === 0) {
+                return i;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Get data from the tinary bits.
+     * @param states The states.
+     * @param arrLength The array length to get from.
+     * @param index The index to get the values.
+     * @returns The values stored at the index.
+     * @internal
+     */
+    private trinaryGet(states: Int32SearchStates, arrLength: number, index: number): Int8Array {
+        const result: Int8Array = new Int8Array(arrLength);
+        const low = index < 32 ? states.lowLo : states.lowHi;
+        const high = index < 32 ? states.highLo : states.highHi;
+        const shift = index % 32;
+
+        for (let i = 0; i < arrLength; i++) {
+            const l = (low[i] >>> shift) & 1;
+            const h = (high[i] >>> shift) & 1;
+
+            if (l === 1 && h === 0) {
+                result[i] = -1;
+            } else if (l === 0 && h === 1) {
+                result[i] = 1;
+            } else {
+                result[i] = 0;
+            }
+        }
+
+        return result;
+    }
+}
@@ -1,6 +1,7 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
 import { Curl } from "@iota/crypto.js";
+import { createSponge } from "../wasm/wasm";
 
 const PRIVATE_KEY_NUM_FRAGMENTS: number = 27;
 // @internal
@@ -18,19 +19,32 @@ const MAX_TRIT_VALUE: number = 1;
  * @internal
  */
 export function subseed(seed: Int8Array, index: number): Int8Array {
-    const sponge = new Curl(27);
+    const sponge = createSponge(27);
 
     const subseedPreimage = seed.slice();
-    let localIndex = index;
-
-    while (localIndex-- > 0) {
-        for (let i = 0; i < subseedPreimage.length; i++) {
-            if (subseedPreimage[i]++ >= MAX_TRIT_VALUE) {
-                subseedPreimage[i] = MIN_TRIT_VALUE;
-            } else {
-                break;
-            }
+
+    // Add the index to the seed as a balanced ternary number, this is the same
+    // as incrementing the seed index times, any carry beyond the last trit is discarded
+    let remaining = index;
+    let carry = 0;
+    for (let i = 0; i < subseedPreimage.length && (remaining > 0 || carry !== 0); i++) {
+        let indexTrit = remaining % 3;
+        remaining = Math.floor(remaining / 3);
+        if (indexTrit > MAX_TRIT_VALUE) {
+            indexTrit -= 3;
+            remaining++;
+        }
+
+        let sum = subseedPreimage[i] + indexTrit + carry;
+        carry = 0;
+        if (sum > MAX_TRIT_VALUE) {
+            sum -= 3;
+            carry = 1;
+        } else if (sum < MIN_TRIT_VALUE) {
+            sum += 3;
+            carry = -1;
         }
+        subseedPreimage[i] = sum;
     }
 
     sponge.absorb(subseedPreimage, 0, subseedPreimage.length);
@@ -48,9 +62,9 @@ export function subseed(seed: Int8Array, index: number): Int8Array {
  * @internal
  */
 export function digestFromSubseed(subSeed: Int8Array, securityLevel: number): Int8Array {
-    const curl1 = new Curl(27);
-    const curl2 = new Curl(27);
-    const curl3 = new Curl(27);
+    const curl1 = createSponge(27);
+    const curl2 = createSponge(27);
+    const curl3 = createSponge(27);
 
     const length = securityLevel * PRIVATE_KEY_FRAGMENT_LENGTH / Curl.HASH_LENGTH;
     const digest = new Int8Array(Curl.HASH_LENGTH);
@@ -81,7 +95,7 @@ export function digestFromSubseed(subSeed: Int8Array, securityLevel: number): In
  * @internal
  */
 export function address(digests: Int8Array): Int8Array {
-    const sponge = new Curl(27);
+    const sponge = createSponge(27);
 
     sponge.absorb(digests, 0, digests.length);
 
@@ -103,7 +117,7 @@ export function privateKeyFromSubseed(subSeed: Int8Array, securityLevel: number)
     const keyTrits = new Int8Array(keyLength);
     const actualKeyTrits: Int8Array = new Int8Array(keyLength);
 
-    const sponge = new Curl(27);
+    const sponge = createSponge(27);
 
     sponge.absorb(subSeed, 0, subSeed.length);
     sponge.squeeze(keyTrits, 0, keyTrits.length);
@@ -129,7 +143,7 @@ export function privateKeyFromSubseed(subSeed: Int8Array, securityLevel: number)
  */
 export function signature(hashTrits: Int8Array, key: Int8Array): Int8Array {
     const signatures: Int8Array = new Int8Array(key.length);
-    const sponge = new Curl(27);
+    const sponge = createSponge(27);
 
     for (let i = 0; i < key.length / Curl.HASH_LENGTH; i++) {
         let buffer = key.subarray(i * Curl.HASH_LENGTH, (i + 1) * Curl.HASH_LENGTH);
@@ -188,7 +202,7 @@ export function checksumSecurity(hash: Int8Array): number {
  * @internal
  */
 export function digestFromSignature(hash: Int8Array, sig: Int8Array): Int8Array {
-    const sponge = new Curl(27);
+    const sponge = createSponge(27);
     const bytes: Int8Array = new Int8Array(sig.length);
 
     for (let i = 0; i < (sig.length / Curl.HASH_LENGTH); i++) {
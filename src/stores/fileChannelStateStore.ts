@@ -0,0 +1,271 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { randomBytes } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { exportChannelState, importChannelState } from "../mam/channelState";
+import type { IMamChannelState } from "../models/IMamChannelState";
+import type { IMamChannelStateStore } from "../models/IMamChannelStateStore";
+import type { IMamStoredChannelState } from "../models/IMamStoredChannelState";
+import { nextRevision } from "./revision";
+
+/**
+ * Channel state store which keeps each state in a JSON file, only available in Node.
+ * The files are replaced atomically and saves are serialized with a lock file, so the
+ * store can be shared by multiple processes. Each lock file contains a token identifying
+ * its owner, so a process can only remove its own lock or the stale lock it checked.
+ */
+export class FileChannelStateStore implements IMamChannelStateStore {
+    /**
+     * The time to wait between attempts to take the lock.
+     * @internal
+     */
+    private static readonly LOCK_RETRY_MS: number = 20;
+
+    /**
+     * The directory to store the files in.
+     * @internal
+     */
+    private readonly _directory: string;
+
+    /**
+     * The time to wait for the lock before failing.
+     * @internal
+     */
+    private readonly _lockTimeout: number;
+
+    /**
+     * The age after which a lock is considered to be left by a process which died.
+     * @internal
+     */
+    private readonly _staleLockTimeout: number;
+
+    /**
+     * Create a new instance of FileChannelStateStore.
+     * @param directory The directory to store the files in, it must exist.
+     * @param lockTimeout The time in milliseconds to wait for the lock before failing, defaults to 10 seconds.
+     * @param staleLockTimeout The age in milliseconds after which a lock is removed, defaults to 60 seconds.
+     */
+    constructor(directory: string, lockTimeout: number = 10000, staleLockTimeout: number = 60000) {
+        this._directory = directory;
+        this._lockTimeout = lockTimeout;
+        this._staleLockTimeout = staleLockTimeout;
+    }
+
+    /**
+     * Get the revision from the content of a file.
+     * @param content The content of the file.
+     * @returns The revision.
+     * @internal
+     */
+    private static revision(content: string): number {
+        const revision = (JSON.parse(content) as { revision?: unknown }).revision;
+        if (typeof revision !== "number" || !Number.isInteger(revision) || revision < 1) {
+            throw new Error("The stored channel state does not have a valid revision");
+        }
+        return revision;
+    }
+
+    /**
+     * Remove a file, ignoring the failure if it does not exist.
+     * @param filename The file to remove.
+     * @internal
+     */
+    private static async remove(filename: string): Promise<void> {
+        try {
+            await fs.unlink(filename);
+        } catch {
+            // The file has already been removed
+        }
+    }
+
+    /**
+     * Load a channel state.
+     * @param id The id of the channel state.
+     * @returns The channel state and its revision, or undefined if there is no state for the id.
+     */
+    public async load(id: string): Promise<IMamStoredChannelState | undefined> {
+        const content = await this.read(this.filename(id));
+        if (content === undefined) {
+            return undefined;
+        }
+        return {
+            channelState: importChannelState(content),
+            revision: FileChannelStateStore.revision(content)
+        };
+    }
+
+    /**
+     * Save a channel state, the save fails if the stored revision is not the expected revision.
+     * @param id The id of the channel state.
+     * @param channelState The channel state to save.
+     * @param revision The revision the state was loaded at, or undefined if the state is new.
+     * @returns The new revision of the state.
+     */
+    public async save(id: string, channelState: IMamChannelState, revision?: number): Promise<number> {
+        const filename = this.filename(id);
+        const data = exportChannelState(channelState);
+
+        const lockFilename = `${filename}.lock`;
+        const token = await this.lock(lockFilename);
+        try {
+            const current = await this.read(filename);
+            const newRevision = nextRevision(
+                id, revision, current === undefined ? undefined : FileChannelStateStore.revision(current));
+
+            // Write the state with its revision to a temporary file and rename it over the
+            // existing file, so the file never contains a partially written state
+            const tempFilename = `${filename}.${randomBytes(8).toString("hex")}.tmp`;
+            const handle = await fs.open(tempFilename, "w");
+            try {
+                await handle.writeFile(JSON.stringify({ revision: newRevision, ...JSON.parse(data) }), "utf8");
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            try {
+                await this.checkLock(lockFilename, token);
+                await fs.rename(tempFilename, filename);
+            } catch (err) {
+                await FileChannelStateStore.remove(tempFilename);
+                throw err;
+            }
+
+            return newRevision;
+        } finally {
+            if (await this.read(lockFilename) === token) {
+                await FileChannelStateStore.remove(lockFilename);
+            }
+        }
+    }
+
+    /**
+     * Get the filename for a channel state.
+     * @param id The id of the channel state.
+     * @returns The filename.
+     * @internal
+     */
+    private filename(id: string): string {
+        if (!/^\w[\w.-]*$/.test(id)) {
+            throw new Error(
+                `The id must only contain letters, digits, '_', '-' and '.', and start with a letter or digit, it is '${
+                    id}'`);
+        }
+        return path.join(this._directory, `${id}.json`);
+    }
+
+    /**
+     * Read a file.
+     * @param filename The file to read.
+     * @returns The content of the file, or undefined if it does not exist.
+     * @internal
+     */
+    private async read(filename: string): Promise<string | undefined> {
+        try {
+            return await fs.readFile(filename, "utf8");
+        } catch (err) {
+            if ((err as { code?: string }).code !== "ENOENT") {
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * Take the lock by exclusively creating the lock file containing a new token.
+     * @param lockFilename The lock file.
+     * @returns The token in the lock file.
+     * @internal
+     */
+    private async lock(lockFilename: string): Promise<string> {
+        const token = randomBytes(16).toString("hex");
+        const timeout = Date.now() + this._lockTimeout;
+
+        for (;;) {
+            try {
+                const handle = await fs.open(lockFilename, "wx");
+                try {
+                    await handle.writeFile(token, "utf8");
+                } finally {
+                    await handle.close();
+                }
+                return token;
+            } catch (err) {
+                if ((err as { code?: string }).code !== "EEXIST") {
+                    throw err;
+                }
+            }
+
+            if (!await this.removeStaleLock(lockFilename)) {
+                if (Date.now() > timeout) {
+                    throw new Error(`Timed out waiting for the lock on '${lockFilename}'`);
+                }
+                await new Promise(resolve => setTimeout(resolve, FileChannelStateStore.LOCK_RETRY_MS));
+            }
+        }
+    }
+
+    /**
+     * Check the lock file still contains the token, in case it was removed as stale.
+     * @param lockFilename The lock file.
+     * @param token The token in the lock file.
+     * @internal
+     */
+    private async checkLock(lockFilename: string, token: string): Promise<void> {
+        if (await this.read(lockFilename) !== token) {
+            throw new Error(`The lock '${lockFilename}' was removed by another process as it was stale`);
+        }
+    }
+
+    /**
+     * Remove the lock file if it was left by a process which died. The lock file is first
+     * moved aside, which only one process can do, then its token is compared with the token
+     * of the stale lock, if another process has since taken the lock it is put back.
+     * @param lockFilename The lock file.
+     * @returns True if the lock file no longer exists.
+     * @internal
+     */
+    private async removeStaleLock(lockFilename: string): Promise<boolean> {
+        let staleToken: string | undefined;
+        try {
+            const stats = await fs.stat(lockFilename);
+            if (Date.now() - stats.mtimeMs <= this._staleLockTimeout) {
+                return false;
+            }
+            staleToken = await this.read(lockFilename);
+        } catch (err) {
+            if ((err as { code?: string }).code === "ENOENT") {
+                return true;
+            }
+            throw err;
+        }
+        if (staleToken === undefined) {
+            return true;
+        }
+
+        const movedFilename = `${lockFilename}.${randomBytes(8).toString("hex")}.stale`;
+        try {
+            await fs.rename(lockFilename, movedFilename);
+        } catch (err) {
+            if ((err as { code?: string }).code === "ENOENT") {
+                return true;
+            }
+            throw err;
+        }
+
+        try {
+            if (await this.read(movedFilename) === staleToken) {
+                return true;
+            }
+            // Linking fails rather than replacing a lock taken in the meantime
+            await fs.link(movedFilename, lockFilename);
+            return false;
+        } catch (err) {
+            if ((err as { code?: string }).code === "EEXIST") {
+                return false;
+            }
+            throw err;
+        } finally {
+            await FileChannelStateStore.remove(movedFilename);
+        }
+    }
+}
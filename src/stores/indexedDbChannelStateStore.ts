@@ -0,0 +1,126 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { exportChannelState, importChannelState } from "../mam/channelState";
+import type { IMamChannelState } from "../models/IMamChannelState";
+import type { IMamChannelStateStore } from "../models/IMamChannelStateStore";
+import type { IMamStoredChannelState } from "../models/IMamStoredChannelState";
+import { nextRevision } from "./revision";
+
+/**
+ * Channel state store which keeps the states in IndexedDB, only available in the browser.
+ * Saves are performed in a single read write transaction, so they are serialized
+ * across all the tabs using the database.
+ */
+export class IndexedDbChannelStateStore implements IMamChannelStateStore {
+    /**
+     * The name of the object store.
+     * @internal
+     */
+    private static readonly OBJECT_STORE: string = "channelStates";
+
+    /**
+     * The name of the database.
+     * @internal
+     */
+    private readonly _databaseName: string;
+
+    /**
+     * The opened database.
+     * @internal
+     */
+    private _database?: Promise<IDBDatabase>;
+
+    /**
+     * Create a new instance of IndexedDbChannelStateStore.
+     * @param databaseName The name of the database, defaults to mam-channel-states.
+     */
+    constructor(databaseName: string = "mam-channel-states") {
+        this._databaseName = databaseName;
+    }
+
+    /**
+     * Wait for a request to complete.
+     * @param request The request to wait for.
+     * @returns The result of the request.
+     * @internal
+     */
+    private static async request<T>(request: IDBRequest): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            request.addEventListener("success", () => resolve(request.result as T));
+            request.addEventListener("error", () => reject(request.error));
+        });
+    }
+
+    /**
+     * Load a channel state.
+     * @param id The id of the channel state.
+     * @returns The channel state and its revision, or undefined if there is no state for the id.
+     */
+    public async load(id: string): Promise<IMamStoredChannelState | undefined> {
+        const database = await this.open();
+        const transaction = database.transaction(IndexedDbChannelStateStore.OBJECT_STORE, "readonly");
+        const record = await IndexedDbChannelStateStore.request<{ revision: number; data: string } | undefined>(
+            transaction.objectStore(IndexedDbChannelStateStore.OBJECT_STORE).get(id));
+
+        return record
+            ? { channelState: importChannelState(record.data), revision: record.revision }
+            : undefined;
+    }
+
+    /**
+     * Save a channel state, the save fails if the stored revision is not the expected revision.
+     * @param id The id of the channel state.
+     * @param channelState The channel state to save.
+     * @param revision The revision the state was loaded at, or undefined if the state is new.
+     * @returns The new revision of the state.
+     */
+    public async save(id: string, channelState: IMamChannelState, revision?: number): Promise<number> {
+        const data = exportChannelState(channelState);
+        const database = await this.open();
+
+        return new Promise<number>((resolve, reject) => {
+            const transaction = database.transaction(IndexedDbChannelStateStore.OBJECT_STORE, "readwrite");
+            const objectStore = transaction.objectStore(IndexedDbChannelStateStore.OBJECT_STORE);
+            let newRevision = 0;
+            let error: unknown;
+
+            const getRequest = objectStore.get(id);
+            getRequest.addEventListener("success", () => {
+                const record = getRequest.result as { revision: number } | undefined;
+                try {
+                    newRevision = nextRevision(id, revision, record?.revision);
+                    objectStore.put({ revision: newRevision, data }, id);
+                } catch (err) {
+                    error = err;
+                    transaction.abort();
+                }
+            });
+
+            transaction.addEventListener("complete", () => resolve(newRevision));
+            transaction.addEventListener("abort", () => reject(error ?? transaction.error ??
+                new Error(`The transaction to save the channel state '${id}' was aborted`)));
+        });
+    }
+
+    /**
+     * Open the database, creating the object store if necessary.
+     * @returns The database.
+     * @internal
+     */
+    private async open(): Promise<IDBDatabase> {
+        if (!this._database) {
+            if (typeof indexedDB === "undefined") {
+                throw new TypeError("IndexedDB is not available in this environment");
+            }
+            const openRequest = indexedDB.open(this._databaseName, 1);
+            openRequest.addEventListener("upgradeneeded", () => {
+                openRequest.result.createObjectStore(IndexedDbChannelStateStore.OBJECT_STORE);
+            });
+            this._database = IndexedDbChannelStateStore.request(openRequest);
+            this._database.catch(() => {
+                this._database = undefined;
+            });
+        }
+        return this._database;
+    }
+}
@@ -0,0 +1,51 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { exportChannelState, importChannelState } from "../mam/channelState";
+import type { IMamChannelState } from "../models/IMamChannelState";
+import type { IMamChannelStateStore } from "../models/IMamChannelStateStore";
+import type { IMamStoredChannelState } from "../models/IMamStoredChannelState";
+import { nextRevision } from "./revision";
+
+/**
+ * Channel state store which keeps the states in memory.
+ */
+export class MemoryChannelStateStore implements IMamChannelStateStore {
+    /**
+     * The exported states and their revisions.
+     * @internal
+     */
+    private readonly _states: Map<string, { revision: number; data: string }>;
+
+    /**
+     * Create a new instance of MemoryChannelStateStore.
+     */
+    constructor() {
+        this._states = new Map();
+    }
+
+    /**
+     * Load a channel state.
+     * @param id The id of the channel state.
+     * @returns The channel state and its revision, or undefined if there is no state for the id.
+     */
+    public async load(id: string): Promise<IMamStoredChannelState | undefined> {
+        const stored = this._states.get(id);
+        return stored
+            ? { channelState: importChannelState(stored.data), revision: stored.revision }
+            : undefined;
+    }
+
+    /**
+     * Save a channel state, the save fails if the stored revision is not the expected revision.
+     * @param id The id of the channel state.
+     * @param channelState The channel state to save.
+     * @param revision The revision the state was loaded at, or undefined if the state is new.
+     * @returns The new revision of the state.
+     */
+    public async save(id: string, channelState: IMamChannelState, revision?: number): Promise<number> {
+        const data = exportChannelState(channelState);
+        const newRevision = nextRevision(id, revision, this._states.get(id)?.revision);
+        this._states.set(id, { revision: newRevision, data });
+        return newRevision;
+    }
+}
@@ -0,0 +1,19 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * Check that the stored revision of a channel state is the expected revision.
+ * @param id The id of the channel state.
+ * @param expected The revision the caller loaded, or undefined if the state is new.
+ * @param actual The revision currently stored, or undefined if there is no state.
+ * @returns The new revision for the state.
+ * @internal
+ */
+export function nextRevision(id: string, expected: number | undefined, actual: number | undefined): number {
+    if (expected !== actual) {
+        throw new Error(
+            `The channel state '${id}' has been modified, it is at revision ${actual ?? "none"
+            } but revision ${expected ?? "none"} was expected`);
+    }
+    return (actual ?? 0) + 1;
+}
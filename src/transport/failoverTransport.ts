@@ -0,0 +1,258 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMessage } from "@iota/iota.js";
+import type { IMamFailoverOptions } from "../models/IMamFailoverOptions";
+import type { IMamTransport } from "../models/IMamTransport";
+import type { MamClient } from "../models/mamClient";
+import { withTimeout } from "../utils/timeout";
+import { resolveTransport } from "./resolveTransport";
+
+/**
+ * Transport which spreads requests over a prioritized list of endpoints.
+ * Each request is made to the endpoints in priority order until one succeeds, an endpoint which
+ * fails repeatedly is unhealthy and is only used once the healthy endpoints have failed,
+ * until its cooldown has passed. If every endpoint fails a read it is retried with exponential backoff,
+ * submits are not retried but do fail over, so a submit which timed out may be stored twice,
+ * which readers ignore as only the first payload for a message is used.
+ * Only network errors, timeouts and 5xx responses fail over, other responses from a node such as
+ * a message not being found are rejected straight away and do not count against the endpoint.
+ */
+export class FailoverTransport<T = IMessage> implements IMamTransport<T> {
+    /**
+     * The endpoints in priority order with their health.
+     * @internal
+     */
+    private readonly _endpoints: {
+        /**
+         * The transport for the endpoint.
+         */
+        transport: IMamTransport<T>;
+        /**
+         * The number of consecutive failures.
+         */
+        failures: number;
+        /**
+         * The time the endpoint is unhealthy until.
+         */
+        unhealthyUntil: number;
+    }[];
+
+    /**
+     * The time in milliseconds to wait for each request.
+     * @internal
+     */
+    private readonly _timeout: number;
+
+    /**
+     * The number of times to retry reads.
+     * @internal
+     */
+    private readonly _retries: number;
+
+    /**
+     * The delay in milliseconds before the first retry.
+     * @internal
+     */
+    private readonly _retryDelay: number;
+
+    /**
+     * The factor to multiply the delay by for each retry.
+     * @internal
+     */
+    private readonly _backoffFactor: number;
+
+    /**
+     * The maximum delay in milliseconds between retries.
+     * @internal
+     */
+    private readonly _maxRetryDelay: number;
+
+    /**
+     * The number of consecutive failures after which an endpoint is unhealthy.
+     * @internal
+     */
+    private readonly _failureThreshold: number;
+
+    /**
+     * The time in milliseconds an endpoint is unhealthy for.
+     * @internal
+     */
+    private readonly _cooldown: number;
+
+    /**
+     * Create a new instance of FailoverTransport.
+     * @param endpoints The clients, node endpoints or transports to use, in priority order.
+     * @param options Options for the timeouts, retries and health of the endpoints.
+     */
+    constructor(endpoints: (MamClient | string | IMamTransport<T>)[], options?: IMamFailoverOptions) {
+        if (!Array.isArray(endpoints) || endpoints.length === 0) {
+            throw new Error("At least one endpoint must be provided");
+        }
+        this._endpoints = endpoints.map(endpoint => ({
+            transport: resolveTransport(endpoint),
+            failures: 0,
+            unhealthyUntil: 0
+        }));
+        this._timeout = FailoverTransport.validateOption("timeout", options?.timeout, 10000, 1);
+        this._retries = FailoverTransport.validateOption("retries", options?.retries, 2, 0);
+        this._retryDelay = FailoverTransport.validateOption("retryDelay", options?.retryDelay, 500, 0);
+        this._backoffFactor = FailoverTransport.validateOption("backoffFactor", options?.backoffFactor, 2, 1);
+        this._maxRetryDelay = FailoverTransport.validateOption("maxRetryDelay", options?.maxRetryDelay, 10000, 0);
+        this._failureThreshold = FailoverTransport.validateOption(
+            "failureThreshold", options?.failureThreshold, 3, 1);
+        this._cooldown = FailoverTransport.validateOption("cooldown", options?.cooldown, 30000, 0);
+    }
+
+    /**
+     * Validate a numeric option.
+     * @param name The name of the option.
+     * @param value The value of the option.
+     * @param defaultValue The value to use if the option is not set.
+     * @param minimum The minimum value for the option.
+     * @returns The value to use.
+     * @internal
+     */
+    private static validateOption(name: string, value: number | undefined, defaultValue: number,
+        minimum: number): number {
+        if (value === undefined) {
+            return defaultValue;
+        }
+        if (typeof value !== "number" || Number.isNaN(value) || value < minimum) {
+            throw new Error(`The ${name} must be a number of at least ${minimum}`);
+        }
+        return value;
+    }
+
+    /**
+     * Get the health of the endpoints.
+     * @returns The health of each endpoint in priority order.
+     */
+    public health(): {
+        /**
+         * Is the endpoint healthy.
+         */
+        healthy: boolean;
+        /**
+         * The number of consecutive failures.
+         */
+        failures: number;
+    }[] {
+        const now = Date.now();
+        return this._endpoints.map(endpoint => ({
+            healthy: endpoint.unhealthyUntil <= now,
+            failures: endpoint.failures
+        }));
+    }
+
+    /**
+     * Submit the payload data to the ledger under the index.
+     * @param index The index to store the data under, this is the address of the MAM message.
+     * @param data The packed data for the MAM message.
+     * @returns The id of the stored message and the message in the form stored by the ledger.
+     */
+    public async submit(index: string, data: Uint8Array): Promise<{
+        /**
+         * The id of the stored message.
+         */
+        messageId: string;
+        /**
+         * The message as it was stored.
+         */
+        message: T;
+    }> {
+        return this.request(async transport => transport.submit(index, data), `submit the message to ${index}`, 0);
+    }
+
+    /**
+     * Find the ids of the messages stored under the index.
+     * @param index The index to find the messages for, this is the address of the MAM message.
+     * @returns The ids of the messages.
+     */
+    public async findMessageIds(index: string): Promise<string[]> {
+        return this.request(
+            async transport => transport.findMessageIds(index), `find the messages for ${index}`, this._retries);
+    }
+
+    /**
+     * Get the payload data for a message.
+     * @param messageId The id of the message to get.
+     * @returns The payload data, or undefined if the message does not contain data for MAM.
+     */
+    public async get(messageId: string): Promise<Uint8Array | undefined> {
+        return this.request(
+            async transport => transport.get(messageId), `get the message ${messageId}`, this._retries);
+    }
+
+    /**
+     * Make a request to the endpoints until one succeeds.
+     * @param call The call to make to the transport of an endpoint.
+     * @param description The description of the request for errors.
+     * @param retries The number of times to retry once every endpoint has failed.
+     * @returns The result of the request.
+     * @internal
+     */
+    private async request<R>(
+        call: (transport: IMamTransport<T>) => Promise<R>,
+        description: string,
+        retries: number): Promise<R> {
+        let lastError: unknown;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                const delay = Math.min(this._retryDelay * (this._backoffFactor ** (attempt - 1)), this._maxRetryDelay);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            for (const endpoint of this.prioritizedEndpoints()) {
+                try {
+                    const result = await withTimeout(call(endpoint.transport), this._timeout, description);
+                    endpoint.failures = 0;
+                    endpoint.unhealthyUntil = 0;
+                    return result;
+                } catch (err) {
+                    if (!isTransientError(err)) {
+                        throw err;
+                    }
+                    lastError = err;
+                    endpoint.failures++;
+                    if (endpoint.failures >= this._failureThreshold) {
+                        endpoint.unhealthyUntil = Date.now() + this._cooldown;
+                    }
+                }
+            }
+        }
+
+        const reason = lastError instanceof Error ? lastError.message : String(lastError);
+        throw new Error(`Unable to ${description} on any of the endpoints, the last error was: ${reason}`);
+    }
+
+    /**
+     * Get the endpoints in the order they should be tried, the healthy endpoints in priority order
+     * followed by the unhealthy endpoints in the order they recover.
+     * @returns The endpoints.
+     * @internal
+     */
+    private prioritizedEndpoints(): FailoverTransport<T>["_endpoints"] {
+        const now = Date.now();
+        const healthy = this._endpoints.filter(endpoint => endpoint.unhealthyUntil <= now);
+        const unhealthy = this._endpoints
+            .filter(endpoint => endpoint.unhealthyUntil > now)
+            .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+        return [...healthy, ...unhealthy];
+    }
+}
+
+/**
+ * Is the error one which another endpoint or a retry might not have, a network error, timeout or
+ * 5xx response, rather than a response such as not found which any node would give.
+ * @param err The error to check.
+ * @returns True if the error is transient.
+ * @internal
+ */
+function isTransientError(err: unknown): boolean {
+    const httpStatus = (err as { httpStatus?: unknown } | undefined)?.httpStatus;
+    if (typeof httpStatus !== "number") {
+        return true;
+    }
+    return httpStatus >= 500 || httpStatus === 408 || httpStatus === 429;
+}
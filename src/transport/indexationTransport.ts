@@ -0,0 +1,102 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Blake2b } from "@iota/crypto.js";
+import { IIndexationPayload, IMessage, INDEXATION_PAYLOAD_TYPE, SingleNodeClient } from "@iota/iota.js";
+import { Converter } from "@iota/util.js";
+import type { IMamTransport } from "../models/IMamTransport";
+import type { MamClient } from "../models/mamClient";
+
+/**
+ * Transport which stores MAM payloads as Chrysalis indexation payloads,
+ * the index is the Blake2b hash of the MAM address.
+ */
+export class IndexationTransport implements IMamTransport<IMessage> {
+    /**
+     * The client to communicate with the node.
+     * @internal
+     */
+    private readonly _client: MamClient;
+
+    /**
+     * Create a new instance of IndexationTransport.
+     * @param client The client or node endpoint to use.
+     */
+    constructor(client: MamClient | string) {
+        this._client = typeof client === "string" ? new SingleNodeClient(client) : client;
+    }
+
+    /**
+     * Hash the MAM address to create the indexation key.
+     * @param index The MAM address.
+     * @returns The indexation key.
+     */
+    public static hashIndex(index: string): Uint8Array {
+        return Blake2b.sum256(Converter.utf8ToBytes(index));
+    }
+
+    /**
+     * Extract the MAM data from a message.
+     * @param message The message to extract the data from.
+     * @returns The data, or undefined if the message does not have an indexation payload.
+     */
+    public static extractData(message: IMessage): Uint8Array | undefined {
+        // We only use indexation payload for storing mam messages
+        if (message.payload?.type === INDEXATION_PAYLOAD_TYPE && message.payload.data) {
+            return Converter.hexToBytes(message.payload.data);
+        }
+    }
+
+    /**
+     * Submit the payload data to the ledger under the index.
+     * @param index The index to store the data under, this is the address of the MAM message.
+     * @param data The packed data for the MAM message.
+     * @returns The id of the stored message and the message in the form stored by the ledger.
+     */
+    public async submit(index: string, data: Uint8Array): Promise<{
+        /**
+         * The id of the stored message.
+         */
+        messageId: string;
+        /**
+         * The message as it was stored.
+         */
+        message: IMessage;
+    }> {
+        const indexationPayload: IIndexationPayload = {
+            type: INDEXATION_PAYLOAD_TYPE,
+            index: Converter.bytesToHex(IndexationTransport.hashIndex(index)),
+            data: Converter.bytesToHex(data)
+        };
+
+        const message: IMessage = {
+            payload: indexationPayload
+        };
+
+        const messageId = await this._client.messageSubmit(message);
+
+        return {
+            message,
+            messageId
+        };
+    }
+
+    /**
+     * Find the ids of the messages stored under the index.
+     * @param index The index to find the messages for, this is the address of the MAM message.
+     * @returns The ids of the messages.
+     */
+    public async findMessageIds(index: string): Promise<string[]> {
+        const messagesResponse = await this._client.messagesFind(IndexationTransport.hashIndex(index));
+        return messagesResponse.messageIds;
+    }
+
+    /**
+     * Get the payload data for a message.
+     * @param messageId The id of the message to get.
+     * @returns The payload data, or undefined if the message does not contain data for MAM.
+     */
+    public async get(messageId: string): Promise<Uint8Array | undefined> {
+        const message = await this._client.message(messageId);
+        return IndexationTransport.extractData(message);
+    }
+}
@@ -0,0 +1,31 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamTransport } from "../models/IMamTransport";
+import type { MamClient } from "../models/mamClient";
+import { IndexationTransport } from "./indexationTransport";
+
+/**
+ * Resolve the client to a transport, clients and node endpoints use the indexation transport.
+ * @param client The client, node endpoint or transport.
+ * @returns The transport.
+ * @internal
+ */
+export function resolveTransport<T>(client: MamClient | string | IMamTransport<T>): IMamTransport<T> {
+    if (typeof client === "string" || !isTransport(client)) {
+        return new IndexationTransport(client) as unknown as IMamTransport<T>;
+    }
+    return client;
+}
+
+/**
+ * Is the object a transport.
+ * @param client The object to check.
+ * @returns True if the object is a transport.
+ * @internal
+ */
+function isTransport<T>(client: MamClient | IMamTransport<T>): client is IMamTransport<T> {
+    const transport = client as IMamTransport<T>;
+    return typeof transport.submit === "function" &&
+        typeof transport.findMessageIds === "function" &&
+        typeof transport.get === "function";
+}
@@ -0,0 +1,120 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Converter } from "@iota/util.js";
+import type { IMamTransport } from "../models/IMamTransport";
+import type { ITaggedDataBlock } from "../models/ITaggedDataBlock";
+import type { ITaggedDataClient } from "../models/ITaggedDataClient";
+import { ITaggedDataPayload, TAGGED_DATA_PAYLOAD_TYPE } from "../models/ITaggedDataPayload";
+import { IndexationTransport } from "./indexationTransport";
+
+/**
+ * The prefix used by Stardust nodes for hex encoded data.
+ * @internal
+ */
+const HEX_PREFIX = "0x";
+
+/**
+ * Transport which stores MAM payloads as Stardust tagged data payloads,
+ * the tag is the Blake2b hash of the MAM address, the data uses the same
+ * packing as indexation payloads.
+ */
+export class TaggedDataTransport implements IMamTransport<ITaggedDataBlock> {
+    /**
+     * The client to communicate with the node.
+     * @internal
+     */
+    private readonly _client: ITaggedDataClient;
+
+    /**
+     * Create a new instance of TaggedDataTransport.
+     * @param client The client to use.
+     */
+    constructor(client: ITaggedDataClient) {
+        this._client = client;
+    }
+
+    /**
+     * Extract the MAM data from a block.
+     * @param block The block to extract the data from.
+     * @returns The data, or undefined if the block does not have a tagged data payload.
+     */
+    public static extractData(block: ITaggedDataBlock): Uint8Array | undefined {
+        const payload = block.payload as ITaggedDataPayload | undefined;
+        if (payload?.type === TAGGED_DATA_PAYLOAD_TYPE && payload.data) {
+            return Converter.hexToBytes(stripHexPrefix(payload.data));
+        }
+    }
+
+    /**
+     * Submit the payload data to the ledger under the index.
+     * @param index The index to store the data under, this is the address of the MAM message.
+     * @param data The packed data for the MAM message.
+     * @returns The id of the stored block and the block in the form stored by the ledger.
+     */
+    public async submit(index: string, data: Uint8Array): Promise<{
+        /**
+         * The id of the stored block.
+         */
+        messageId: string;
+        /**
+         * The block as it was stored.
+         */
+        message: ITaggedDataBlock;
+    }> {
+        const payload: ITaggedDataPayload = {
+            type: TAGGED_DATA_PAYLOAD_TYPE,
+            tag: hashTag(index),
+            data: `${HEX_PREFIX}${Converter.bytesToHex(data)}`
+        };
+
+        const block = {
+            payload
+        };
+
+        const messageId = await this._client.blockSubmit(block);
+
+        return {
+            message: block,
+            messageId
+        };
+    }
+
+    /**
+     * Find the ids of the blocks stored under the index.
+     * @param index The index to find the blocks for, this is the address of the MAM message.
+     * @returns The ids of the blocks.
+     */
+    public async findMessageIds(index: string): Promise<string[]> {
+        return this._client.blocksFindByTag(hashTag(index));
+    }
+
+    /**
+     * Get the payload data for a block.
+     * @param messageId The id of the block to get.
+     * @returns The payload data, or undefined if the block does not contain data for MAM.
+     */
+    public async get(messageId: string): Promise<Uint8Array | undefined> {
+        const block = await this._client.block(messageId);
+        return TaggedDataTransport.extractData(block);
+    }
+}
+
+/**
+ * Create the tag for the index as 0x prefixed hex.
+ * @param index The index to create the tag for.
+ * @returns The tag.
+ * @internal
+ */
+function hashTag(index: string): string {
+    return `${HEX_PREFIX}${Converter.bytesToHex(IndexationTransport.hashIndex(index))}`;
+}
+
+/**
+ * Remove the 0x prefix from hex if it has one.
+ * @param hex The hex to remove the prefix from.
+ * @returns The hex without the prefix.
+ * @internal
+ */
+function stripHexPrefix(hex: string): string {
+    return hex.startsWith(HEX_PREFIX) ? hex.slice(HEX_PREFIX.length) : hex;
+}
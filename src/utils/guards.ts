@@ -1,5 +1,7 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
+import { MamInvalidTrytesError } from "../errors/mamInvalidTrytesError";
+import { MamModeKeyError } from "../errors/mamModeKeyError";
 import type { MamMode } from "../models/mamMode";
 import { TrytesHelper } from "./trytesHelper";
 
@@ -11,20 +13,58 @@ import { TrytesHelper } from "./trytesHelper";
  */
 export function validateModeKey(mode: MamMode, sideKey?: string): void {
     if (mode !== "public" && mode !== "private" && mode !== "restricted") {
-        throw new Error(`The mode must be public, private or restricted, it is '${mode}'`);
+        throw new MamModeKeyError(`The mode must be public, private or restricted, it is '${mode}'`);
     }
     if (mode === "restricted") {
         if (!sideKey) {
-            throw new Error("You must provide a sideKey for restricted mode");
+            throw new MamModeKeyError("You must provide a sideKey for restricted mode");
         }
         if (!TrytesHelper.isTrytes(sideKey)) {
-            throw new Error("The sideKey must be in trytes");
+            throw new MamModeKeyError("The sideKey must be in trytes");
         }
         if (sideKey.length > 81) {
-            throw new Error("The sideKey must be maximum length 81 trytes");
+            throw new MamModeKeyError("The sideKey must be maximum length 81 trytes");
         }
     }
     if (mode !== "restricted" && sideKey) {
-        throw new Error("sideKey is only used in restricted mode");
+        throw new MamModeKeyError("sideKey is only used in restricted mode");
     }
 }
+
+/**
+ * Validate a channel root.
+ * @param root The root to validate.
+ * @internal
+ */
+export function validateRoot(root: string): void {
+    if (typeof root !== "string" || !TrytesHelper.isHash(root)) {
+        throw new MamInvalidTrytesError("The root must be 81 trytes");
+    }
+}
+
+/**
+ * Validate the size of a Merkle tree, it must be a power of 2 as readers
+ * calculate the size of the tree from the number of siblings in a message.
+ * @param name The name of the size for error messages.
+ * @param size The size to validate.
+ * @internal
+ */
+export function validateTreeSize(name: string, size: number): void {
+    if (!Number.isInteger(size) || size <= 0) {
+        throw new Error(`${name} must be an integer > 0, it is ${size}`);
+    }
+    // eslint-disable-next-line no-bitwise
+    if ((size & (size - 1)) !== 0) {
+        throw new Error(`${name} must be a power of 2, it is ${size}`);
+    }
+}
+
+/**
+ * Is the value a plain object.
+ * @param value The value to check.
+ * @returns True if the value is an object.
+ * @internal
+ */
+export function isObject(value: unknown): value is { [key: string]: unknown } {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -1,6 +1,7 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
 import { Curl } from "@iota/crypto.js";
+import { createSponge } from "../wasm/wasm";
 
 /**
  * Create the mask hash for the key.
@@ -9,7 +10,7 @@ import { Curl } from "@iota/crypto.js";
  * @internal
  */
 export function maskHash(keyTrits: Int8Array): Int8Array {
-    const sponge = new Curl(81);
+    const sponge = createSponge(81);
 
     sponge.absorb(keyTrits, 0, keyTrits.length);
 
@@ -147,6 +147,9 @@ function minTrits(input: number, basis: number): number {
  * @internal
  */
 function end(input: Int8Array): number {
+    if (input.length < TRITS_PER_TRYTE) {
+        throw new Error("The trits do not contain a complete pascal encoded value");
+    }
     if (TrytesHelper.tritsValue(input.slice(0, TRITS_PER_TRYTE)) > 0) {
         return TRITS_PER_TRYTE;
     }
@@ -0,0 +1,34 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * Wait for a request, rejecting if it does not settle in time.
+ * The request itself is not cancelled, its result is ignored once it has timed out.
+ * @param request The request to wait for.
+ * @param timeout The time in milliseconds to wait, undefined to wait for as long as it takes.
+ * @param description The description of the request for the error.
+ * @returns The result of the request.
+ * @internal
+ */
+export async function withTimeout<T>(
+    request: Promise<T>,
+    timeout: number | undefined,
+    description: string): Promise<T> {
+    if (timeout === undefined) {
+        return request;
+    }
+
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const expired = new Promise<never>((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(new Error(`The request to ${description} timed out after ${timeout}ms`)),
+            timeout);
+    });
+
+    try {
+        return await Promise.race([request, expired]);
+    } finally {
+        if (timer !== undefined) {
+            clearTimeout(timer);
+        }
+    }
+}
@@ -0,0 +1,225 @@
+;; Copyright 2021 IOTA Stiftung
+;; SPDX-License-Identifier: Apache-2.0
+;;
+;; Curl-P transform and 64 lane Hamming nonce search.
+;; Run `npm run build-wasm` after changing this file to regenerate curlWasmModule.ts.
+;;
+;; Memory layout
+;;   0      Curl state trits, 729 x i8
+;;   1024   Curl scratchpad trits, 729 x i8
+;;   2048   Truth table, 11 x i8
+;;   2304   Search input and output trits, 729 x i8
+;;   4096   Search low lanes, 729 x i64
+;;   12288  Search high lanes, 729 x i64
+;;   20480  Search transformed low lanes, 729 x i64
+;;   28672  Search transformed high lanes, 729 x i64
+;;   36864  Search scratchpad low lanes, 729 x i64
+;;   45056  Search scratchpad high lanes, 729 x i64
+(module
+  (memory (export "memory") 1)
+
+  (data (i32.const 2048) "\01\00\ff\02\01\ff\00\02\ff\01\00")
+
+  (global $STATE i32 (i32.const 0))
+  (global $SCRATCH i32 (i32.const 1024))
+  (global $TRUTH i32 (i32.const 2048))
+  (global $TRITS i32 (i32.const 2304))
+  (global $LOW i32 (i32.const 4096))
+  (global $HIGH i32 (i32.const 12288))
+  (global $COPY_LOW i32 (i32.const 20480))
+  (global $COPY_HIGH i32 (i32.const 28672))
+  (global $SCRATCH_LOW i32 (i32.const 36864))
+  (global $SCRATCH_HIGH i32 (i32.const 45056))
+  (global $LANES_SIZE i32 (i32.const 5832))
+
+  ;; Transform the Curl state with the given number of rounds.
+  (func (export "transform") (param $rounds i32)
+    (local $round i32)
+    (local $i i32)
+    (local $index i32)
+    (local $lastVal i32)
+    (local $nextVal i32)
+    (block $roundsDone
+      (loop $rounds
+        (br_if $roundsDone (i32.ge_u (local.get $round) (local.get $rounds)))
+        (memory.copy (global.get $SCRATCH) (global.get $STATE) (i32.const 729))
+        (local.set $i (i32.const 0))
+        (block $stateDone
+          (loop $state
+            (br_if $stateDone (i32.ge_u (local.get $i) (i32.const 729)))
+            (local.set $lastVal (i32.load8_s (i32.add (global.get $SCRATCH) (local.get $index))))
+            (if (i32.lt_u (local.get $index) (i32.const 365))
+              (then (local.set $index (i32.add (local.get $index) (i32.const 364))))
+              (else (local.set $index (i32.sub (local.get $index) (i32.const 365)))))
+            (local.set $nextVal
+              (i32.shl (i32.load8_s (i32.add (global.get $SCRATCH) (local.get $index))) (i32.const 2)))
+            (i32.store8
+              (i32.add (global.get $STATE) (local.get $i))
+              (i32.load8_s
+                (i32.add
+                  (global.get $TRUTH)
+                  (i32.add (i32.add (local.get $lastVal) (local.get $nextVal)) (i32.const 5)))))
+            (local.set $i (i32.add (local.get $i) (i32.const 1)))
+            (br $state)))
+        (local.set $round (i32.add (local.get $round) (i32.const 1)))
+        (br $rounds))))
+
+  ;; Convert the search input trits to lanes and set the initial nonce values at the offset.
+  (func (export "searchPrepare") (param $offset i32)
+    (local $i i32)
+    (local $trit i32)
+    (local $addr i32)
+    (block $done
+      (loop $trits
+        (br_if $done (i32.ge_u (local.get $i) (i32.const 729)))
+        (local.set $trit (i32.load8_s (i32.add (global.get $TRITS) (local.get $i))))
+        (local.set $addr (i32.shl (local.get $i) (i32.const 3)))
+        (i64.store (i32.add (global.get $LOW) (local.get $addr))
+          (select (i64.const 0) (i64.const -1) (i32.eq (local.get $trit) (i32.const 1))))
+        (i64.store (i32.add (global.get $HIGH) (local.get $addr))
+          (select (i64.const 0) (i64.const -1) (i32.eq (local.get $trit) (i32.const -1))))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $trits)))
+    (local.set $addr (i32.shl (local.get $offset) (i32.const 3)))
+    (i64.store offset=0 (i32.add (global.get $LOW) (local.get $addr)) (i64.const 0xDB6DB6DB6DB6DB6D))
+    (i64.store offset=8 (i32.add (global.get $LOW) (local.get $addr)) (i64.const 0xF1F8FC7E3F1F8FC7))
+    (i64.store offset=16 (i32.add (global.get $LOW) (local.get $addr)) (i64.const 0x7FFFE00FFFFC01FF))
+    (i64.store offset=24 (i32.add (global.get $LOW) (local.get $addr)) (i64.const 0xFFC0000007FFFFFF))
+    (i64.store offset=0 (i32.add (global.get $HIGH) (local.get $addr)) (i64.const 0xB6DB6DB6DB6DB6DB))
+    (i64.store offset=8 (i32.add (global.get $HIGH) (local.get $addr)) (i64.const 0x8FC7E3F1F8FC7E3F))
+    (i64.store offset=16 (i32.add (global.get $HIGH) (local.get $addr)) (i64.const 0xFFC01FFFF803FFFF))
+    (i64.store offset=24 (i32.add (global.get $HIGH) (local.get $addr)) (i64.const 0x003FFFFFFFFFFFFF)))
+
+  ;; Increment the nonce lanes, returns the increment length.
+  (func (export "searchIncrement") (param $from i32) (param $to i32) (result i32)
+    (local $i i32)
+    (local $addr i32)
+    (local $low i64)
+    (local $high i64)
+    (local.set $i (local.get $from))
+    (block $done
+      (loop $lanes
+        (br_if $done (i32.ge_u (local.get $i) (local.get $to)))
+        (local.set $addr (i32.shl (local.get $i) (i32.const 3)))
+        (local.set $low (i64.load (i32.add (global.get $LOW) (local.get $addr))))
+        (local.set $high (i64.load (i32.add (global.get $HIGH) (local.get $addr))))
+        (i64.store (i32.add (global.get $LOW) (local.get $addr)) (i64.xor (local.get $high) (local.get $low)))
+        (i64.store (i32.add (global.get $HIGH) (local.get $addr)) (local.get $low))
+        (if (i64.eqz (i64.and (local.get $high) (i64.xor (local.get $low) (i64.const -1))))
+          (then (return (i32.sub (local.get $to) (local.get $from)))))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $lanes)))
+    (i32.add (i32.sub (local.get $to) (local.get $from)) (i32.const 1)))
+
+  ;; Transform a copy of the lanes and check them, returns the lane of the nonce or 0 if not found.
+  (func (export "searchCheck") (param $securityLevel i32) (result i32)
+    (local $round i32)
+    (local $s i32)
+    (local $index i32)
+    (local $alpha i64)
+    (local $beta i64)
+    (local $gamma i64)
+    (local $delta i64)
+    (local $lane i32)
+    (local $bit i64)
+    (local $sum i32)
+    (local $j i32)
+    (local $k i32)
+    (local $kEnd i32)
+    (memory.copy (global.get $COPY_LOW) (global.get $LOW) (global.get $LANES_SIZE))
+    (memory.copy (global.get $COPY_HIGH) (global.get $HIGH) (global.get $LANES_SIZE))
+
+    (block $roundsDone
+      (loop $rounds
+        (br_if $roundsDone (i32.ge_u (local.get $round) (i32.const 27)))
+        (memory.copy (global.get $SCRATCH_LOW) (global.get $COPY_LOW) (global.get $LANES_SIZE))
+        (memory.copy (global.get $SCRATCH_HIGH) (global.get $COPY_HIGH) (global.get $LANES_SIZE))
+        (local.set $s (i32.const 0))
+        (block $stateDone
+          (loop $state
+            (br_if $stateDone (i32.ge_u (local.get $s) (i32.const 729)))
+            (local.set $alpha
+              (i64.load (i32.add (global.get $SCRATCH_LOW) (i32.shl (local.get $index) (i32.const 3)))))
+            (local.set $beta
+              (i64.load (i32.add (global.get $SCRATCH_HIGH) (i32.shl (local.get $index) (i32.const 3)))))
+            (if (i32.lt_u (local.get $index) (i32.const 365))
+              (then (local.set $index (i32.add (local.get $index) (i32.const 364))))
+              (else (local.set $index (i32.sub (local.get $index) (i32.const 365)))))
+            (local.set $gamma
+              (i64.load (i32.add (global.get $SCRATCH_HIGH) (i32.shl (local.get $index) (i32.const 3)))))
+            (local.set $delta
+              (i64.and
+                (i64.or (local.get $alpha) (i64.xor (local.get $gamma) (i64.const -1)))
+                (i64.xor
+                  (i64.load (i32.add (global.get $SCRATCH_LOW) (i32.shl (local.get $index) (i32.const 3))))
+                  (local.get $beta))))
+            (i64.store (i32.add (global.get $COPY_LOW) (i32.shl (local.get $s) (i32.const 3)))
+              (i64.xor (local.get $delta) (i64.const -1)))
+            (i64.store (i32.add (global.get $COPY_HIGH) (i32.shl (local.get $s) (i32.const 3)))
+              (i64.or (i64.xor (local.get $alpha) (local.get $gamma)) (local.get $delta)))
+            (local.set $s (i32.add (local.get $s) (i32.const 1)))
+            (br $state)))
+        (local.set $round (i32.add (local.get $round) (i32.const 1)))
+        (br $rounds)))
+
+    (block $lanesDone
+      (loop $lanes
+        (br_if $lanesDone (i32.ge_u (local.get $lane) (i32.const 64)))
+        (local.set $bit (i64.shl (i64.const 1) (i64.extend_i32_u (local.get $lane))))
+        (local.set $sum (i32.const 0))
+        (local.set $j (i32.const 0))
+        (block $levelsDone
+          (loop $levels
+            (br_if $levelsDone (i32.ge_u (local.get $j) (local.get $securityLevel)))
+            (local.set $k (i32.mul (local.get $j) (i32.const 81)))
+            (local.set $kEnd (i32.add (local.get $k) (i32.const 81)))
+            (block $tritsDone
+              (loop $trits
+                (br_if $tritsDone (i32.ge_u (local.get $k) (local.get $kEnd)))
+                (if (i64.eqz (i64.and
+                      (i64.load (i32.add (global.get $COPY_LOW) (i32.shl (local.get $k) (i32.const 3))))
+                      (local.get $bit)))
+                  (then (local.set $sum (i32.sub (local.get $sum) (i32.const 1))))
+                  (else
+                    (if (i64.eqz (i64.and
+                          (i64.load (i32.add (global.get $COPY_HIGH) (i32.shl (local.get $k) (i32.const 3))))
+                          (local.get $bit)))
+                      (then (local.set $sum (i32.add (local.get $sum) (i32.const 1)))))))
+                (local.set $k (i32.add (local.get $k) (i32.const 1)))
+                (br $trits)))
+            (if (i32.and
+                  (i32.eqz (local.get $sum))
+                  (i32.lt_u (local.get $j) (i32.sub (local.get $securityLevel) (i32.const 1))))
+              (then
+                (local.set $sum (i32.const 1))
+                (br $levelsDone)))
+            (local.set $j (i32.add (local.get $j) (i32.const 1)))
+            (br $levels)))
+        (if (i32.eqz (local.get $sum))
+          (then (return (local.get $lane))))
+        (local.set $lane (i32.add (local.get $lane) (i32.const 1)))
+        (br $lanes)))
+    (i32.const 0))
+
+  ;; Write the nonce trits from the given lane to the search trits.
+  (func (export "searchResult") (param $length i32) (param $lane i32)
+    (local $i i32)
+    (local $shift i64)
+    (local $l i64)
+    (local $h i64)
+    (local.set $shift (i64.extend_i32_u (local.get $lane)))
+    (block $done
+      (loop $trits
+        (br_if $done (i32.ge_u (local.get $i) (local.get $length)))
+        (local.set $l (i64.and
+          (i64.shr_u (i64.load (i32.add (global.get $LOW) (i32.shl (local.get $i) (i32.const 3)))) (local.get $shift))
+          (i64.const 1)))
+        (local.set $h (i64.and
+          (i64.shr_u (i64.load (i32.add (global.get $HIGH) (i32.shl (local.get $i) (i32.const 3)))) (local.get $shift))
+          (i64.const 1)))
+        (i32.store8 (i32.add (global.get $TRITS) (local.get $i))
+          (if (result i32) (i64.eq (local.get $l) (local.get $h))
+            (then (i32.const 0))
+            (else (select (i32.const -1) (i32.const 1) (i64.eqz (local.get $h))))))
+        (local.set $i (i32.add (local.get $i) (i32.const 1)))
+        (br $trits)))))
@@ -0,0 +1,38 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+
+/**
+ * The exports of the Curl WebAssembly module, see curl.wat for the memory layout.
+ * @internal
+ */
+export interface CurlWasmExports {
+    /**
+     * The memory of the module.
+     */
+    memory: WebAssembly.Memory;
+
+    /**
+     * Transform the Curl state.
+     */
+    transform: (rounds: number) => void;
+
+    /**
+     * Prepare the search lanes from the search trits.
+     */
+    searchPrepare: (offset: number) => void;
+
+    /**
+     * Increment the nonce in the search lanes.
+     */
+    searchIncrement: (fromIndex: number, toIndex: number) => number;
+
+    /**
+     * Transform and check the search lanes.
+     */
+    searchCheck: (securityLevel: number) => number;
+
+    /**
+     * Write the nonce from the search lanes to the search trits.
+     */
+    searchResult: (length: number, lane: number) => void;
+}
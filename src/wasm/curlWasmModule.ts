@@ -0,0 +1,26 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+// This file is generated from curl.wat by running npm run build-wasm, do not edit it.
+
+/**
+ * The compiled WebAssembly module for the Curl transform and nonce search, base64 encoded.
+ * @internal
+ */
+export const CURL_WASM: string =
+    "AGFzbQEAAAABFQRgAX8AYAJ/fwF/YAF/AX9gAn9/AAMGBQAAAQIDBQMBAAEGRwt/AEEAC38AQYAIC38AQYAQC38AQYASC38AQYAg" +
+    "C38AQYDgAAt/AEGAoAELfwBBgOABC38AQYCgAgt/AEGA4AILfwBByC0LB1UGBm1lbW9yeQIACXRyYW5zZm9ybQAADXNlYXJjaFBy" +
+    "ZXBhcmUAAQ9zZWFyY2hJbmNyZW1lbnQAAgtzZWFyY2hDaGVjawADDHNlYXJjaFJlc3VsdAAECt0HBYcBAQV/AkADQCABIABPDQEj" +
+    "ASMAQdkF/AoAAEEAIQICQANAIAJB2QVPDQEjASADaiwAACEEIANB7QJJBEAgA0HsAmohAwUgA0HtAmshAwsjASADaiwAAEECdCEF" +
+    "IwAgAmojAiAEIAVqQQVqaiwAADoAACACQQFqIQIMAAsLIAFBAWohAQwACwsL5wEBA38CQANAIAFB2QVPDQEjAyABaiwAACECIAFB" +
+    "A3QhAyMEIANqQgBCfyACQQFGGzcDACMFIANqQgBCfyACQX9GGzcDACABQQFqIQEMAAsLIABBA3QhAyMEIANqQu222+222+22WzcD" +
+    "ACMEIANqQsef/vjjj7/8cTcDCCMEIANqQv+D8P//gfj//wA3AxAjBCADakL///+/gICAYDcDGCMFIANqQtvtttvtttvttn83AwAj" +
+    "BSADakK//PHHn/74449/NwMIIwUgA2pC//+PwP//h2A3AxAjBSADakL/////////HzcDGAtsAgJ/An4gACECAkADQCACIAFPDQEg" +
+    "AkEDdCEDIwQgA2opAwAhBCMFIANqKQMAIQUjBCADaiAFIASFNwMAIwUgA2ogBDcDACAFIARCf4WDUARAIAEgAGsPCyACQQFqIQIM" +
+    "AAsLIAEgAGtBAWoLmAMFA38EfgF/AX4EfyMGIwQjCvwKAAAjByMFIwr8CgAAAkADQCABQRtPDQEjCCMGIwr8CgAAIwkjByMK/AoA" +
+    "AEEAIQICQANAIAJB2QVPDQEjCCADQQN0aikDACEEIwkgA0EDdGopAwAhBSADQe0CSQRAIANB7AJqIQMFIANB7QJrIQMLIwkgA0ED" +
+    "dGopAwAhBiAEIAZCf4WEIwggA0EDdGopAwAgBYWDIQcjBiACQQN0aiAHQn+FNwMAIwcgAkEDdGogBCAGhSAHhDcDACACQQFqIQIM" +
+    "AAsLIAFBAWohAQwACwsCQANAIAhBwABPDQFCASAIrYYhCUEAIQpBACELAkADQCALIABPDQEgC0HRAGwhDCAMQdEAaiENAkADQCAM" +
+    "IA1PDQEjBiAMQQN0aikDACAJg1AEQCAKQQFrIQoFIwcgDEEDdGopAwAgCYNQBEAgCkEBaiEKCwsgDEEBaiEMDAALCyAKRSALIABB" +
+    "AWtJcQRAQQEhCgwCCyALQQFqIQsMAAsLIApFBEAgCA8LIAhBAWohCAwACwtBAAtiAgF/A34gAa0hAwJAA0AgAiAATw0BIwQgAkED" +
+    "dGopAwAgA4hCAYMhBCMFIAJBA3RqKQMAIAOIQgGDIQUjAyACaiAEIAVRBH9BAAVBf0EBIAVQGws6AAAgAkEBaiECDAALCwsLEgEA" +
+    "QYAQCwsBAP8CAf8AAv8BAA==";
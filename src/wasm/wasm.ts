@@ -0,0 +1,78 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Curl } from "@iota/crypto.js";
+import { Base64 } from "@iota/util.js";
+import type { INonceSearchProvider } from "../models/INonceSearchProvider";
+import { Int32HammingDiver } from "../pearlDiver/int32HammingDiver";
+import type { CurlWasmExports } from "./curlWasmExports";
+import { WasmCurl } from "./wasmCurl";
+import { WasmHammingDiver } from "./wasmHammingDiver";
+
+/**
+ * The exports of the instantiated module.
+ * @internal
+ */
+let wasmExports: CurlWasmExports | undefined;
+
+/**
+ * Is the WebAssembly implementation in use.
+ * @internal
+ */
+let wasmEnabled: boolean = false;
+
+/**
+ * Use the WebAssembly implementation of the Curl sponge and nonce search, the module
+ * is only loaded the first time this is called. The payloads produced are identical
+ * to the JavaScript implementation, which remains in use if WebAssembly is not available.
+ * @returns True if the WebAssembly implementation is now in use.
+ */
+export async function enableWasm(): Promise<boolean> {
+    if (!wasmExports) {
+        if (typeof WebAssembly !== "object") {
+            return false;
+        }
+        try {
+            const { CURL_WASM } = await import("./curlWasmModule");
+            const source = await WebAssembly.instantiate(Base64.decode(CURL_WASM));
+            wasmExports = source.instance.exports as unknown as CurlWasmExports;
+        } catch {
+            return false;
+        }
+    }
+    wasmEnabled = true;
+    return true;
+}
+
+/**
+ * Stop using the WebAssembly implementation and return to the JavaScript implementation.
+ */
+export function disableWasm(): void {
+    wasmEnabled = false;
+}
+
+/**
+ * Is the WebAssembly implementation of the Curl sponge and nonce search in use.
+ * @returns True if the WebAssembly implementation is in use.
+ */
+export function isWasmEnabled(): boolean {
+    return wasmEnabled;
+}
+
+/**
+ * Create a Curl sponge, using the WebAssembly implementation if it is enabled.
+ * @param rounds The number of rounds to perform.
+ * @returns The sponge.
+ * @internal
+ */
+export function createSponge(rounds: number): Curl {
+    return wasmEnabled && wasmExports ? new WasmCurl(wasmExports, rounds) : new Curl(rounds);
+}
+
+/**
+ * Create the default nonce search, using the WebAssembly implementation if it is enabled.
+ * @returns The nonce search provider.
+ * @internal
+ */
+export function createNonceSearch(): INonceSearchProvider {
+    return wasmEnabled && wasmExports ? new WasmHammingDiver(wasmExports) : new Int32HammingDiver();
+}
@@ -0,0 +1,102 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Curl } from "@iota/crypto.js";
+import type { CurlWasmExports } from "./curlWasmExports";
+
+/**
+ * Class to implement the Curl sponge with the transform performed by WebAssembly.
+ * @internal
+ */
+export class WasmCurl {
+    /**
+     * The offset of the Curl state in the module memory.
+     */
+    private static readonly STATE_OFFSET: number = 0;
+
+    /**
+     * The module exports.
+     */
+    private readonly _wasm: CurlWasmExports;
+
+    /**
+     * The number of rounds.
+     */
+    private readonly _rounds: number;
+
+    /**
+     * The state of the sponge.
+     */
+    private _state: Int8Array;
+
+    /**
+     * Create a new instance of WasmCurl.
+     * @param wasm The module exports.
+     * @param rounds The number of rounds to perform.
+     */
+    constructor(wasm: CurlWasmExports, rounds: number) {
+        if (rounds !== 27 && rounds !== 81) {
+            throw new Error("Illegal number of rounds. Only `27` and `81` rounds are supported.");
+        }
+        this._wasm = wasm;
+        this._rounds = rounds;
+        this._state = new Int8Array(Curl.STATE_LENGTH);
+    }
+
+    /**
+     * Resets the state.
+     */
+    public reset(): void {
+        this._state = new Int8Array(Curl.STATE_LENGTH);
+    }
+
+    /**
+     * Get the state of the sponge.
+     * @param len The length of the state to get.
+     * @returns The state.
+     */
+    public rate(len: number = Curl.HASH_LENGTH): Int8Array {
+        return this._state.slice(0, len);
+    }
+
+    /**
+     * Absorbs trits given an offset and length.
+     * @param trits The trits to absorb.
+     * @param offset The offset to start absorbing from the array.
+     * @param length The length of trits to absorb.
+     */
+    public absorb(trits: Int8Array, offset: number, length: number): void {
+        do {
+            const limit = length < Curl.HASH_LENGTH ? length : Curl.HASH_LENGTH;
+            this._state.set(trits.subarray(offset, offset + limit));
+            this.transform();
+            length -= Curl.HASH_LENGTH;
+            offset += limit;
+        } while (length > 0);
+    }
+
+    /**
+     * Squeezes trits given an offset and length.
+     * @param trits The trits to squeeze.
+     * @param offset The offset to start squeezing from the array.
+     * @param length The length of trits to squeeze.
+     */
+    public squeeze(trits: Int8Array, offset: number, length: number): void {
+        do {
+            const limit = length < Curl.HASH_LENGTH ? length : Curl.HASH_LENGTH;
+            trits.set(this._state.subarray(0, limit), offset);
+            this.transform();
+            length -= Curl.HASH_LENGTH;
+            offset += limit;
+        } while (length > 0);
+    }
+
+    /**
+     * Transform the state in the module memory.
+     */
+    private transform(): void {
+        const memory = new Int8Array(this._wasm.memory.buffer, WasmCurl.STATE_OFFSET, Curl.STATE_LENGTH);
+        memory.set(this._state);
+        this._wasm.transform(this._rounds);
+        this._state.set(memory);
+    }
+}
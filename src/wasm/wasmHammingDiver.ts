@@ -0,0 +1,83 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Curl } from "@iota/crypto.js";
+import { MamAbortError } from "../errors/mamAbortError";
+import type { INonceSearchOptions } from "../models/INonceSearchOptions";
+import type { INonceSearchProvider } from "../models/INonceSearchProvider";
+import { roundThird } from "../utils/pascal";
+import type { CurlWasmExports } from "./curlWasmExports";
+
+/**
+ * Class to perform Hamming calculation for nonce using WebAssembly 64 bit lanes.
+ * @internal
+ */
+export class WasmHammingDiver implements INonceSearchProvider {
+    /**
+     * The offset of the search trits in the module memory.
+     */
+    private static readonly TRITS_OFFSET: number = 2304;
+
+    /**
+     * The module exports.
+     */
+    private readonly _wasm: CurlWasmExports;
+
+    /**
+     * Create a new instance of WasmHammingDiver.
+     * @param wasm The module exports.
+     */
+    constructor(wasm: CurlWasmExports) {
+        this._wasm = wasm;
+    }
+
+    /**
+     * Search for the nonce.
+     * @param trits The trits to calculate the nonce.
+     * @param securityLevel The security level to calculate at.
+     * @param length The length of the data to search.
+     * @param offset The offset to start the search.
+     * @param options Options to abort the search and report its progress.
+     * @returns The trits of the nonce.
+     */
+    public search(
+        trits: Int8Array,
+        securityLevel: number,
+        length: number,
+        offset: number,
+        options?: INonceSearchOptions): Int8Array {
+        const searchTrits = new Int8Array(
+            this._wasm.memory.buffer, WasmHammingDiver.TRITS_OFFSET, Curl.STATE_LENGTH);
+        searchTrits.fill(0);
+        searchTrits.set(trits.subarray(0, Curl.STATE_LENGTH));
+        this._wasm.searchPrepare(offset);
+
+        let size = Math.min(length, Curl.HASH_LENGTH) - offset;
+
+        let index = 0;
+        let iterations = 0;
+        const startTime = Date.now();
+
+        while (index === 0) {
+            if (options?.signal?.aborted) {
+                throw new MamAbortError("The nonce search was aborted");
+            }
+
+            const incrementResult = this._wasm.searchIncrement(offset + (size * 2 / 3), offset + size);
+            size = Math.min(roundThird(offset + (size * 2 / 3) + incrementResult), Curl.HASH_LENGTH) - offset;
+
+            index = this._wasm.searchCheck(securityLevel);
+
+            iterations++;
+            if (options?.onProgress) {
+                options.onProgress({
+                    iterations,
+                    elapsed: Date.now() - startTime
+                });
+            }
+        }
+
+        this._wasm.searchResult(size, index);
+
+        return searchTrits.slice(0, size);
+    }
+}
@@ -0,0 +1,217 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamAbortError } from "../errors/mamAbortError";
+import type { IMamWorker } from "../models/IMamWorker";
+import type { IMamWorkerExecuteOptions } from "../models/IMamWorkerExecuteOptions";
+import type { IMamWorkerRequest } from "../models/IMamWorkerRequest";
+import type { IMamWorkerResponse } from "../models/IMamWorkerResponse";
+import type { INonceSearchProgress } from "../models/INonceSearchProgress";
+import { handleWorkerMessage, workerError } from "./workerHandler";
+
+/**
+ * Worker which performs the operations in a browser Web Worker.
+ */
+export class BrowserWorker implements IMamWorker {
+    /**
+     * The scripts to import in the web worker.
+     * @internal
+     */
+    private readonly _scripts: string[];
+
+    /**
+     * The web worker.
+     * @internal
+     */
+    private _worker?: Worker;
+
+    /**
+     * The url of the web worker script.
+     * @internal
+     */
+    private _workerUrl?: string;
+
+    /**
+     * The id of the next request.
+     * @internal
+     */
+    private _nextId: number;
+
+    /**
+     * The requests waiting for a response.
+     * @internal
+     */
+    private readonly _pending: Map<number, {
+        /**
+         * The request, kept so it can be sent again if the web worker is replaced.
+         */
+        request: IMamWorkerRequest;
+        /**
+         * Resolve the request.
+         */
+        resolve: (response: IMamWorkerResponse) => void;
+        /**
+         * Reject the request.
+         */
+        reject: (err: Error) => void;
+        /**
+         * Report the progress of the request.
+         */
+        onProgress?: (progress: INonceSearchProgress) => void;
+    }>;
+
+    /**
+     * Create a new instance of BrowserWorker.
+     * @param scripts The absolute urls of the UMD bundles to import in the worker, the dependencies
+     * followed by the mam.js browser bundle which exposes the Mam global.
+     */
+    constructor(scripts: string[]) {
+        if (!Array.isArray(scripts) || scripts.length === 0) {
+            throw new Error("You must provide the scripts to import in the worker");
+        }
+        this._scripts = scripts;
+        this._nextId = 0;
+        this._pending = new Map();
+    }
+
+    /**
+     * Execute the request in the web worker.
+     * @param request The request to execute.
+     * @param options Options to abort the request and report its progress, aborting terminates
+     * the web worker and the other requests in progress are sent to a new web worker.
+     * @returns The response from the web worker.
+     */
+    public async execute(request: IMamWorkerRequest, options?: IMamWorkerExecuteOptions): Promise<IMamWorkerResponse> {
+        const signal = options?.signal;
+        if (signal?.aborted) {
+            throw new MamAbortError("The request to the worker was aborted");
+        }
+        const worker = this.start();
+        const id = this._nextId++;
+
+        return new Promise<IMamWorkerResponse>((resolve, reject) => {
+            const onAbort = () => this.abort(id, new MamAbortError("The request to the worker was aborted"));
+            signal?.addEventListener("abort", onAbort);
+            this._pending.set(id, {
+                request,
+                resolve: response => {
+                    signal?.removeEventListener("abort", onAbort);
+                    resolve(response);
+                },
+                reject: err => {
+                    signal?.removeEventListener("abort", onAbort);
+                    reject(err);
+                },
+                onProgress: options?.onProgress
+            });
+            worker.postMessage({ id, request });
+        });
+    }
+
+    /**
+     * Stop the web worker.
+     * @returns Nothing.
+     */
+    public async close(): Promise<void> {
+        this.terminate();
+        this.rejectAll(new Error("The worker was closed"));
+    }
+
+    /**
+     * Start the web worker if it is not already running.
+     * @returns The web worker.
+     * @internal
+     */
+    private start(): Worker {
+        if (!this._worker) {
+            const source = `
+importScripts(${this._scripts.map(s => JSON.stringify(s)).join(", ")});
+self.onmessage = function (e) {
+    self.postMessage(Mam.handleWorkerMessage(e.data, function (message) {
+        self.postMessage(message);
+    }));
+};`;
+            this._workerUrl = URL.createObjectURL(new Blob([source], { type: "application/javascript" }));
+            const worker = new Worker(this._workerUrl);
+
+            worker.addEventListener("message", (e: MessageEvent<ReturnType<typeof handleWorkerMessage> | {
+                id: number;
+                progress: INonceSearchProgress;
+            }>) => {
+                const pending = this._pending.get(e.data.id);
+                if ("progress" in e.data) {
+                    try {
+                        pending?.onProgress?.(e.data.progress);
+                    } catch (err) {
+                        this.abort(e.data.id, err instanceof Error ? err : new Error(String(err)));
+                    }
+                    return;
+                }
+                if (pending) {
+                    this._pending.delete(e.data.id);
+                    if (e.data.response) {
+                        pending.resolve(e.data.response);
+                    } else {
+                        pending.reject(workerError(e.data));
+                    }
+                }
+            });
+            worker.addEventListener("error", e => {
+                this.rejectAll(new Error(e.message));
+            });
+            this._worker = worker;
+        }
+        return this._worker;
+    }
+
+    /**
+     * Terminate the web worker and release its script.
+     * @internal
+     */
+    private terminate(): void {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = undefined;
+        }
+        if (this._workerUrl) {
+            URL.revokeObjectURL(this._workerUrl);
+            this._workerUrl = undefined;
+        }
+    }
+
+    /**
+     * Abort a request, the work in the web worker can not be interrupted so the web worker is
+     * terminated and the other requests in progress are sent to a new web worker.
+     * @param id The id of the request to abort.
+     * @param err The error to reject the request with.
+     * @internal
+     */
+    private abort(id: number, err: Error): void {
+        const pending = this._pending.get(id);
+        if (!pending) {
+            return;
+        }
+        this._pending.delete(id);
+        pending.reject(err);
+
+        this.terminate();
+
+        if (this._pending.size > 0) {
+            const nextWorker = this.start();
+            for (const [pendingId, p] of this._pending) {
+                nextWorker.postMessage({ id: pendingId, request: p.request });
+            }
+        }
+    }
+
+    /**
+     * Reject all the pending requests.
+     * @param err The error to reject with.
+     * @internal
+     */
+    private rejectAll(err: Error): void {
+        for (const pending of this._pending.values()) {
+            pending.reject(err);
+        }
+        this._pending.clear();
+    }
+}
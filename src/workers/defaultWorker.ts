@@ -0,0 +1,43 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamWorker } from "../models/IMamWorker";
+
+/**
+ * The worker factory used when no worker is passed to the async operations.
+ * @internal
+ */
+let defaultWorkerFactory: (() => IMamWorker) | undefined;
+
+/**
+ * The worker created from the default factory.
+ * @internal
+ */
+let defaultWorker: IMamWorker | undefined;
+
+/**
+ * Set the factory for the worker used when no worker is passed to the async operations.
+ * The Node bundle sets this to create a pool of worker threads. The browser bundle does not set a default,
+ * as a web worker needs the urls of the scripts to load, so in the browser you opt in by calling this
+ * with a factory which creates a BrowserWorker or a pool of them.
+ * @param factory The factory to create the worker, or undefined to remove the default.
+ */
+export function setDefaultWorker(factory?: () => IMamWorker): void {
+    defaultWorkerFactory = factory;
+    defaultWorker = undefined;
+}
+
+/**
+ * Get the worker used when no worker is passed to the async operations.
+ * @returns The worker.
+ * @internal
+ */
+export function getDefaultWorker(): IMamWorker {
+    if (!defaultWorker) {
+        if (!defaultWorkerFactory) {
+            throw new Error(
+                "There is no default worker, you must provide a worker or set the default with setDefaultWorker");
+        }
+        defaultWorker = defaultWorkerFactory();
+    }
+    return defaultWorker;
+}
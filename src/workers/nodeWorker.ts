@@ -0,0 +1,220 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { createRequire } from "module";
+import { Worker } from "worker_threads";
+import { MamAbortError } from "../errors/mamAbortError";
+import type { IMamWorker } from "../models/IMamWorker";
+import type { IMamWorkerExecuteOptions } from "../models/IMamWorkerExecuteOptions";
+import type { IMamWorkerRequest } from "../models/IMamWorkerRequest";
+import type { IMamWorkerResponse } from "../models/IMamWorkerResponse";
+import type { INonceSearchProgress } from "../models/INonceSearchProgress";
+import { handleWorkerMessage, workerError } from "./workerHandler";
+import { workerModuleUrl } from "./workerModuleUrl";
+
+/**
+ * Worker which performs the operations in a Node worker thread.
+ */
+export class NodeWorker implements IMamWorker {
+    /**
+     * The entry script for the worker thread.
+     * @internal
+     */
+    private readonly _workerPath?: string;
+
+    /**
+     * The worker thread.
+     * @internal
+     */
+    private _worker?: Worker;
+
+    /**
+     * The id of the next request.
+     * @internal
+     */
+    private _nextId: number;
+
+    /**
+     * The requests waiting for a response.
+     * @internal
+     */
+    private readonly _pending: Map<number, {
+        /**
+         * The request, kept so it can be sent again if the thread is replaced.
+         */
+        request: IMamWorkerRequest;
+        /**
+         * Resolve the request.
+         */
+        resolve: (response: IMamWorkerResponse) => void;
+        /**
+         * Reject the request.
+         */
+        reject: (err: Error) => void;
+        /**
+         * Report the progress of the request.
+         */
+        onProgress?: (progress: INonceSearchProgress) => void;
+    }>;
+
+    /**
+     * Create a new instance of NodeWorker.
+     * @param workerPath The entry script for the worker thread, defaults to the script shipped
+     * with the package which is resolved as @iota/mam.js/worker.
+     */
+    constructor(workerPath?: string) {
+        this._workerPath = workerPath;
+        this._nextId = 0;
+        this._pending = new Map();
+    }
+
+    /**
+     * Resolve the entry script for the worker thread shipped with the package.
+     * @returns The path of the entry script.
+     * @internal
+     */
+    private static resolveWorkerPath(): string {
+        // Resolve the package from this module, so it is found wherever the application is run from
+        return createRequire(workerModuleUrl).resolve("@iota/mam.js/worker");
+    }
+
+    /**
+     * Execute the request in the worker thread.
+     * @param request The request to execute.
+     * @param options Options to abort the request and report its progress, aborting terminates
+     * the thread and the other requests in progress are sent to a new thread.
+     * @returns The response from the worker thread.
+     */
+    public async execute(request: IMamWorkerRequest, options?: IMamWorkerExecuteOptions): Promise<IMamWorkerResponse> {
+        const signal = options?.signal;
+        if (signal?.aborted) {
+            throw new MamAbortError("The request to the worker was aborted");
+        }
+        const worker = this.start();
+        const id = this._nextId++;
+
+        return new Promise<IMamWorkerResponse>((resolve, reject) => {
+            const onAbort = () => this.abort(id, new MamAbortError("The request to the worker was aborted"));
+            signal?.addEventListener("abort", onAbort);
+            this._pending.set(id, {
+                request,
+                resolve: response => {
+                    signal?.removeEventListener("abort", onAbort);
+                    resolve(response);
+                },
+                reject: err => {
+                    signal?.removeEventListener("abort", onAbort);
+                    reject(err);
+                },
+                onProgress: options?.onProgress
+            });
+            // Keep the process alive while there are requests in progress
+            worker.ref();
+            worker.postMessage({ id, request });
+        });
+    }
+
+    /**
+     * Stop the worker thread.
+     * @returns Nothing.
+     */
+    public async close(): Promise<void> {
+        const worker = this._worker;
+        this._worker = undefined;
+        if (worker) {
+            this.rejectAll(new Error("The worker was closed"));
+            await worker.terminate();
+        }
+    }
+
+    /**
+     * Start the worker thread if it is not already running.
+     * @returns The worker thread.
+     * @internal
+     */
+    private start(): Worker {
+        if (!this._worker) {
+            const worker = new Worker(this._workerPath ?? NodeWorker.resolveWorkerPath());
+
+            worker.on("message", (data: ReturnType<typeof handleWorkerMessage> | {
+                id: number;
+                progress: INonceSearchProgress;
+            }) => {
+                const pending = this._pending.get(data.id);
+                if ("progress" in data) {
+                    try {
+                        pending?.onProgress?.(data.progress);
+                    } catch (err) {
+                        this.abort(data.id, err instanceof Error ? err : new Error(String(err)));
+                    }
+                    return;
+                }
+                if (pending) {
+                    this._pending.delete(data.id);
+                    if (data.response) {
+                        pending.resolve(data.response);
+                    } else {
+                        pending.reject(workerError(data));
+                    }
+                }
+                if (this._pending.size === 0) {
+                    worker.unref();
+                }
+            });
+            worker.on("error", err => {
+                if (this._worker === worker) {
+                    this._worker = undefined;
+                    this.rejectAll(err);
+                }
+            });
+            worker.on("exit", () => {
+                if (this._worker === worker) {
+                    this._worker = undefined;
+                    this.rejectAll(new Error("The worker exited"));
+                }
+            });
+            worker.unref();
+            this._worker = worker;
+        }
+        return this._worker;
+    }
+
+    /**
+     * Abort a request, the work in the thread can not be interrupted so the thread is terminated
+     * and the other requests in progress are sent to a new thread.
+     * @param id The id of the request to abort.
+     * @param err The error to reject the request with.
+     * @internal
+     */
+    private abort(id: number, err: Error): void {
+        const pending = this._pending.get(id);
+        const worker = this._worker;
+        if (!pending || !worker) {
+            return;
+        }
+        this._pending.delete(id);
+        pending.reject(err);
+
+        this._worker = undefined;
+        worker.terminate().catch(() => { });
+
+        if (this._pending.size > 0) {
+            const nextWorker = this.start();
+            nextWorker.ref();
+            for (const [pendingId, p] of this._pending) {
+                nextWorker.postMessage({ id: pendingId, request: p.request });
+            }
+        }
+    }
+
+    /**
+     * Reject all the pending requests.
+     * @param err The error to reject with.
+     * @internal
+     */
+    private rejectAll(err: Error): void {
+        for (const pending of this._pending.values()) {
+            pending.reject(err);
+        }
+        this._pending.clear();
+    }
+}
@@ -0,0 +1,14 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { parentPort } from "worker_threads";
+import { handleWorkerMessage } from "./workerHandler";
+
+/**
+ * The entry script for the NodeWorker thread, it handles each message posted to the thread.
+ * It is bundled as dist/cjs/nodeWorkerThread.js and exported as @iota/mam.js/worker.
+ */
+if (parentPort) {
+    const port = parentPort;
+    port.on("message", (data: Parameters<typeof handleWorkerMessage>[0]) =>
+        port.postMessage(handleWorkerMessage(data, message => port.postMessage(message))));
+}
@@ -0,0 +1,178 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamAbortError } from "../errors/mamAbortError";
+import { MamError } from "../errors/mamError";
+import { MamKeyReuseError } from "../errors/mamKeyReuseError";
+import { MemorySignedLeafLedger } from "../ledger/memorySignedLeafLedger";
+import { createMessage } from "../mam/channel";
+import { generateAddress } from "../merkle/merkleHashGenerator";
+import { MerkleTree } from "../merkle/merkleTree";
+import { MerkleTreeCache } from "../merkle/merkleTreeCache";
+import type { IMamCreateMessageWorkerRequest } from "../models/IMamCreateMessageWorkerRequest";
+import type { IMamWorkerRequest } from "../models/IMamWorkerRequest";
+import type { IMamWorkerResponse } from "../models/IMamWorkerResponse";
+import type { INonceSearchProgress } from "../models/INonceSearchProgress";
+import type { INonceSearchProvider } from "../models/INonceSearchProvider";
+import type { MamErrorCode } from "../models/mamErrorCode";
+import { HammingDiver } from "../pearlDiver/hammingDiver";
+import { Int32HammingDiver } from "../pearlDiver/int32HammingDiver";
+import { TrytesHelper } from "../utils/trytesHelper";
+
+/**
+ * Handle a request inside a worker, the request and response only contain data
+ * which can be cloned when posted between threads.
+ * @param request The request to handle.
+ * @param onProgress Callback to report the progress of the nonce search if the request asks for it.
+ * @returns The response for the request.
+ */
+export function handleWorkerRequest(
+    request: IMamWorkerRequest,
+    onProgress?: (progress: INonceSearchProgress) => void): IMamWorkerResponse {
+    if (request.type === "createMessage") {
+        const channelState = { ...request.channelState };
+        let ledger: MemorySignedLeafLedger | undefined;
+        if (request.signedLeaf) {
+            ledger = new MemorySignedLeafLedger();
+            if (request.signedLeaf.digest !== undefined) {
+                ledger.set(request.signedLeaf.leaf, request.signedLeaf.digest);
+            }
+        }
+        const mamMessage = createMessage(channelState, request.message, {
+            ledger,
+            treeCache: requestTreeCache(request),
+            nonceSearch: requestNonceSearch(request),
+            onProgress: request.reportProgress ? onProgress : undefined
+        });
+        return {
+            type: request.type,
+            mamMessage,
+            channelState,
+            signedDigest: request.signedLeaf ? ledger?.get(request.signedLeaf.leaf) : undefined
+        };
+    } else if (request.type === "generateAddresses") {
+        const seedTrits = TrytesHelper.toTrits(request.seed);
+        const addresses = [];
+        for (let i = 0; i < request.count; i++) {
+            const addressPrivateKey = generateAddress(seedTrits, request.start + i, request.security);
+            addresses.push({
+                address: TrytesHelper.fromTrits(addressPrivateKey.address),
+                privateKey: TrytesHelper.fromTrits(addressPrivateKey.privateKey)
+            });
+        }
+        return {
+            type: request.type,
+            addresses
+        };
+    }
+
+    throw new Error(`Unknown worker request type '${(request as { type: string }).type}'`);
+}
+
+/**
+ * Handle a message posted to a worker, if the request fails the error is returned
+ * in a form which can be posted between threads.
+ * @param data The message posted to the worker.
+ * @param data.id The id of the request.
+ * @param data.request The request to handle.
+ * @param postProgress Callback to post the progress of the nonce search back while the request is handled.
+ * @returns The message to post back with the response or the error.
+ */
+export function handleWorkerMessage(
+    data: { id: number; request: IMamWorkerRequest },
+    postProgress?: (message: { id: number; progress: INonceSearchProgress }) => void): {
+    /**
+     * The id of the request.
+     */
+    id: number;
+    /**
+     * The response if the request succeeded.
+     */
+    response?: IMamWorkerResponse;
+    /**
+     * The error if the request failed.
+     */
+    error?: string;
+    /**
+     * The code of the error if it was a MamError.
+     */
+    code?: MamErrorCode;
+    /**
+     * The index of the leaf if the error was a MamKeyReuseError.
+     */
+    leafIndex?: number;
+} {
+    try {
+        return {
+            id: data.id,
+            response: handleWorkerRequest(data.request, postProgress
+                ? progress => postProgress({ id: data.id, progress })
+                : undefined)
+        };
+    } catch (err) {
+        return {
+            id: data.id,
+            error: err instanceof Error ? err.message : String(err),
+            code: err instanceof MamError ? err.code : undefined,
+            leafIndex: err instanceof MamKeyReuseError ? err.leafIndex : undefined
+        };
+    }
+}
+
+/**
+ * Recreate the error from a worker, so MamErrors can still be identified.
+ * @param data The error details posted by the worker.
+ * @param data.error The message of the error.
+ * @param data.code The code of the error if it was a MamError.
+ * @param data.leafIndex The index of the leaf if the error was a MamKeyReuseError.
+ * @returns The error.
+ * @internal
+ */
+export function workerError(data: { error?: string; code?: MamErrorCode; leafIndex?: number }): Error {
+    if (data.code === "keyReuse" && data.leafIndex !== undefined) {
+        return new MamKeyReuseError(data.leafIndex);
+    } else if (data.code === "aborted") {
+        return new MamAbortError(data.error ?? "");
+    }
+    return data.code === undefined ? new Error(data.error) : new MamError(data.code, data.error ?? "");
+}
+
+/**
+ * Create a tree cache containing the trees sent with the request.
+ * @param request The request to create the message.
+ * @returns The tree cache or undefined if the request has no trees.
+ * @internal
+ */
+function requestTreeCache(request: IMamCreateMessageWorkerRequest): MerkleTreeCache | undefined {
+    if (!request.trees) {
+        return undefined;
+    }
+    const { seed, security } = request.channelState;
+    const treeCache = new MerkleTreeCache(Math.max(1, request.trees.length));
+    for (const tree of request.trees) {
+        treeCache.set(seed, tree.index, security, new MerkleTree(
+            seed,
+            tree.index,
+            tree.addresses.length,
+            security,
+            tree.addresses.map(a => ({
+                address: TrytesHelper.toTrits(a.address),
+                privateKey: TrytesHelper.toTrits(a.privateKey)
+            }))));
+    }
+    return treeCache;
+}
+
+/**
+ * Create the nonce search requested.
+ * @param request The request to create the message.
+ * @returns The nonce search or undefined to use the default.
+ * @internal
+ */
+function requestNonceSearch(request: IMamCreateMessageWorkerRequest): INonceSearchProvider | undefined {
+    if (request.nonceSearch === "HammingDiver") {
+        return new HammingDiver();
+    } else if (request.nonceSearch === "Int32HammingDiver") {
+        return new Int32HammingDiver();
+    }
+    return undefined;
+}
@@ -0,0 +1,8 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+/**
+ * The url of the module, used to resolve the worker thread entry script from the package instead
+ * of the application, the UMD bundles replace this with the url of the bundle.
+ * @internal
+ */
+export const workerModuleUrl: string = import.meta.url;
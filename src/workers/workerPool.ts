@@ -0,0 +1,101 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IMamWorker } from "../models/IMamWorker";
+import type { IMamWorkerExecuteOptions } from "../models/IMamWorkerExecuteOptions";
+import type { IMamWorkerRequest } from "../models/IMamWorkerRequest";
+import type { IMamWorkerResponse } from "../models/IMamWorkerResponse";
+
+/**
+ * Pool of workers which spreads the requests between them, the workers
+ * are only created when there are more requests in progress than workers.
+ */
+export class MamWorkerPool implements IMamWorker {
+    /**
+     * The factory to create the workers.
+     * @internal
+     */
+    private readonly _factory: () => IMamWorker;
+
+    /**
+     * The maximum number of workers.
+     * @internal
+     */
+    private readonly _size: number;
+
+    /**
+     * The workers and the number of requests each has in progress.
+     * @internal
+     */
+    private _workers: {
+        /**
+         * The worker.
+         */
+        worker: IMamWorker;
+        /**
+         * The number of requests in progress.
+         */
+        pending: number;
+    }[];
+
+    /**
+     * Create a new instance of MamWorkerPool.
+     * @param factory The factory to create the workers.
+     * @param size The maximum number of workers in the pool.
+     */
+    constructor(factory: () => IMamWorker, size: number) {
+        if (typeof factory !== "function") {
+            throw new TypeError("factory must be a function");
+        }
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`size must be an integer >= 1, it is ${size}`);
+        }
+        this._factory = factory;
+        this._size = size;
+        this._workers = [];
+    }
+
+    /**
+     * The number of requests the pool can execute in parallel.
+     * @returns The maximum number of workers.
+     */
+    public get concurrency(): number {
+        return this._size;
+    }
+
+    /**
+     * Execute the request on the least busy worker.
+     * @param request The request to execute.
+     * @param options Options to abort the request and report its progress.
+     * @returns The response from the worker.
+     */
+    public async execute(request: IMamWorkerRequest, options?: IMamWorkerExecuteOptions): Promise<IMamWorkerResponse> {
+        let entry: typeof this._workers[number] | undefined;
+        for (const w of this._workers) {
+            if (!entry || w.pending < entry.pending) {
+                entry = w;
+            }
+        }
+
+        if (!entry || (entry.pending > 0 && this._workers.length < this._size)) {
+            entry = { worker: this._factory(), pending: 0 };
+            this._workers.push(entry);
+        }
+
+        entry.pending++;
+        try {
+            return await entry.worker.execute(request, options);
+        } finally {
+            entry.pending--;
+        }
+    }
+
+    /**
+     * Stop all the workers in the pool.
+     * @returns Nothing.
+     */
+    public async close(): Promise<void> {
+        const workers = this._workers;
+        this._workers = [];
+        await Promise.all(workers.map(async w => w.worker.close()));
+    }
+}
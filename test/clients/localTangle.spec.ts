@@ -0,0 +1,103 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { IMessage, INDEXATION_PAYLOAD_TYPE } from "@iota/iota.js";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { FileLocalTangle } from "../../src/clients/fileLocalTangle";
+import { LocalTangle } from "../../src/clients/localTangle";
+import { channelRoot, createChannel, createMessage } from "../../src/mam/channel";
+import { mamAttach, mamFetch, mamFetchAll } from "../../src/mam/client";
+
+test("message() fails for unknown message", async () => {
+    const tangle = new LocalTangle();
+    await expect(tangle.message("0".repeat(64))).rejects.toThrow("message not found");
+});
+
+test("messagesFind() returns no ids for unknown index", async () => {
+    const tangle = new LocalTangle();
+    const res = await tangle.messagesFind("foo");
+    expect(res.count).toBe(0);
+    expect(res.messageIds).toEqual([]);
+});
+
+test("messageSubmit() creates unique ids for the same message, including in a restored tangle", async () => {
+    const tangle = new LocalTangle();
+    const message: IMessage = { payload: { type: INDEXATION_PAYLOAD_TYPE, index: "00", data: "01" } };
+    const first = await tangle.messageSubmit(message);
+    const missing = await tangle.injectMissingMessage("A".repeat(81));
+    const second = await tangle.messageSubmit(message);
+
+    const restored = new LocalTangle(tangle.getState());
+    const third = await restored.messageSubmit(message);
+
+    expect(new Set([first, missing, second, third]).size).toBe(4);
+    const found = await restored.messagesFind(new Uint8Array([0]));
+    expect(found.messageIds).toEqual([first, second, third]);
+});
+
+test("mamAttach() and mamFetchAll() round trip", async () => {
+    const tangle = new LocalTangle();
+    const channel = createChannel("A".repeat(81), 1, "restricted", "MYKEY");
+    const root = channelRoot(channel);
+
+    const attached = await mamAttach(tangle, createMessage(channel, "FOO"), "MYTAG");
+    await mamAttach(tangle, createMessage(channel, "BAR"));
+
+    const stored = await tangle.message(attached.messageId);
+    expect(stored).toEqual(attached.message);
+
+    const fetched = await mamFetchAll(tangle, root, "restricted", "MYKEY");
+    expect(fetched.map(f => f.message)).toEqual(["FOO", "BAR"]);
+    expect(fetched[0].tag).toBe("MYTAG");
+});
+
+test("mamFetch() skips injected faults", async () => {
+    const tangle = new LocalTangle();
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const mamMessage = createMessage(channel, "FOO");
+
+    const missingId = await tangle.injectMissingMessage(mamMessage.address);
+    const garbageId = await tangle.injectGarbage(mamMessage.address);
+
+    await expect(tangle.message(missingId)).rejects.toThrow("message not found");
+    expect(await mamFetch(tangle, mamMessage.root, "public")).toBeUndefined();
+
+    const garbage = await tangle.message(garbageId);
+    expect(garbage.payload?.type).toBe(2);
+
+    await mamAttach(tangle, mamMessage);
+
+    const fetched = await mamFetch(tangle, mamMessage.root, "public");
+    expect(fetched?.message).toBe("FOO");
+});
+
+test("state can be used to create a new tangle", async () => {
+    const tangle = new LocalTangle();
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const mamMessage = createMessage(channel, "FOO");
+    await mamAttach(tangle, mamMessage);
+
+    const copy = new LocalTangle(tangle.getState());
+
+    const fetched = await mamFetch(copy, mamMessage.root, "public");
+    expect(fetched?.message).toBe("FOO");
+});
+
+test("FileLocalTangle persists messages to the file", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mam-"));
+    const filename = path.join(dir, "tangle.json");
+
+    try {
+        const tangle = await FileLocalTangle.load(filename);
+        const channel = createChannel("A".repeat(81), 1, "public");
+        const mamMessage = createMessage(channel, "FOO");
+        await mamAttach(tangle, mamMessage);
+
+        const reloaded = await FileLocalTangle.load(filename);
+        const fetched = await mamFetch(reloaded, mamMessage.root, "public");
+        expect(fetched?.message).toBe("FOO");
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
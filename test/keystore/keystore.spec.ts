@@ -0,0 +1,132 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import * as nodeCrypto from "crypto";
+import { KEYSTORE_VERSION, lockChannel, setKeystoreCrypto, unlockChannel } from "../../src/keystore/keystore";
+import { NodeKeystoreCrypto } from "../../src/keystore/nodeKeystoreCrypto";
+import { WebKeystoreCrypto } from "../../src/keystore/webKeystoreCrypto";
+import { createChannel, createMessage } from "../../src/mam/channel";
+import type { IMamKeystore } from "../../src/models/IMamKeystore";
+
+const webCrypto = new WebKeystoreCrypto((nodeCrypto as unknown as { webcrypto: Crypto }).webcrypto);
+
+beforeEach(() => {
+    setKeystoreCrypto(new NodeKeystoreCrypto());
+});
+
+test("lockChannel() does not store the seed or side key in plaintext", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "restricted", "MYKEY");
+    const keystore = await lockChannel(channelState, "passphrase", { iterations: 1000 });
+    expect(keystore).not.toContain("AAAAAAAAA");
+    expect(keystore).not.toContain("MYKEY");
+
+    const json = JSON.parse(keystore) as IMamKeystore;
+    expect(json.version).toBe(KEYSTORE_VERSION);
+    expect(json.kdf).toBe("pbkdf2");
+    expect(json.kdfParams.iterations).toBe(1000);
+    expect(json.cipher).toBe("aes-256-gcm");
+});
+
+test("unlockChannel() restores the channel state with pbkdf2", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "restricted", "MYKEY");
+    createMessage(channelState, "MESSAGE");
+    const keystore = await lockChannel(channelState, "passphrase", { iterations: 1000 });
+    await expect(unlockChannel(keystore, "passphrase")).resolves.toEqual({
+        ...channelState,
+        sideKey: "MYKEY".padEnd(81, "9")
+    });
+});
+
+test("unlockChannel() restores the channel state with scrypt", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const keystore = await lockChannel(channelState, "passphrase", { kdf: "scrypt", cost: 1024 });
+    expect((JSON.parse(keystore) as IMamKeystore).kdfParams).toMatchObject({ cost: 1024, blockSize: 8 });
+    await expect(unlockChannel(keystore, "passphrase")).resolves.toEqual(channelState);
+});
+
+test("unlockChannel() fails with the wrong passphrase", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const keystore = await lockChannel(channelState, "passphrase", { iterations: 1000 });
+    await expect(unlockChannel(keystore, "wrong")).rejects.toThrow("passphrase is wrong");
+});
+
+test("unlockChannel() fails with a modified keystore", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const json = JSON.parse(await lockChannel(channelState, "passphrase", { iterations: 1000 })) as IMamKeystore;
+    json.ciphertext = `${json.ciphertext.startsWith("0") ? "1" : "0"}${json.ciphertext.slice(1)}`;
+    await expect(unlockChannel(JSON.stringify(json), "passphrase")).rejects.toThrow("has been modified");
+});
+
+test("unlockChannel() fails with a modified header even if the key is the same", async () => {
+    const crypto = new NodeKeystoreCrypto();
+    const pbkdf2 = crypto.pbkdf2.bind(crypto);
+    // Ignore the iterations so only the additional data can detect the change
+    jest.spyOn(crypto, "pbkdf2").mockImplementation(async (passphrase, salt) => pbkdf2(passphrase, salt, 1000));
+    setKeystoreCrypto(crypto);
+
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const json = JSON.parse(await lockChannel(channelState, "passphrase", { iterations: 1000 })) as IMamKeystore;
+    await expect(unlockChannel(JSON.stringify(json), "passphrase")).resolves.toEqual(channelState);
+    await expect(unlockChannel(JSON.stringify({ ...json, kdfParams: { ...json.kdfParams, iterations: 1 } }),
+        "passphrase")).rejects.toThrow("has been modified");
+});
+
+test("lockChannel() and unlockChannel() limit the scrypt cost", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await expect(lockChannel(channelState, "passphrase", { kdf: "scrypt", cost: 262144 }))
+        .rejects.toThrow("keystore.kdfParams.cost must be a power of 2 > 1 and <= 131072");
+
+    const json = JSON.parse(await lockChannel(channelState, "passphrase", { kdf: "scrypt", cost: 1024 })) as
+        IMamKeystore;
+    const scrypt = jest.spyOn(NodeKeystoreCrypto.prototype, "scrypt");
+    await expect(unlockChannel(JSON.stringify({ ...json, kdfParams: { ...json.kdfParams, cost: 1048576 } }),
+        "passphrase")).rejects.toThrow("cost");
+    expect(scrypt).not.toHaveBeenCalled();
+    scrypt.mockRestore();
+});
+
+test("unlockChannel() fails with invalid parameters", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const json = JSON.parse(await lockChannel(channelState, "passphrase", { iterations: 1000 })) as IMamKeystore;
+    await expect(unlockChannel(JSON.stringify({ ...json, version: 2 }), "passphrase"))
+        .rejects.toThrow("version 2 is not supported");
+    await expect(unlockChannel(JSON.stringify({ ...json, kdfParams: { ...json.kdfParams, iterations: 1e9 } }),
+        "passphrase")).rejects.toThrow("iterations");
+    await expect(unlockChannel(JSON.stringify({ ...json, kdf: "scrypt" }), "passphrase"))
+        .rejects.toThrow("cost");
+    await expect(unlockChannel(JSON.stringify({ ...json, iv: "00" }), "passphrase")).rejects.toThrow("iv");
+    await expect(unlockChannel("{", "passphrase")).rejects.toThrow("not valid JSON");
+    await expect(unlockChannel(JSON.stringify(json), "")).rejects.toThrow("passphrase");
+});
+
+test("lockChannel() fails with an invalid state", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    channelState.index = 1;
+    await expect(lockChannel(channelState, "passphrase")).rejects.toThrow("channelState.index");
+});
+
+test("lockChannel() keystores are the same with WebCrypto and Node crypto", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "restricted", "MYKEY");
+    const expected = { ...channelState, sideKey: "MYKEY".padEnd(81, "9") };
+
+    setKeystoreCrypto(webCrypto);
+    const webKeystore = await lockChannel(channelState, "passphrase", { iterations: 1000 });
+    setKeystoreCrypto(new NodeKeystoreCrypto());
+    const nodeKeystore = await lockChannel(channelState, "passphrase", { iterations: 1000 });
+    await expect(unlockChannel(webKeystore, "passphrase")).resolves.toEqual(expected);
+
+    setKeystoreCrypto(webCrypto);
+    await expect(unlockChannel(nodeKeystore, "passphrase")).resolves.toEqual(expected);
+    await expect(unlockChannel(nodeKeystore, "wrong")).rejects.toThrow("passphrase is wrong");
+});
+
+test("lockChannel() with WebCrypto does not support scrypt", async () => {
+    setKeystoreCrypto(webCrypto);
+    await expect(lockChannel(createChannel("A".repeat(81), 2, "public"), "passphrase", { kdf: "scrypt" }))
+        .rejects.toThrow("only available in the Node bundle");
+});
+
+test("lockChannel() fails if WebCrypto is not available", async () => {
+    setKeystoreCrypto(new WebKeystoreCrypto());
+    await expect(lockChannel(createChannel("A".repeat(81), 2, "public"), "passphrase"))
+        .rejects.toThrow("WebCrypto is not available");
+});
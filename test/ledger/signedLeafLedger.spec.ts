@@ -0,0 +1,113 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamKeyReuseError } from "../../src/errors/mamKeyReuseError";
+import { MemorySignedLeafLedger } from "../../src/ledger/memorySignedLeafLedger";
+import { StorageSignedLeafLedger } from "../../src/ledger/storageSignedLeafLedger";
+import { createChannel, createMessage, createMessageAsync } from "../../src/mam/channel";
+import type { IMamWorker } from "../../src/models/IMamWorker";
+import type { IMamWorkerRequest } from "../../src/models/IMamWorkerRequest";
+import type { IMamWorkerResponse } from "../../src/models/IMamWorkerResponse";
+import { handleWorkerMessage, workerError } from "../../src/workers/workerHandler";
+
+/**
+ * Worker which runs the requests in process, cloning the messages as they would be between threads.
+ */
+class InProcessWorker implements IMamWorker {
+    public async execute(request: IMamWorkerRequest): Promise<IMamWorkerResponse> {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const cloned = JSON.parse(JSON.stringify(request)) as IMamWorkerRequest;
+        const result = JSON.parse(JSON.stringify(handleWorkerMessage({ id: 0, request: cloned }))) as
+            ReturnType<typeof handleWorkerMessage>;
+        if (!result.response) {
+            throw workerError(result);
+        }
+        return result.response;
+    }
+
+    public async close(): Promise<void> { }
+}
+
+test("createMessage() allows the identical message to be created again", () => {
+    const ledger = new MemorySignedLeafLedger();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const restored = { ...channelState };
+
+    const first = createMessage(channelState, "MESSAGE", { ledger });
+    const second = createMessage(restored, "MESSAGE", { ledger });
+    expect(second).toEqual(first);
+    expect(restored).toEqual(channelState);
+});
+
+test("createMessage() fails to sign a different message with the same key", () => {
+    const ledger = new MemorySignedLeafLedger();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    createMessage(channelState, "MESSAGE", { ledger });
+    const restored = { ...channelState };
+    createMessage(channelState, "MESSAGE", { ledger });
+
+    expect(() => createMessage(restored, "DIFFERENT", { ledger })).toThrow(MamKeyReuseError);
+    expect(() => createMessage(restored, "DIFFERENT", { ledger })).toThrow("The key for leaf 1 has already signed");
+    expect(restored.index).toBe(1);
+});
+
+test("createMessage() fails to sign with the same leaf in a tree of a different size", () => {
+    const ledger = new MemorySignedLeafLedger();
+    createMessage(createChannel("A".repeat(81), 1, "public", undefined, { count: 2 }), "MESSAGE", { ledger });
+
+    let error: unknown;
+    try {
+        createMessage(createChannel("A".repeat(81), 1, "public", undefined, { count: 4 }), "MESSAGE", { ledger });
+    } catch (err) {
+        error = err;
+    }
+    expect(error).toBeInstanceOf(MamKeyReuseError);
+    expect((error as MamKeyReuseError).leafIndex).toBe(0);
+});
+
+test("createMessage() records the leaves in a storage without the seed", () => {
+    const items = new Map<string, string>();
+    const storage = {
+        getItem: (key: string) => items.get(key) ?? null,
+        setItem: (key: string, value: string) => items.set(key, value)
+    };
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const restored = { ...channelState };
+    createMessage(channelState, "MESSAGE", { ledger: new StorageSignedLeafLedger(storage) });
+
+    expect(items.size).toBe(1);
+    expect([...items.keys()][0]).toMatch(/^mam-leaf-[\da-f]{64}$/);
+    expect([...items.values()][0]).toHaveLength(81);
+    expect(() => createMessage(restored, "DIFFERENT", { ledger: new StorageSignedLeafLedger(storage) }))
+        .toThrow(MamKeyReuseError);
+});
+
+test("createMessageAsync() fails to sign a different message with the same key", async () => {
+    const ledger = new MemorySignedLeafLedger();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const restored = { ...channelState };
+    createMessage(channelState, "MESSAGE", { ledger });
+
+    await expect(createMessageAsync(restored, "DIFFERENT", { ledger, worker: new InProcessWorker() }))
+        .rejects.toThrow(MamKeyReuseError);
+    expect(restored.index).toBe(0);
+
+    const again = { ...restored };
+    await expect(createMessageAsync(again, "MESSAGE", { ledger, worker: new InProcessWorker() }))
+        .resolves.toEqual(createMessage(restored, "MESSAGE"));
+});
+
+test("createMessageAsync() records the digest it signs in the ledger", async () => {
+    const ledger = new MemorySignedLeafLedger();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const restored = { ...channelState };
+    await createMessageAsync(channelState, "MESSAGE", { ledger, worker: new InProcessWorker() });
+
+    let error: unknown;
+    try {
+        createMessage(restored, "DIFFERENT", { ledger });
+    } catch (err) {
+        error = err;
+    }
+    expect(error).toBeInstanceOf(MamKeyReuseError);
+    expect((error as MamKeyReuseError).leafIndex).toBe(0);
+});
@@ -1,6 +1,16 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
-import { channelRoot, createChannel, createMessage } from "../../src/mam/channel";
+import {
+    channelRoot, channelRoots, createChannel, createMessage, createMessageAsync, seekChannel
+} from "../../src/mam/channel";
+import { MerkleTreeCache } from "../../src/merkle/merkleTreeCache";
+import type { IMamCreateMessageWorkerRequest } from "../../src/models/IMamCreateMessageWorkerRequest";
+import type { IMamWorker } from "../../src/models/IMamWorker";
+import type { IMamWorkerRequest } from "../../src/models/IMamWorkerRequest";
+import type { IMamWorkerResponse } from "../../src/models/IMamWorkerResponse";
+import { HammingDiver } from "../../src/pearlDiver/hammingDiver";
+import { setDefaultWorker } from "../../src/workers/defaultWorker";
+import { handleWorkerRequest } from "../../src/workers/workerHandler";
 
 test("createChannel() fails with empty seed", () => {
     expect(() => createChannel(undefined as never, 0, undefined as never)).toThrow("The seed");
@@ -67,6 +77,40 @@ test("createChannel() succeed with restricted mode and short sideKey", () => {
     expect(res.sideKey).toBe(`${"S".repeat(50)}${"9".repeat(31)}`);
 });
 
+test("createChannel() fails with count not a power of 2", () => {
+    expect(() => createChannel("A".repeat(81), 1, "public", undefined, { count: 3 })).toThrow("power of 2");
+});
+
+test("createChannel() fails with invalid nextCount", () => {
+    expect(() => createChannel("A".repeat(81), 1, "public", undefined, { nextCount: 0 })).toThrow("integer > 0");
+});
+
+test("createChannel() succeed with tree size options", () => {
+    const ch = createChannel("A".repeat(81), 1, "public", undefined, { count: 4, nextCount: 2 });
+    expect(ch.count).toBe(4);
+    expect(ch.nextCount).toBe(2);
+    expect(ch.start).toBe(0);
+    expect(ch.index).toBe(0);
+});
+
+test("createChannel() nextCount defaults to count", () => {
+    const ch = createChannel("A".repeat(81), 1, "public", undefined, { count: 8 });
+    expect(ch.count).toBe(8);
+    expect(ch.nextCount).toBe(8);
+});
+
+test("channelRoot() fails with index out of range", () => {
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    channel.index = 2;
+    expect(() => channelRoot(channel)).toThrow("channelState.index");
+});
+
+test("channelRoot() fails with invalid count", () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    channel.count = 0;
+    expect(() => channelRoot(channel)).toThrow("channelState.count");
+});
+
 test("channelRoot() returns correct root for state in public mode", () => {
     const channel = createChannel("A".repeat(81), 2, "public");
     const root = channelRoot(channel);
@@ -85,11 +129,136 @@ test("channelRoot() returns correct root for state in restricted mode", () => {
     expect(root).toBe("POKRBFTSZPVUNXQAUMLXTVQOTIUBDWFTCIJOROUOGCQKVLHGQQABFPBXTL9RKUSHOLONFXTDWAHMDDJRG");
 });
 
+test("channelRoots() fails with invalid n", () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    expect(() => channelRoots(channel, 0)).toThrow("n must be an integer > 0");
+    expect(() => channelRoots(channel, 1.5)).toThrow("n must be an integer > 0");
+});
+
+test("channelRoots() returns the roots of the next messages without changing the state", () => {
+    const channel = createChannel("A".repeat(81), 1, "restricted", "S".repeat(81), { count: 2, nextCount: 1 });
+    createMessage(channel, "MESSAGE");
+    const original = { ...channel };
+
+    const roots = channelRoots(channel, 3);
+    expect(channel).toEqual(original);
+    expect(roots.map(r => [r.start, r.count])).toEqual([[0, 2], [2, 1], [3, 1]]);
+    expect(roots[0].root).toBe(channelRoot(channel));
+
+    for (const expected of [roots[0], roots[1], roots[2]]) {
+        const message = createMessage(channel, "MESSAGE");
+        expect(message.root).toBe(expected.root);
+        expect(message.address).toBe(expected.address);
+        expect(message.address).not.toBe(message.root);
+    }
+});
+
+test("channelRoots() returns the root as the address in public mode", () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const roots = channelRoots(channel, 2);
+    expect(roots[0].address).toBe(roots[0].root);
+    expect(roots[1].root).not.toBe(roots[0].root);
+});
+
+test("seekChannel() fails with invalid position", () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    expect(() => seekChannel(channel, -1)).toThrow("position must be an integer >= 0");
+    expect(() => seekChannel(channel, 0.5)).toThrow("position must be an integer >= 0");
+});
+
+test("seekChannel() fails with tree sizes which do not match the state", () => {
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 4 });
+    channel.start = 6;
+    expect(() => seekChannel(channel, 0)).toThrow("The treeSizes must be provided");
+    expect(() => seekChannel(channel, 0, { treeSizes: [4] })).toThrow("must include a tree starting at");
+    expect(() => seekChannel(channel, 0, { treeSizes: [4, 2, 2] })).toThrow("treeSizes[2] must be channelState.count");
+    expect(() => seekChannel(channel, 0, { treeSizes: [4, 0, 2] })).toThrow("treeSizes[1] must be an integer > 0");
+    expect(() => seekChannel(channel, 0, { treeSizes: [3, 3, 4] })).toThrow("treeSizes[0] must be a power of 2");
+    expect(channel.start).toBe(6);
+});
+
+test("seekChannel() moves to any position using the tree size history", () => {
+    const channel = createChannel("A".repeat(81), 1, "restricted", "S".repeat(81), { count: 2, nextCount: 1 });
+    const messages = [0, 1, 2, 3].map(() => createMessage(channel, "MESSAGE"));
+    expect(channel).toMatchObject({ start: 4, count: 1, nextCount: 1, index: 0 });
+
+    for (const position of [3, 1, 2, 0]) {
+        const root = seekChannel(channel, position, { treeSizes: [2, 1, 1, 1] });
+        expect(root.root).toBe(messages[position].root);
+        expect(root.address).toBe(messages[position].address);
+        expect(channel.nextRoot).toBeUndefined();
+        expect(createMessage(channel, "MESSAGE")).toEqual(messages[position]);
+    }
+    expect(channel).toMatchObject({ start: 0, count: 2, nextCount: 1, index: 1 });
+});
+
+test("seekChannel() moves forward to a future tree", () => {
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2, nextCount: 1 });
+    const sequential = { ...channel };
+    const messages = [0, 1, 2, 3].map(() => createMessage(sequential, "MESSAGE"));
+
+    expect(seekChannel(channel, 3)).toEqual({ start: 3, count: 1, root: messages[3].root, address: messages[3].root });
+    expect(channel).toMatchObject({ start: 3, count: 1, nextCount: 1, index: 0 });
+    expect(createMessage(channel, "MESSAGE")).toEqual(messages[3]);
+});
+
+test("seekChannel() assumes earlier trees have the current size", () => {
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    channel.start = 4;
+    seekChannel(channel, 3);
+    expect(channel).toMatchObject({ start: 2, count: 2, nextCount: 2, index: 1 });
+});
+
+test("seekChannel() fails to seek an earlier tree without tree sizes when the size has changed", () => {
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 4, nextCount: 2 });
+    channel.start = 8;
+    expect(() => seekChannel(channel, 3))
+        .toThrow("The treeSizes must be provided as the tree size of the channel has changed");
+
+    seekChannel(channel, 3, { treeSizes: [4, 4] });
+    expect(channel).toMatchObject({ start: 0, count: 4, nextCount: 4, index: 3 });
+});
+
 test("createMessage() fails when message is not trytes", () => {
     const channel = createChannel("A".repeat(81), 2, "restricted", "S".repeat(81));
     expect(() => createMessage(channel, "foo")).toThrow("in trytes");
 });
 
+test("createMessage() fails with invalid nextCount", () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    channel.nextCount = 1.5;
+    expect(() => createMessage(channel, "FOO")).toThrow("channelState.nextCount");
+});
+
+test("createMessage() fails with tree sizes which are not a power of 2", () => {
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 4 });
+    expect(() => createMessage({ ...channel, count: 3 }, "FOO"))
+        .toThrow("channelState.count must be a power of 2, it is 3");
+    expect(() => createMessage({ ...channel, nextCount: 6 }, "FOO"))
+        .toThrow("channelState.nextCount must be a power of 2, it is 6");
+});
+
+test("createMessage() moves to the next tree size when the tree is used", () => {
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2, nextCount: 4 });
+    const root = channelRoot(channel);
+
+    const first = createMessage(channel, "FOO");
+    const second = createMessage(channel, "BAR");
+    expect(first.root).toBe(root);
+    expect(second.root).toBe(root);
+    expect(channel.start).toBe(2);
+    expect(channel.count).toBe(4);
+    expect(channel.nextCount).toBe(4);
+    expect(channel.index).toBe(0);
+
+    const nextRoot = channel.nextRoot;
+    expect(channelRoot(channel)).toBe(nextRoot);
+
+    const third = createMessage(channel, "BAZ");
+    expect(third.root).toBe(nextRoot);
+    expect(channel.index).toBe(1);
+});
+
 test("createMessage() returns correct message for state in public mode", () => {
     const channel = createChannel("A".repeat(81), 2, "public");
     const res = createMessage(channel, "FOO");
@@ -126,13 +295,13 @@ test("createMessage() returns correct message for state in restricted mode", ()
 test("createMessage() increments channel index when more count available", () => {
     const channel = createChannel("A".repeat(81), 2, "public");
     channel.index = 0;
-    channel.count = 3;
+    channel.count = 4;
     const res = createMessage(channel, "FOO");
-    expect(res.address).toBe("VNRFAXW9XNHLYCFVJDLJVLTSOAWXUYUQMRSSYPQVQN9KKHVLSVAYAYJTDZKBNVSQXTCUNUFBAXSHNGLUI");
-    expect(res.root).toBe("VNRFAXW9XNHLYCFVJDLJVLTSOAWXUYUQMRSSYPQVQN9KKHVLSVAYAYJTDZKBNVSQXTCUNUFBAXSHNGLUI");
+    expect(res.address).toBe("SFWIDARJCYMELWTMU9JSNLNWCCZXNYBUSUNPEBTCAAQIJMICTTYBYVIXHATIMCXHVNBCKFYUQWTZRTWWI");
+    expect(res.root).toBe("SFWIDARJCYMELWTMU9JSNLNWCCZXNYBUSUNPEBTCAAQIJMICTTYBYVIXHATIMCXHVNBCKFYUQWTZRTWWI");
     // eslint-disable-next-line max-len
-    expect(res.payload).toBe("AZAMAFKQCYWDMG9TI9WID9IQLUPUGIZLKDQUZILBFAYQDDXEGQGUSBYMQEHPRKJDNBGLWQLNCWBVPOYWPHUHVTUJTQDCEHJSKFAJL99KFAXMNURMGDZITSRGW9MRMLYGEUZWOKSDAMXOFKYS9ZJ9WU9XOOUDFMMTHZUMXSDRXWSTWVZMWPRJFRDCNFUFWEAPCBTNIJWC9NVIL9ITREWJPPJKZDJLYPKRGOBPZFGPTPEKMMFCIFNHBG9L9HCTEVXLVVNATJOEFCQYLRKSRMTWPCZUPQYFJIOTDFMELOFNYECGHUDDIJHKMBNQVZWDQXEJSRVWASQRYRKRQSBPQUYIIVCKB9YYLEHRO9BE99CEBTBQMMYCYRQVYCPIPKCKOZGTUHHYZHRVZI9MIKTWNS9RMOLMHGYFUQ9TEE9VPUYMLJUU9DZHOCBQIYOH9GPPNDUROBHGQEGRJFQUWCEHBRRZINSALHFCZQOCTILJRFPZFDOW9WFLFZERIABWFOXNAXVSUCAFCIGBXZC9UMFQSCBCHNWWNPZCBQUVXSSYYLZGTFFTK9FGXR9TTENXUTAOC99LKKAFZL9ZRUWUYICOEBUKAYGTFNRLYBIIHYIYKBSFSMHSOEXTEEABPNAB9HBWQUJYRN9DOOZEHHTKDHIBBTKPUNTEJZYCNZZRAWDSGZXSRGSWBXJIUMGYQGGJCXRHADL9FLBWPKEMWD9IPAVHYGWZOHAUBOSKU9SIZUUYFDHWWVLHQKNZKVGQUIWIYEFFZHPLEKBJWCVFKRHFXCONKAXEMABYTCPTIRER9EZZESUWI9EPXDL9IYE9QY9QSIPLWJUGNQ9WHFRUXFRFYFJSPF9KWNOFMOKIYAWXTCCIEEUCAQTDARRRRLZWHXBDTVHXKWJULLWNRDMQKHPJRRKKCRGL9DITMWVSKIWDMRSOYPRZXGKYRBLCBDWCSIELHNKBFDFNOMJXEIZATUOP9NHDJEPPBNCOQMYBXXARQMSJZBUZQMVJDPHPFRCMYST9AONASA9CUFUKSLEIOIJIJERVVUYZYONDYCXSMRBOCYSLPHQAHFWRPMPLOCDOMOULTORULIWIDUHILXSWTSEKBITCSDBFHAKVTTH9UCFCGNXHOJQOIZ9VQKXJBWWMKENUDNUNPJXHNKVUYDUJSFHOWBGCLDXHIZSUHAM9LXO9OTWYPGTXMCZROXIKETTYWFGXVRI9MSBHPBMXTZ9VHRCYAQBRJODJIYRCBGVRERNCYVZQCAWBIRFKKL9CPZFNHKH9NEZUKEBYT9GELZMD9MY9GHNRDJXJQAVDCHEGWDMDTOCEYFONDBVLCYEDKVVXHOIUSA9JAMZDVRRHBINAIWHJXDRFOQRNBKYVPICJS9LNQOAFWAOTWPSACGCXDXNRLKMMNGVEQQLOCT9YCDEMLSZHSM9OOZZD9EPWMOQAQ9PUZTSIGNDDONUVDWTHVRY9CEKFDZADHJNZSDFZCLNZYZGKRDOAVTCJULCIXOXOQWAZLIEWLIZZUXVPM9VZDYQNYSUPZEGSUKHKURACFDGSAXYXWQVEWPAFSGLJXHPKV9QDRRZJ9KXZDVJHFISWQPLLDNLBJLLX9USUEGSH9DVKB9FGKJXC9LEQLETWJYMEMVPQWXRQPDFNITKQJZUGGBINZNT9FKRYVUMZGARPOPZFLPAECODGUERQEVHJFCWLHYMPARFHFENXRT9L9OHSFCJ99SAPRRJIVHNIYUQNIOUAQTO9GWHDBMWUAXZWLLUWOHFPCCTACOAWGCJAPRAMJETLCUK9ZRJHVRGIIQNF9HKEZRLZO9VCOPCAYLLBVBNKYZGBRXVVPWBB9UDIGCGUSLJLTBWCKNTGOYUMAJR9BHWQBUSRBFOUNQYKNAUAPGFVTBEEPUDRAEJTGMYOUIOUGODAFIURQOWHRXGQYOZWC9RFXAPAFJJCG9HWKEYISXLPUCGHXSRSIOKJEOSGPJQEPBRZJKBWBKXEIYMTCQJNUBYKIKZGUCZCLRUYQWQGPZGNNKQZSNBAOTAELUDWEIXNIONILDQJTEXMNPBYSZDFSYZNAZTCOOHRFUHJEMQBLTRBIONZABCWPGZLIDMQTLYTVRIHJDPGMPMHPRVNFHGYZKWEVPLGUASBTTEDLFCSSTTIAEAGHHNKMHFAQKAGZDRLQ9TNM9PUS9RMKFGXHDTKFVNJQXD9CNYKRMYFAWTDIYYVKGZOMUIIZAZDNPYGOW9XZFNCEOCMOCBVSGSTJUTQF9MAMWNRWMWHCLFCVXWASLMWPHYIRNHHQAJKLACPYJBMCBXU9QPLAYBBVFGHGGRGORIZXMNFQUFOLTVCFMVCOW9RZPCAUTTTGQHJOWI9INOJAVPJFAXLADHXOLPCJ9YYHTLCWJPWZJZYQWHGNJ9YBHIFYEMYHG9IIGTSWAPBDFQA9ZNZUQD9ITDTUOH9BSWCZENITQERB9RRPJNQWW9EX9XKNAZLLHOUCYCAHTLIPEHWFECHISILHEDVOXPWZBLKIPEDOWGWMJLZCXBOKPDFKDCNXVKCMJUWFKPXQKI9FWRDRLNGBWRYLMMYLBYSFLKGPTCZBQOHAJLDAKNENRIC9GQU9QHWSBMUWEUTHZNBHDEWYLNZGPZNASNSFGSWRDVXAWBOUCHNTEJU9IICMPF9X9NTBQEVCTIBZQYKQXPOCM9CIDDKCDQPLSQ9LYN9QYBWEKOUFQFLSGOQJCAABLBWKOHNUQYFBNF9ENJTGUKFOSNAT9BQ9NUMQRMYZAENZKQPIYIJCCWHEKNMRXVU9ECFOCMVIDNX9PIQDEDBECRDYFYTQNHWBQGNEJWYBKDJJVSEKIIMDGOSUIIDW9YFSAI9RCFXB9VJLVQUCQJZAAPAEWHYX9BPKPFFNMHZYXXNMEYJXFYCYPRH9MGFYUASKIQRHBDOCGIYGXNGKYXNURDJWQWSMQZYTT9FQFZKILARBUYSSXPUNLZGNACTTMDHSGTKHKD9TTSNMNXJHQGECEIDCOKPZJAEGNHWXTGYW9UXYAWDIV9RNLHXFAWXKNJYOTFNECQAUDAUVCZOPXOBE9TLXGDWKYMYKDWKDRCMHQIDUQGCHO9IZWAXXPTTBIKCZZKG9MRSVBYLLL9VRUBDHXYOLCGWVMZNGIIOYTKYSCFLBPAWPGNTBXOYZDNWCVEGGMSDISBXGCB99VIEBYBIGLVQAEQPWKZHJGLBHRAQNHBGKVCXWETKIF9RPQGZ9BN9QWCEZIIQOKCTN9ZTWQUYILYIIATIJSWLGGYEGWSACHABKAXDSFIYVWJCGCWCCGVNWLUNNVDHLIDOFPCVFVGVUUVCJUULQXLBP9QDQGYAHVYZMAMCEXLCXEGH9UTWUUHQAPFPMEYMRRRYXSEJQSTOZENWPQKDYJPMAAMALABWSTMTZGXBLPHGGENWNB9QOHCKTREZXPGRAVROVPNHEKHFHFDPZFTYHVBPSKDIQLLQP9YOZCVHCGMULYTIOTAYWESRNNGAHHVOQUDPPFZWHY9VFZSRBONMOI9GTWQDMWPTEEZMS9HYDHMZRUFNTAPYDIMKPQMCJQRFI9VAMCDTOZSGXSMCJVYECMGULBK9OIYHFPDSYPGC9GVNCDNAWRCMBVWJNACK9QA9EICFTVPRMAXRHNBETZECJANVEDFQJAQOEUWPTS9HGRUKGHFMG9FNQJFHEPFSJUCHXQTW9NPTEHUAFQPTNSVGGDRIZUIRTBXJZTVRKRRGYMNEQ9XWJIGRJXAQWAWONHZVHEDOLVHWVPPSYNUTUYDK9PUDWABWCWTYVEZXSVTQFBLZYV9SWKTOWRPZP9YGDFNZUXZYWOYHPD9PLTNJEVHOFJEYYHKMMAXOPSFJIOQZJPYAXQMFUYWONHUWEUYYAUFDZCRGUZVPXJWCQZVRSPBASXXN9IFURXBMOSBCEZYFKRSYUTBEP99FMEDAYHTNWCRI9YLDHTJQTZEOHOKRDXXDRUBNDYBTTEQKXIVSZLTKSOPLSMMCXNYGU9GYBGLBGGLGJFURKOWVWFAT9K9SCLT9TUDYEL9LWRULHCGPNSLKDQBZWNPPNQMRGCWBIYDXSFNZAWZUBYXSCGNSTWBUSITAWXVNDEROOXPHHVOMLOGWXMMNXGNVF9VRIZOMKTRJBYUYXDTAEPTWHNLMTPULXTDZWSTEOODDEBAJXXVNWRTUZNWWSOEQIDZK9ZKWT9JATYMUQZBJYVNA9FSSIIDIQMSDTSMGPLFW9TQEMGSYK9ZUCZMSBRRDLNUEDQFTB9AMPEFDEJFOMOTNYUUHUWEYMRPFBFBFOJBHAOOSJKNBPVJCWWMOUANVOCKRXBIJRWROMGCVJIREKCWZUJ9CXFFNDEMKANYICDIZAZKMEYOAPBT9DBRY9IIIQKFENHKUBSBKWRMCHDJFURROQOWLWTTIYIEO9WXJLFTNVNNWOVLRQIMXFACSEXORJNUUZMJHYJVPGUATPNTTDWBRWWDEBNGWQNYFKKPNCFBOAHELHKNRYJMTJTGCQGICW9OENEQEFBACTMHIUKLTVBQKNRGQRFKVSSMNNCIWGHWCVRISGBUQECRYQI9RBSCHXKSSBFUUFYKOUFYHLMROPSLZAOPHKLNROOCQMIFUSICTAFHWFPDXXMIGZMVD9XKWMATGXXNJOCPMINWF9LAQXTNLERWITVG");
-    expect(channel.nextRoot).toBe("ZDTWARZZALNLTJAOHANKMCJIOZOYU9BER9OJXRVWPSIPBSKTROZBMYCLCSPWACZAI9OIJDTRHYNJZUHGI");
+    expect(res.payload).toBe("AZSXBLA9UEQDXSMPGKZIWEYFOXFYTEJYQJJERQIDEYIYGLVBYPKLPAOYRLUDFGEDUSS9TUYHVCISNNUDZY9IXOWWJUCGQPUDHQTDGDJRKQJXQLIHOFXYPHTKLW9NHWXCQHIADS9FWMXOCZMSVDUVHTBKYGQFOPXBKBKQAZFPYH9CCTOZEEEFHYETAKJTCCUJDGEEGB9DJYADKQHRHNWOS9IYJGRO9KYJZUKQ9VHNFZX9NQ9SQNOLZAIAOSFZMBEW99TPJAMEKIPTSFFOLJEPJMN9YUZBGNYBOUPEVTSNOGRDQPNJYGKEUEFWQHHSOHBNIGDAXJGJOHHSBOENRNOWZNM9ZIFQIDDBP9XFMIOLUJRLBSSTYWTOVFECBDTIIOTOIL9RLSDDGQUFYJLLNFIIRPWBVBIPTOPZLYDEBRXPLLWKWKWHJTAEWQT9UOS9VSCRYMRJCXBXNPZAFBNHTQIEP9FRQNUANLTCZZKKWFKLJLGFOMQZRKX9J9AOJBNEMLUUUVVALAGKYHLSGKGPZR9TFUFJTGQSAIIWHZPSPBFPBFFMUFWUETJVIBDBRKI9RXSFUWQVXJLFWFIMSMM9OZSJJWRHEJGWCRAVLJMYPDNPRRCGI9TSPJDFCAYTKVQEHRSOTKCZKK9YJSMFUGVZZHAARSW9WGRSFVBDKYBGROUGNALGFEYXME99VZXRUYALZWYI9ZRIREKCGK9UY9GMLFXUGGNWDPMIPQIBGEE9HDNLMMXKAXFQIJPYXLKPLJDZFEPGJUVJREUAXVYCZDQ9EYDABNMEAJMTKCSEOICBZ9SHLIFUWITIACH9TXIEC9GHZAOGBAFVIR9ATHWGPZFVBOCYZJS9QSNNIUTNVKDUIXSYXSOEMWPIVKLVZYX9FMHXDRIHQNKOAQMXKVXECLKKNMKWNDCQXJUDFXWFDBNQGFJZAPCSJRONVDILBVNJKDL9RTYZZELROZE9WERUDKPUCZZLDJXFVQ9QVHHRSYUNQPPGH9YROHK9XLNLZZWTSORRNG9KSTXFAYQQDCFPQ9GMDBFTZZOILMLCMXRMREQS9WSOTNWXLOSRTXAGUSKPPAMDFYMW9RUEGGBWPKSICILIZQHWBXOGJBKSPLYSBSSHIRXV9AAFQRUDNFULXWL9YY9IVBPOATQSVLAORDMXVUYTKQODQMTGMCBH9MKLHUBSYPDSCOTNWMZKEIRG9NYRZIDPAAUJETURZSSRSYQQTJUPUKCWPYRBDKWLVXXPFZNC9FAKCVXAVXGQQOFHHJJGVLOWDNHGGWLOPE9NWLCDPFEITCMEPNEB9YXCEPCRNNXHTQDDEYXSSCXEDRRJCNDPSFMFDZFYNEHSYECWWMJXTCWOMLWIQHHBEWRHZUQ9MRIKZHPXAUWNANJULZHVOGTSWZAYAINCLHEA9EOYYYFCB99THNTTJRXQGVYTKTJKLVBJKYAGFRKWDFHCMYSHRCPYDI9ILOAHQUJXNAKQNIHSEHNYJJAIZZIBMGTI9ZYJQHLCRBROXGJOYGENCCAGRDBMLUAWDHPOYOYIHZYDVDHYGZIOONTAJDZMM9OVLIAFWXVOTCPRDZPTTKHSWGOZVGVFAXPOUSHBVRXKLAGFIOATZKKCJGTRTSPDNMSPSGMOYDICGVCOVJFAPJWSYAFGEKJJJNPYQRHEKWQEWLQXWUCWGNKFMLKDKVEGVTNRTETMPIWLARYONGLTGREEAAXDMKBOFS9PBYHLYPPXP9OVKVDEMBFSAVQAFWDXXDOTWOBSKFCDTICDRMASGZZOMEQNFRAEHYAGUM9MR9BVSSEJXDUTAJSTSXHHGVFJUJLKLGFANJDFIDUEKEBDXAVXDNBGOQLPARJ9TCVMZMWIEQJTUGUH9RFCRGWAEWBTIJXMWCZZISXMJLYDEMH9FYLUQPWRENSODVDRPPXRRCUFBGEGDRLENWDXUOECOMIUQSDDLFORCFUIOBFJQUKDVVSHDCNQFTGEQIOHFLNUNXAXNDEZQJEHEXTMDGGNYQJXQHI9QYEOTCGPQDYQCSIPTWASLQULWHJCHJPWFQFAUDLISLUTHIIVHFCUILYDQHGRMRGOQEYG9WJPGMLRVSMW9XWRFGYKFFGFBEUAARVYVQXOGHUEACDYCCINWHWEPKVCXKRTKWT9AOCGX9MVMKZL9S9BIGKKGTFTLLELPBEWKVPYVDHNJRVHEFPH9SMZGFKCILKYEJRWHRP9QUQVAVHUPHFV9LHIOVOTTRQXTRQKKEQR9V9FPXAAJ9FZVUIQHTNLYPHXYMSCJLJHSOXSDGNXKYKYQAFAULPM9YUHVSMKKCIPMOYZOSGREEPNKBPDHCZUGXJXXSPDZFRGYZUFZSHDLTIMTAHCVBCNLNCXVEWMUIDRGGCTB9GQVUXMLOAQRRFWSNXFMCXYLEYVMPJWIEKO9ABMFDVNQCCDFUPNLBYYHBJGASNVTPSN9KDEAIPXPGADCUOWEUBUDEOBFDGKMBEIOTZRJZUCXZVESTALZANGGXKFXDDQSSRSYZLBKORDNJPOLWAB9JWZAZCGLRTGD9K9GLHATRCLSOBNUF9ZOGUOHIXSZDVTUGCBFSIFENM9EPUOIAKKLEDHKMPZQHIPBYJDSEMUTEKEPPKTZMBIPEKAQ9JZMKSQTEYFOWDIAYOOEYPECGCURTNHVJUBICQLABCZYKJZRCMTPXG9HTSLUZITUUPGYJKG9ZDETHJRNQMGNEPISXIPKUOPNNIDOUAHORLUWQZCANRFDEEGZAQTTVIKBJOMTIGWXPWRIMBKHSGJHLXKMOXGVXHWDGWMXFEGPEXRPHEDYDOMLTJTQQMFX9EU9B9FIEUDYAGXRRRUSUXYABLUTLFSUTHOLT9ZAGSL9DQY9PSECNHGPYEGLLRG9TBYKAWGVOOVWBYRUOZRRXGAGDGJJVYMOIZOXXAKBYULPUBQWKRDHVHGJQSAIFYILXJZLNSIFJIAXSMURP9ERSPFIBIVCZQIJDDEDUNJJWQVOWZFMOLKRYCDBSYLBTDCXFALSFWQCTI9SGNAVFSVUWJUHGUSFSCIUPZKYRAZFLCWTUTIEUZVJPIOFTWPGFGYEFRZBREVPBZAOFXXDHRZZQTKBJIUWSCEJUOWUNGXZGWOFUGGILUHJJBDPJPWJREGAPNMHBEQGGZDHFQDCWIVYADGYOVDSPCLOEKGJTEMNSRLSXBERABCXUOD9CQJTOCJDGTM9UILFEPEJUBPT9ZHXPCYEDNGOEZFLVNETEJTYFLBMDHNSJMQTL9DXXDWJYYMDX9SJLRMTIOHFBIQJWDDNMCLGLYUGZITBLYQKZLBDBRMUJTUC9ICEMQDBAMXLSJFNDPCKIMWWYIGGAYXSCVWTSLRQCOWETQWHPKHRJDCYKSKVOMBUFBWOBOKTBCSYSGHTFRDELEDQIJMLDTBFCUFINJBMXJOWSXRKMWLPKNHAVPNBKSRPYGZJL9E9QOGGM9YYCOXKTLQWCEOVFQXTSM9ALFMT9EDIUFHVRGJZCYBO9BMKOPMAYUCBKGAGYEOEIFDDQJCBFNRP9VQK9ENKAMGDOKVC9ONDP9EGTAEQMSXZSDIGLZQGQC9TTYPIIZOBMECKKYQOGNHNCWDNEULJYXZPHZRYPQUVQDWWJPOTCJGYNM9IWXRVLBBPWZGHPGGNKJGQLTYVNXLCNASVIUEFFWIZDGVGYUBKQHGALSEDGLENYWUESKTRJFSSEAELXYCUUIVJBNKMOOXZWINIMZFUUPVTEZWYLCQBKRUEYKIUSCAXFUQGONCRVQLH9OERFHEV9VBCSPOXEKRFPFNUAOULVLSWREOYVGDBVGHBXHIOMASHWAF9ZUZZJBODRJERCTKHGAVVVSE9GIUBQHYKTWEWKAIATOOIOPSADVCMLEUKONIMRHNLYBDSYVJTUJYUZFOREEZFVLIAWXRQJEKAMKMRUYQCM9VAPAAUFFSTSBPHBYUXSDIDSLJCXTMIGBHLVVOPLXUNBLNTEHQCJRUGOXEBFANMZCUJO9ER9DYDHOZWDRMRIVWZKKEQINGSEDZ9EQHWXLQJAIATDPSAKCYZOGGENHYZSEMUQLHHKUAZHEF9YJNQTYXSYZNKSKDPVTAHFPYRUWNBRDCLPISKNZFEBESZYCNCPCW9FLRQUMZNUYWJY9YHRWSWDUHBOSTFU9CPGXV99IYVGAMNIMTYRQBOQNMIMTDNUCPEPMJBPFKRJRPPQUTGVWIYLLPKJDLCNQURKTAQQKQHUVHG9BKPSKAQXYWZQNBAPU9BZIWGDZQTFJYJLVYAVETRD9JYQJHSAHWKQTGWHGAKECDVQPV9DOWGESCRGMNWQRUMSPSUBIWMLXNZOGCBAXOLYDLMINAPPUUAVXDHYQCGAGCYOOSPUFMJYORGOKAOUXTXQMLYISJ9YDCSBBQCDNNKCFKTDTR9GDKQZKMMTDZTLGEUXMSIQGXZA9CZWFOFVWDFJXRE9PRDXHAASCPFBLHGNQIEXCLYWOLMILLLVCFWVDQSZSDGQSCYY9PUWRAYREFYUYUCPAEAOIGANJLSFVRMEZTDOABUJINSSZDNUHUBTVGEJPTRNDFJUMTVIJCQCXGOOYZMKTHNDFWZQIMCRH9RWQVYQQLVVAMTRTRGQWQOTLERUXGZUFTLNEKOZTYF9UXLKNKM9LQTJYGOUNQDUQ9YTE");
+    expect(channel.nextRoot).toBe("RYZSBOIVQPCHIQROPSKVBIJZNYBBLUPNLEZZDRVZAKRAOCRIHSWWWJFBHWNICQIFKAEXQONERPO9EIZSB");
     expect(channel.start).toBe(0);
     expect(channel.index).toBe(1);
 });
@@ -157,3 +326,124 @@ test("createMessage() calculates correct nextRoot on count size 2", () => {
     createMessage(channel, "FOO");
     expect(channel.nextRoot).toBe("ZDTWARZZALNLTJAOHANKMCJIOZOYU9BER9OJXRVWPSIPBSKTROZBMYCLCSPWACZAI9OIJDTRHYNJZUHGI");
 });
+
+/**
+ * Worker which runs the requests in process, cloning the data as it would be between threads.
+ */
+const inProcessWorker: IMamWorker = {
+    execute: async (request, options) => JSON.parse(JSON.stringify(
+        handleWorkerRequest(JSON.parse(JSON.stringify(request)) as IMamWorkerRequest, options?.onProgress)
+    )) as IMamWorkerResponse,
+    close: async () => { }
+};
+
+test("createMessageAsync() fails with no default worker", async () => {
+    setDefaultWorker();
+    const channel = createChannel("A".repeat(81), 2, "public");
+    await expect(createMessageAsync(channel, "FOO")).rejects.toThrow("There is no default worker");
+});
+
+test("createMessageAsync() fails with invalid message before using the worker", async () => {
+    const channel = createChannel("A".repeat(81), 2, "public");
+    await expect(createMessageAsync(channel, "foo", { worker: inProcessWorker })).rejects.toThrow("trytes");
+});
+
+test("createMessageAsync() returns the same message and state as createMessage", async () => {
+    const channel = createChannel("A".repeat(81), 2, "restricted", "MYKEY", { count: 2 });
+    const asyncChannel = createChannel("A".repeat(81), 2, "restricted", "MYKEY", { count: 2 });
+
+    for (let i = 0; i < 3; i++) {
+        const res = createMessage(channel, "FOO");
+        const asyncRes = await createMessageAsync(asyncChannel, "FOO", { worker: inProcessWorker });
+        expect(asyncRes).toEqual(res);
+        expect(asyncChannel).toEqual(channel);
+    }
+});
+
+test("createMessageAsync() uses the default worker", async () => {
+    setDefaultWorker(() => inProcessWorker);
+    const channel = createChannel("A".repeat(81), 2, "public");
+    const asyncChannel = createChannel("A".repeat(81), 2, "public");
+    expect(await createMessageAsync(asyncChannel, "FOO")).toEqual(createMessage(channel, "FOO"));
+    expect(asyncChannel).toEqual(channel);
+    setDefaultWorker();
+});
+
+test("createMessageAsync() sends the nonce search, trees and progress to the worker", async () => {
+    const channel = createChannel("A".repeat(81), 2, "public", undefined, { count: 2 });
+    const asyncChannel = { ...channel };
+    const requests: IMamWorkerRequest[] = [];
+    const worker: IMamWorker = {
+        execute: async (request, options) => {
+            requests.push(request);
+            return inProcessWorker.execute(request, options);
+        },
+        close: async () => { }
+    };
+    const treeCache = new MerkleTreeCache();
+    const onProgress = jest.fn();
+
+    const asyncRes = await createMessageAsync(
+        asyncChannel, "FOO", { worker, treeCache, onProgress, nonceSearch: new HammingDiver() });
+    expect(asyncRes).toEqual(createMessage(channel, "FOO"));
+    expect(asyncChannel).toEqual(channel);
+    expect(onProgress).toHaveBeenCalled();
+    expect(treeCache.size).toBe(2);
+    expect(requests.map(r => r.type)).toEqual(["generateAddresses", "generateAddresses", "createMessage"]);
+    const createRequest = requests[2] as IMamCreateMessageWorkerRequest;
+    expect(createRequest.nonceSearch).toBe("HammingDiver");
+    expect(createRequest.reportProgress).toBe(true);
+    expect(createRequest.trees?.map(t => [t.index, t.addresses.length])).toEqual([[0, 2], [2, 2]]);
+
+    // The trees are already cached for the next message
+    requests.length = 0;
+    expect(await createMessageAsync(asyncChannel, "BAR", { worker, treeCache }))
+        .toEqual(createMessage(channel, "BAR"));
+    expect(asyncChannel).toEqual(channel);
+    expect(requests.map(r => r.type)).toEqual(["createMessage"]);
+});
+
+test("createMessageAsync() fails with a nonce search which can not be used in a worker", async () => {
+    const channel = createChannel("A".repeat(81), 2, "public");
+    const nonceSearch = { search: () => new Int8Array(81) };
+    await expect(createMessageAsync(channel, "FOO", { worker: inProcessWorker, nonceSearch }))
+        .rejects.toThrow("The nonceSearch must be a HammingDiver or Int32HammingDiver");
+});
+
+test("createMessageAsync() does not change the channel state when aborted", async () => {
+    const channel = createChannel("A".repeat(81), 2, "public", undefined, { count: 2 });
+    const before = { ...channel };
+    const controller = new AbortController();
+    controller.abort();
+    const execute = jest.spyOn(inProcessWorker, "execute");
+    await expect(createMessageAsync(channel, "FOO", { worker: inProcessWorker, signal: controller.signal }))
+        .rejects.toMatchObject({ name: "MamAbortError", code: "aborted" });
+    expect(channel).toEqual(before);
+    expect(execute).not.toHaveBeenCalled();
+    execute.mockRestore();
+});
+
+test("createMessage() reports the nonce search progress", () => {
+    const channel = createChannel("A".repeat(81), 2, "public");
+    const onProgress = jest.fn();
+    createMessage(channel, "FOO", { onProgress });
+    expect(onProgress).toHaveBeenCalled();
+});
+
+test("createMessage() does not change the channel state when aborted", () => {
+    const channel = createChannel("A".repeat(81), 2, "public", undefined, { count: 2 });
+    const before = { ...channel };
+    const controller = new AbortController();
+    controller.abort();
+    expect(() => createMessage(channel, "FOO", { signal: controller.signal })).toThrow("aborted");
+    expect(channel).toEqual(before);
+});
+
+test("createMessage() produces the same message with the big-integer nonce search", () => {
+    const channel = createChannel("A".repeat(81), 2, "public");
+    const channel2 = createChannel("A".repeat(81), 2, "public");
+    const res = createMessage(channel, "FOO");
+    const res2 = createMessage(channel2, "FOO", { nonceSearch: new HammingDiver() });
+    expect(res2).toEqual(res);
+    expect(channel2).toEqual(channel);
+});
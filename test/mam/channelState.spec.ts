@@ -0,0 +1,161 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { createChannel, createMessage } from "../../src/mam/channel";
+import { CHANNEL_STATE_VERSION, exportChannelState, importChannelState } from "../../src/mam/channelState";
+import type { IMamChannelState } from "../../src/models/IMamChannelState";
+
+/**
+ * Export a channel state with some of the fields replaced.
+ * @param changes The fields to replace.
+ * @returns The exported state.
+ */
+function exportWith(changes: { [key: string]: unknown }): string {
+    const channelState = createChannel("A".repeat(81), 2, "restricted", "MYKEY", { count: 4 });
+    return JSON.stringify({
+        version: CHANNEL_STATE_VERSION,
+        channelState: { ...channelState, ...changes }
+    });
+}
+
+test("exportChannelState() writes a versioned envelope", () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const json = JSON.parse(exportChannelState(channelState)) as { version: number; channelState: IMamChannelState };
+    expect(json.version).toBe(CHANNEL_STATE_VERSION);
+    expect(json.channelState).toEqual({
+        seed: "A".repeat(81),
+        mode: "public",
+        security: 2,
+        start: 0,
+        count: 1,
+        nextCount: 1,
+        index: 0
+    });
+});
+
+test("exportChannelState() fails with an invalid state", () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    channelState.index = 1;
+    expect(() => exportChannelState(channelState)).toThrow("channelState.index");
+});
+
+test("importChannelState() returns the exported state", () => {
+    const channelState = createChannel("A".repeat(81), 2, "restricted", "MYKEY", { count: 2 });
+    createMessage(channelState, "FOO");
+    expect(importChannelState(exportChannelState(channelState))).toEqual(channelState);
+});
+
+test("importChannelState() continues the channel from the exported state", () => {
+    const channelState = createChannel("A".repeat(81), 1, "private", undefined, { count: 2 });
+    createMessage(channelState, "FOO");
+    const imported = importChannelState(exportChannelState(channelState));
+    expect(createMessage(imported, "BAR")).toEqual(createMessage(channelState, "BAR"));
+});
+
+test("importChannelState() migrates a plain JSON state", () => {
+    const channelState = createChannel("A".repeat(81), 2, "restricted", "MYKEY");
+    createMessage(channelState, "FOO");
+    expect(importChannelState(JSON.stringify(channelState))).toEqual(channelState);
+});
+
+test("importChannelState() migrates a plain JSON state without nextCount", () => {
+    const imported = importChannelState(JSON.stringify({
+        seed: "A".repeat(81),
+        mode: "public",
+        security: 1,
+        start: 3,
+        count: 2,
+        index: 1
+    }));
+    expect(imported.nextCount).toBe(2);
+});
+
+test("importChannelState() migrates a mam.client.js state", () => {
+    const imported = importChannelState(JSON.stringify({
+        subscribed: [],
+        channel: {
+            // eslint-disable-next-line camelcase
+            side_key: "MYKEY",
+            mode: "restricted",
+            // eslint-disable-next-line camelcase
+            next_root: "B".repeat(81),
+            security: 2,
+            start: 5,
+            count: 1,
+            // eslint-disable-next-line camelcase
+            next_count: 1,
+            index: 0
+        },
+        seed: "A".repeat(81)
+    }));
+    expect(imported).toEqual({
+        seed: "A".repeat(81),
+        mode: "restricted",
+        sideKey: "MYKEY".padEnd(81, "9"),
+        security: 2,
+        start: 5,
+        count: 1,
+        nextRoot: "B".repeat(81),
+        nextCount: 1,
+        index: 0
+    });
+});
+
+test("importChannelState() fails with invalid JSON", () => {
+    expect(() => importChannelState("{\"version\": 1, ")).toThrow("not valid JSON");
+});
+
+test("importChannelState() fails when not an object", () => {
+    expect(() => importChannelState("[]")).toThrow("must be an object");
+    expect(() => importChannelState("null")).toThrow("must be an object");
+});
+
+test("importChannelState() fails with an unsupported version", () => {
+    expect(() => importChannelState(JSON.stringify({ version: 99, channelState: {} }))).toThrow("version 99");
+});
+
+test("importChannelState() fails with a missing state", () => {
+    expect(() => importChannelState(JSON.stringify({ version: CHANNEL_STATE_VERSION }))).toThrow("must be an object");
+});
+
+test("importChannelState() fails with an invalid seed", () => {
+    expect(() => importChannelState(exportWith({ seed: "AAA" }))).toThrow("channelState.seed");
+    expect(() => importChannelState(exportWith({ seed: 1 }))).toThrow("channelState.seed");
+});
+
+test("importChannelState() fails with an invalid mode", () => {
+    expect(() => importChannelState(exportWith({ mode: "secret" }))).toThrow("mode must be");
+});
+
+test("importChannelState() fails with a sideKey that does not match the mode", () => {
+    expect(() => importChannelState(exportWith({ sideKey: undefined }))).toThrow("You must provide a sideKey");
+    expect(() => importChannelState(exportWith({ mode: "public" }))).toThrow("only used in restricted");
+    expect(() => importChannelState(exportWith({ sideKey: 5 }))).toThrow("channelState.sideKey");
+    expect(() => importChannelState(exportWith({ sideKey: "abc" }))).toThrow("sideKey must be in trytes");
+});
+
+test("importChannelState() fails with an invalid security", () => {
+    expect(() => importChannelState(exportWith({ security: 4 }))).toThrow("channelState.security");
+    expect(() => importChannelState(exportWith({ security: "2" }))).toThrow("channelState.security");
+});
+
+test("importChannelState() fails with invalid ranges", () => {
+    expect(() => importChannelState(exportWith({ start: -1 }))).toThrow("channelState.start");
+    expect(() => importChannelState(exportWith({ start: 1.5 }))).toThrow("channelState.start");
+    expect(() => importChannelState(exportWith({ count: 0 }))).toThrow("channelState.count");
+    expect(() => importChannelState(exportWith({ count: "4" }))).toThrow("channelState.count");
+    expect(() => importChannelState(exportWith({ nextCount: -2 }))).toThrow("channelState.nextCount");
+    expect(() => importChannelState(exportWith({ index: 4 }))).toThrow("channelState.index");
+    expect(() => importChannelState(exportWith({ index: -1 }))).toThrow("channelState.index");
+});
+
+test("importChannelState() fails with tree sizes which are not a power of 2", () => {
+    expect(() => importChannelState(exportWith({ count: 3 })))
+        .toThrow("channelState.count must be a power of 2, it is 3");
+    expect(() => importChannelState(exportWith({ nextCount: 6 })))
+        .toThrow("channelState.nextCount must be a power of 2, it is 6");
+});
+
+test("importChannelState() fails with an invalid nextRoot", () => {
+    expect(() => importChannelState(exportWith({ nextRoot: "ABC" }))).toThrow("channelState.nextRoot");
+    expect(() => importChannelState(exportWith({ nextRoot: 1 }))).toThrow("channelState.nextRoot");
+});
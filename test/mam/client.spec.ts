@@ -0,0 +1,566 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import type { IClient } from "@iota/iota.js";
+import { LocalTangle } from "../../src/clients/localTangle";
+import { MamModeKeyError } from "../../src/errors/mamModeKeyError";
+import { channelRoot, createChannel, createMessage } from "../../src/mam/channel";
+import {
+    mamAttach, mamFetch, mamFetchAll, mamFetchCombined, mamFetchDetailed, mamFetchRoot, mamListen
+} from "../../src/mam/client";
+import type { IMamTransport } from "../../src/models/IMamTransport";
+
+test("mamFetchCombined() fails with no channels array", async () => {
+    await expect(mamFetchCombined(new LocalTangle(), undefined as never)).rejects.toThrow("channels must");
+});
+
+test("mamFetchCombined() returns a result for each channel", async () => {
+    const client = new LocalTangle();
+
+    const publicChannel = createChannel("A".repeat(81), 1, "public");
+    const publicRoot = channelRoot(publicChannel);
+    await mamAttach(client, createMessage(publicChannel, "FOO"));
+
+    const restrictedChannel = createChannel("B".repeat(81), 1, "restricted", "MYKEY");
+    const restrictedRoot = channelRoot(restrictedChannel);
+
+    const res = await mamFetchCombined(client, [
+        { root: publicRoot, mode: "public" },
+        { root: restrictedRoot, mode: "restricted", sideKey: "MYKEY" },
+        { root: restrictedRoot, mode: "restricted" }
+    ]);
+
+    expect(res.length).toBe(3);
+    expect(res[0].status).toBe("found");
+    expect(res[0].message?.message).toBe("FOO");
+    expect(res[0].message?.root).toBe(publicRoot);
+    expect(res[0].root).toBe(publicChannel.nextRoot);
+    expect(res[1].status).toBe("notPublished");
+    expect(res[1].root).toBe(restrictedRoot);
+    expect(res[1].sideKey).toBe("MYKEY");
+    expect(res[2].status).toBe("error");
+    expect(res[2].error).toContain("sideKey for restricted");
+    expect(res[2].errorCode).toBe("invalidModeKey");
+});
+
+test("mamFetchCombined() results can be used for the next fetch", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "private");
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+    await mamAttach(client, createMessage(channel, "BAR"));
+
+    const first = await mamFetchCombined(client, [{ root, mode: "private" }]);
+    expect(first[0].message?.message).toBe("FOO");
+
+    const second = await mamFetchCombined(client, first);
+    expect(second[0].message?.message).toBe("BAR");
+
+    const third = await mamFetchCombined(client, second);
+    expect(third[0].status).toBe("notPublished");
+    expect(third[0].root).toBe(channel.nextRoot);
+});
+
+test("mamFetchCombined() keeps the root until every leaf of its tree is found", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+
+    const first = await mamFetchCombined(client, [{ root, mode: "public" }]);
+    expect(first[0].messages?.map(m => m.message)).toEqual(["FOO"]);
+    expect(first[0].root).toBe(root);
+    expect(first[0].index).toBe(1);
+
+    const second = await mamFetchCombined(client, first);
+    expect(second[0].status).toBe("notPublished");
+    expect(second[0].root).toBe(root);
+    expect(second[0].index).toBe(1);
+
+    await mamAttach(client, createMessage(channel, "BAR"));
+    const third = await mamFetchCombined(client, second);
+    expect(third[0].messages?.map(m => m.message)).toEqual(["BAR"]);
+    expect(third[0].root).toBe(channel.nextRoot);
+    expect(third[0].index).toBeUndefined();
+
+    await mamAttach(client, createMessage(channel, "BAZ"));
+    const fourth = await mamFetchCombined(client, third);
+    expect(fourth[0].message?.message).toBe("BAZ");
+});
+
+test("mamFetchCombined() reports client errors", async () => {
+    const client = {
+        messagesFind: async () => {
+            throw new Error("Node unavailable");
+        }
+    } as unknown as IClient;
+
+    const res = await mamFetchCombined(client, [{ root: "A".repeat(81), mode: "public" }]);
+    expect(res[0].status).toBe("error");
+    expect(res[0].error).toBe("Node unavailable");
+    expect(res[0].errorCode).toBeUndefined();
+});
+
+test("mamFetch() fails with invalidTrytes for an invalid root", async () => {
+    await expect(mamFetch(new LocalTangle(), "abc", "public")).rejects.toMatchObject({ code: "invalidTrytes" });
+    await expect(mamFetchAll(new LocalTangle(), "abc", "public")).rejects.toMatchObject({ code: "invalidTrytes" });
+});
+
+test("mamFetchRoot() fails with invalidModeKey for a missing side key", async () => {
+    await expect(mamFetchRoot(new LocalTangle(), "A".repeat(81), "restricted"))
+        .rejects.toBeInstanceOf(MamModeKeyError);
+});
+
+test("mamFetchDetailed() reports the messages which failed to load and decode", async () => {
+    const tangle = new LocalTangle();
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+    const first = createMessage(channel, "FOO");
+
+    const missingId = await tangle.injectMissingMessage(first.address);
+    const garbageId = await tangle.injectGarbage(first.address);
+    const shortId = await tangle.injectGarbage(first.address, new Uint8Array(10));
+    const { messageId } = await mamAttach(tangle, first);
+
+    const report = await mamFetchDetailed(tangle, root, "public");
+    expect(report.root).toBe(root);
+    expect(report.address).toBe(first.address);
+    expect(report.messageIds).toEqual([missingId, garbageId, shortId, messageId]);
+    expect(report.messages.map(m => m.message)).toEqual(["FOO"]);
+    expect(report.loadFailures).toEqual([{ messageId: missingId, error: expect.stringContaining("not found") }]);
+    expect(report.decodeFailures.map(f => f.messageId)).toEqual([garbageId, shortId]);
+    expect(report.decodeFailures[1]).toMatchObject({ errorCode: "truncatedPayload" });
+});
+
+test("mamFetchDetailed() returns an empty report if nothing is published", async () => {
+    const report = await mamFetchDetailed(new LocalTangle(), "A".repeat(81), "public");
+    expect(report).toEqual({
+        root: "A".repeat(81),
+        address: "A".repeat(81),
+        messageIds: [],
+        messages: [],
+        loadFailures: [],
+        decodeFailures: []
+    });
+});
+
+test("mamFetchDetailed() rejects if the transport fails", async () => {
+    const transport: IMamTransport = {
+        submit: async () => {
+            throw new Error("Not supported");
+        },
+        findMessageIds: async () => {
+            throw new Error("Node unavailable");
+        },
+        get: async () => new Uint8Array()
+    };
+
+    await expect(mamFetch(transport, "A".repeat(81), "public")).resolves.toBeUndefined();
+    await expect(mamFetchDetailed(transport, "A".repeat(81), "public")).rejects.toThrow("Node unavailable");
+});
+
+test("mamListen() fails with invalid interval", () => {
+    expect(() => mamListen(new LocalTangle(), "A".repeat(81), "public", undefined, { interval: 0 }))
+        .toThrow("options.interval");
+});
+
+test("mamListen() iterates messages and advances the root", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+
+    const controller = new AbortController();
+    const subscription = mamListen(client, root, "public", undefined, {
+        interval: 10,
+        signal: controller.signal
+    });
+
+    const received: string[] = [];
+    for await (const fetched of subscription) {
+        received.push(fetched.message);
+        if (received.length === 1) {
+            await mamAttach(client, createMessage(channel, "BAR"));
+        } else {
+            controller.abort();
+        }
+    }
+
+    expect(received).toEqual(["FOO", "BAR"]);
+    expect(subscription.stopped).toBe(true);
+    expect(subscription.root).toBe(channel.nextRoot);
+});
+
+test("mamListen() stops when the iteration is ended with a break", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+
+    const subscription = mamListen(client, root, "public", undefined, { interval: 10 });
+    const received: string[] = [];
+    for await (const fetched of subscription) {
+        received.push(fetched.message);
+        break;
+    }
+
+    expect(received).toEqual(["FOO"]);
+    expect(subscription.stopped).toBe(true);
+});
+
+test("mamListen() resolves concurrent next calls in order and ends them when stopped", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+    await mamAttach(client, createMessage(channel, "BAR"));
+
+    const subscription = mamListen(client, root, "public", undefined, { interval: 10 });
+    const iterator = subscription[Symbol.asyncIterator]();
+
+    const received = await Promise.all([iterator.next(), iterator.next()]);
+    expect(received.map(r => (r.done ? undefined : r.value.message))).toEqual(["FOO", "BAR"]);
+
+    const pending = Promise.all([iterator.next(), iterator.next()]);
+    subscription.stop();
+    await expect(pending).resolves.toEqual([
+        { value: undefined, done: true },
+        { value: undefined, done: true }
+    ]);
+});
+
+test("mamListen() does not emit or advance the root once a listener stops it", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+    await mamAttach(client, createMessage(channel, "BAR"));
+
+    const subscription = mamListen(client, root, "public", undefined, { interval: 10 });
+    const events = await new Promise<string[]>(resolve => {
+        const received: string[] = [];
+        subscription
+            .on("message", fetched => {
+                received.push(fetched.message);
+                subscription.stop();
+            })
+            .on("stop", () => setTimeout(() => resolve(received), 50));
+    });
+
+    expect(events).toEqual(["FOO"]);
+    expect(subscription.root).toBe(root);
+});
+
+test("mamListen() stays on a root until every leaf of its tree is found", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+
+    const controller = new AbortController();
+    const subscription = mamListen(client, root, "public", undefined, {
+        interval: 10,
+        signal: controller.signal
+    });
+
+    const received: string[] = [];
+    const roots: string[] = [];
+    for await (const fetched of subscription) {
+        received.push(fetched.message);
+        if (received.length === 1) {
+            roots.push(subscription.root);
+            await mamAttach(client, createMessage(channel, "BAR"));
+        } else if (received.length === 2) {
+            await mamAttach(client, createMessage(channel, "BAZ"));
+        } else {
+            controller.abort();
+        }
+    }
+
+    expect(received).toEqual(["FOO", "BAR", "BAZ"]);
+    expect(roots).toEqual([root]);
+});
+
+test("mamListen() emits message and error events", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+
+    const subscription = mamListen({
+        messagesFind: async (index: Uint8Array) => {
+            if (subscription.root !== root) {
+                throw new Error("Node unavailable");
+            }
+            return client.messagesFind(index);
+        },
+        message: async (messageId: string) => client.message(messageId)
+    } as unknown as IClient, root, "public", undefined, { interval: 10 });
+
+    const events = await new Promise<string[]>(resolve => {
+        const received: string[] = [];
+        subscription
+            .on("message", fetched => received.push(fetched.message))
+            .on("error", err => {
+                received.push(err.message);
+                subscription.stop();
+            })
+            .on("stop", () => resolve(received));
+    });
+
+    expect(events).toEqual(["FOO", "Node unavailable"]);
+});
+
+test("mamListen() reports errors thrown by listeners and keeps polling", async () => {
+    const client = new LocalTangle();
+
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    await mamAttach(client, createMessage(channel, "FOO"));
+    await mamAttach(client, createMessage(channel, "BAR"));
+
+    const subscription = mamListen(client, root, "public", undefined, { interval: 10 });
+    const events = await new Promise<string[]>(resolve => {
+        const received: string[] = [];
+        subscription
+            .on("message", fetched => {
+                received.push(fetched.message);
+                if (fetched.message === "FOO") {
+                    throw new Error("Listener failed");
+                }
+                subscription.stop();
+            })
+            .on("error", err => {
+                received.push(err.message);
+                throw new Error("Error listener failed");
+            })
+            .on("stop", () => resolve(received));
+    });
+
+    expect(events).toEqual(["FOO", "Listener failed", "BAR"]);
+});
+
+test("mamListen() removes the abort listener when stopped", () => {
+    const controller = new AbortController();
+    const removeEventListener = jest.spyOn(controller.signal, "removeEventListener");
+
+    const subscription = mamListen(new LocalTangle(), "A".repeat(81), "public", undefined, {
+        signal: controller.signal
+    });
+    subscription.stop();
+
+    expect(removeEventListener).toHaveBeenCalledWith("abort", expect.any(Function));
+    controller.abort();
+    expect(subscription.stopped).toBe(true);
+});
+
+test("mamAttach() and mamFetchAll() can use a custom transport", async () => {
+    const stored: { index: string; data: Uint8Array }[] = [];
+    const transport: IMamTransport<number> = {
+        submit: async (index: string, data: Uint8Array) => {
+            stored.push({ index, data });
+            return { messageId: (stored.length - 1).toString(), message: stored.length - 1 };
+        },
+        findMessageIds: async (index: string) => stored
+            .map((s, idx) => (s.index === index ? idx.toString() : ""))
+            .filter(id => id.length > 0),
+        get: async (messageId: string) => stored[Number(messageId)].data
+    };
+
+    const channel = createChannel("A".repeat(81), 1, "restricted", "MYKEY");
+    const root = channelRoot(channel);
+    const mamMessage = createMessage(channel, "FOO");
+    const attached = await mamAttach(transport, mamMessage, "MYTAG");
+    await mamAttach(transport, createMessage(channel, "BAR"));
+
+    expect(attached.message).toBe(0);
+    expect(stored[0].index).toBe(mamMessage.address);
+
+    const fetched = await mamFetchAll(transport, root, "restricted", "MYKEY");
+    expect(fetched.map(f => f.message)).toEqual(["FOO", "BAR"]);
+    expect(fetched[0].tag).toBe("MYTAG");
+});
+
+test("mamFetchAll() reads every message in chunks from a channel with multiple leaves", async () => {
+    const client = new LocalTangle();
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+    const sent = ["FOO", "BAR", "BAZ", "QUX", "QUUX"];
+    for (const message of sent) {
+        await mamAttach(client, createMessage(channel, message));
+    }
+
+    const received: string[] = [];
+    let chunkRoot = root;
+    let chunk;
+    do {
+        chunk = await mamFetchAll(client, chunkRoot, "public", undefined, 1);
+        received.push(...chunk.map(f => f.message));
+        if (chunk.length > 0) {
+            chunkRoot = chunk[chunk.length - 1].nextRoot;
+        }
+    } while (chunk.length > 0);
+
+    expect(received).toEqual(sent);
+});
+
+test("mamFetchRoot() returns all the messages for a root ordered by index", async () => {
+    const client = new LocalTangle();
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+
+    const mamMessages = [
+        createMessage(channel, "FOO"),
+        createMessage(channel, "BAR"),
+        createMessage(channel, "BAZ")
+    ];
+    expect(mamMessages[1].root).toBe(root);
+
+    for (const mamMessage of mamMessages.slice().reverse()) {
+        await mamAttach(client, mamMessage);
+    }
+    await mamAttach(client, mamMessages[0]);
+
+    const fetchedRoot = await mamFetchRoot(client, root, "public");
+    expect(fetchedRoot.map(f => f.message)).toEqual(["FOO", "BAR"]);
+    expect(fetchedRoot.map(f => f.index)).toEqual([0, 1]);
+    expect(fetchedRoot[1].nextRoot).toBe(mamMessages[2].root);
+
+    const fetched = await mamFetch(client, root, "public");
+    expect(fetched?.message).toBe("FOO");
+
+    const fetchedAll = await mamFetchAll(client, root, "public");
+    expect(fetchedAll.map(f => f.message)).toEqual(["FOO", "BAR", "BAZ"]);
+
+    const fetchedLimit = await mamFetchAll(client, root, "public", undefined, 1);
+    expect(fetchedLimit.map(f => f.message)).toEqual(["FOO", "BAR"]);
+    expect(fetchedLimit.map(f => f.treeSize)).toEqual([2, 2]);
+
+    const combined = await mamFetchCombined(client, [{ root, mode: "public" }]);
+    expect(combined[0].messages?.map(f => f.message)).toEqual(["FOO", "BAR"]);
+    expect(combined[0].root).toBe(mamMessages[2].root);
+});
+
+
+/**
+ * Create a transport which keeps the payloads in memory and tracks the gets.
+ * @param delays The time in milliseconds to delay the get of each message, by id.
+ * @returns The transport and the tracking of the gets.
+ */
+function createTrackingTransport(delays: { [id: string]: number } = {}): {
+    transport: IMamTransport;
+    gets: string[];
+    maxActive: number;
+} {
+    const stored: { index: string; data: Uint8Array }[] = [];
+    let active = 0;
+    const tracking = {
+        transport: {
+            submit: async (index: string, data: Uint8Array) => {
+                stored.push({ index, data });
+                return { messageId: (stored.length - 1).toString(), message: undefined };
+            },
+            findMessageIds: async (index: string) => stored
+                .map((s, idx) => (s.index === index ? idx.toString() : ""))
+                .filter(id => id.length > 0),
+            get: async (messageId: string) => {
+                tracking.gets.push(messageId);
+                active++;
+                tracking.maxActive = Math.max(tracking.maxActive, active);
+                await new Promise(resolve => setTimeout(resolve, delays[messageId] ?? 1));
+                active--;
+                return stored[Number(messageId)].data;
+            }
+        },
+        gets: [] as string[],
+        maxActive: 0
+    };
+    return tracking;
+}
+
+test("mamFetchDetailed() retrieves the messages with bounded concurrency", async () => {
+    const tracking = createTrackingTransport();
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+    const mamMessage = createMessage(channel, "FOO");
+    for (let i = 0; i < 6; i++) {
+        await tracking.transport.submit(mamMessage.address, new Uint8Array(200));
+    }
+    await mamAttach(tracking.transport, mamMessage);
+
+    const report = await mamFetchDetailed(tracking.transport, root, "public", undefined, { concurrency: 3 });
+    expect(report.messages.map(m => m.message)).toEqual(["FOO"]);
+    expect(report.decodeFailures.map(f => f.messageId)).toEqual(["0", "1", "2", "3", "4", "5"]);
+    expect(tracking.gets).toHaveLength(7);
+    expect(tracking.maxActive).toBe(3);
+});
+
+test("mamFetch() stops retrieving once the message is found", async () => {
+    const tracking = createTrackingTransport();
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    const mamMessage = createMessage(channel, "FOO");
+    await mamAttach(tracking.transport, mamMessage);
+    for (let i = 0; i < 6; i++) {
+        await tracking.transport.submit(mamMessage.address, new Uint8Array(200));
+    }
+
+    const fetched = await mamFetch(tracking.transport, root, "public", undefined, { concurrency: 2 });
+    expect(fetched?.message).toBe("FOO");
+    expect(tracking.gets).toEqual(["0", "1"]);
+
+    tracking.gets.length = 0;
+    const fetchedRoot = await mamFetchRoot(tracking.transport, root, "public", undefined, { concurrency: 1 });
+    expect(fetchedRoot.map(f => f.message)).toEqual(["FOO"]);
+    expect(tracking.gets).toEqual(["0"]);
+});
+
+test("mamFetchRoot() keeps the first payload for an index when retrieved concurrently", async () => {
+    const tracking = createTrackingTransport({ 0: 50 });
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+    const first = createMessage(channel, "FOO");
+    await mamAttach(tracking.transport, first, "SLOW");
+    await mamAttach(tracking.transport, first, "FAST");
+    await mamAttach(tracking.transport, createMessage(channel, "BAR"));
+
+    const fetched = await mamFetchRoot(tracking.transport, root, "public");
+    expect(fetched.map(f => f.tag)).toEqual(["SLOW", ""]);
+    expect(fetched.map(f => f.message)).toEqual(["FOO", "BAR"]);
+});
+
+test("mamFetchDetailed() fails requests which exceed the timeout", async () => {
+    const tracking = createTrackingTransport({ 1: 1000 });
+    const channel = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    const root = channelRoot(channel);
+    await mamAttach(tracking.transport, createMessage(channel, "FOO"));
+    await mamAttach(tracking.transport, createMessage(channel, "BAR"));
+
+    const report = await mamFetchDetailed(tracking.transport, root, "public", undefined, { timeout: 50 });
+    expect(report.messages.map(m => m.message)).toEqual(["FOO"]);
+    const error = "The request to get the message 1 timed out after 50ms";
+    expect(report.loadFailures).toEqual([{ messageId: "1", error }]);
+
+    const transport: IMamTransport = {
+        ...tracking.transport,
+        findMessageIds: async () => new Promise(() => { })
+    };
+    await expect(mamFetchDetailed(transport, root, "public", undefined, { timeout: 50 }))
+        .rejects.toThrow(`The request to find the messages for ${root} timed out after 50ms`);
+    const combined = await mamFetchCombined(transport, [{ root, mode: "public" }], { timeout: 50 });
+    expect(combined[0]).toMatchObject({ status: "error", error: expect.stringContaining("timed out") });
+});
+
+test("mamFetchAll() fails with invalid fetch options", async () => {
+    await expect(mamFetchAll(new LocalTangle(), "A".repeat(81), "public", undefined, 1, { concurrency: 0 }))
+        .rejects.toThrow("The concurrency must be an integer of at least 1");
+    await expect(mamFetch(new LocalTangle(), "A".repeat(81), "public", undefined, { timeout: -1 }))
+        .rejects.toThrow("The timeout must be greater than 0");
+});
@@ -1,7 +1,27 @@
 // Copyright 2021 IOTA Stiftung
 // SPDX-License-Identifier: Apache-2.0
+import { MamError } from "../../src/errors/mamError";
+import { MamSignatureError } from "../../src/errors/mamSignatureError";
 import { channelRoot, createChannel, createMessage } from "../../src/mam/channel";
-import { parseMessage } from "../../src/mam/parser";
+import { parseMessage, parseMessageDetailed } from "../../src/mam/parser";
+import { TrytesHelper } from "../../src/utils/trytesHelper";
+
+/**
+ * Get the error thrown by parsing a message.
+ * @param payload The payload to parse.
+ * @param root The root for the message.
+ * @param channelKey The key used to encode the data.
+ * @returns The error.
+ */
+function parseError(payload: string, root: string, channelKey?: string): MamError {
+    try {
+        parseMessage(payload, root, channelKey);
+    } catch (err) {
+        expect(err).toBeInstanceOf(MamError);
+        return err as MamError;
+    }
+    throw new Error("parseMessage did not fail");
+}
 
 test("parseMessage() can decode public message", () => {
     const channel = createChannel("A".repeat(81), 2, "public");
@@ -41,3 +61,70 @@ test("parseMessage() can decode restricted message", () => {
     expect(res.nextRoot).toBe("ZRBYGMGPEUBFOUMKULUBNCSQQNRH9JOMV9QJEZTAA99HCXLDHFTFOR9UYRKXSEYDRWPSDZQHJIFODHXRS");
 });
 
+test("parseMessage() fails with invalidTrytes", () => {
+    expect(parseError("foo", "A".repeat(81)).code).toBe("invalidTrytes");
+    expect(parseError("A".repeat(100), "ABC").code).toBe("invalidTrytes");
+    expect(parseError("A".repeat(100), "A".repeat(81), "abc").code).toBe("invalidTrytes");
+});
+
+test("parseMessage() fails with truncatedPayload", () => {
+    const channel = createChannel("A".repeat(81), 1, "restricted", "S".repeat(81));
+    const root = channelRoot(channel);
+    const msg = createMessage(channel, "FOO");
+
+    expect(parseError("9".repeat(10), root).code).toBe("truncatedPayload");
+    expect(parseError(msg.payload.slice(0, 40), root, "S".repeat(81)).code).toBe("truncatedPayload");
+    expect(parseError(msg.payload.slice(0, -100), root, "S".repeat(81)).code)
+        .toBe("truncatedPayload");
+});
+
+test("parseMessage() fails with invalidSecurityChecksum for the wrong key", () => {
+    const channel = createChannel("A".repeat(81), 2, "restricted", "S".repeat(81));
+    const root = channelRoot(channel);
+    const msg = createMessage(channel, "FOO");
+
+    const error = parseError(msg.payload, root, "U".repeat(81));
+    expect(error.code).toBe("invalidSecurityChecksum");
+    expect(error.name).toBe("MamSecurityChecksumError");
+});
+
+test("parseMessage() fails with signatureMismatch for a modified signature", () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    const msg = createMessage(channel, "FOO");
+
+    const position = msg.payload.length - 200;
+    const modified = `${msg.payload.slice(0, position)}${msg.payload[position] === "A" ? "B" : "A"}${
+        msg.payload.slice(position + 1)}`;
+    const error = parseError(modified, root);
+    expect(error).toBeInstanceOf(MamSignatureError);
+    expect(error.code).toBe("signatureMismatch");
+});
+
+test("parseMessageDetailed() returns the details of the verification", () => {
+    const channel = createChannel("A".repeat(81), 2, "restricted", "S".repeat(81), { count: 4 });
+    const root = channelRoot(channel);
+    createMessage(channel, "FOO");
+    createMessage(channel, "BAR");
+    const msg = createMessage(channel, "BAZ");
+
+    const res = parseMessageDetailed(msg.payload, root, "S".repeat(81));
+    expect(res).toEqual({
+        message: "BAZ",
+        nextRoot: channel.nextRoot,
+        index: 2,
+        securityLevel: 2,
+        siblingsCount: 2,
+        recalculatedRoot: root,
+        payloadTrytes: msg.payload.length,
+        payloadBytes: TrytesHelper.packTrytes(msg.payload).length
+    });
+});
+
+test("parseMessageDetailed() returns the security level of the signature", () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    const msg = createMessage(channel, "FOO");
+
+    expect(parseMessageDetailed(msg.payload, root)).toMatchObject({ securityLevel: 1, siblingsCount: 0, index: 0 });
+});
@@ -0,0 +1,122 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamAbortError } from "../../src/errors/mamAbortError";
+import { createChannel, createMessage } from "../../src/mam/channel";
+import { parseMessage } from "../../src/mam/parser";
+import { publish } from "../../src/mam/publish";
+import type { IMamChannelState } from "../../src/models/IMamChannelState";
+import type { IMamChannelStateStore } from "../../src/models/IMamChannelStateStore";
+import type { IMamMessage } from "../../src/models/IMamMessage";
+import { MemoryChannelStateStore } from "../../src/stores/memoryChannelStateStore";
+
+test("publish() creates the message and saves the updated state", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 2 });
+    await store.save("channel", channelState);
+
+    const expectedState = { ...channelState };
+    const expected = createMessage(expectedState, "MESSAGE");
+    await expect(publish(store, "channel", "MESSAGE")).resolves.toEqual(expected);
+    await expect(store.load("channel")).resolves.toEqual({ channelState: expectedState, revision: 3 });
+
+    const second = await publish(store, "channel", "SECOND");
+    expect(parseMessage(second.payload, second.root).message).toBe("SECOND");
+    await expect(store.load("channel")).resolves.toMatchObject({ channelState: { start: 2, index: 0 } });
+});
+
+test("publish() fails if there is no state", async () => {
+    await expect(publish(new MemoryChannelStateStore(), "missing", "MESSAGE")).rejects.toThrow("no channel state");
+});
+
+test("publish() refuses to sign from a stale revision", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 4 });
+    await store.save("channel", channelState);
+
+    const first = publish(store, "channel", "FIRST");
+    const second = publish(store, "channel", "SECOND");
+    await expect(first).resolves.toBeDefined();
+    await expect(second).rejects.toThrow(
+        "The channel state 'channel' has been modified, it is at revision 2 but revision 1 was expected");
+    await expect(store.load("channel")).resolves.toMatchObject({ channelState: { index: 1 } });
+});
+
+test("publish() succeeds when another publisher saves the state after the reservation", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 4 });
+    await store.save("channel", channelState);
+
+    let saves = 0;
+    let second: Promise<IMamMessage> | undefined;
+    const interleavedStore: IMamChannelStateStore = {
+        load: async id => store.load(id),
+        save: async (id, state, revision) => {
+            saves++;
+            if (saves === 2) {
+                // Another publisher reserves and commits before the first commits
+                second = publish(store, "channel", "SECOND");
+                await second;
+            }
+            return store.save(id, state, revision);
+        }
+    };
+
+    const first = await publish(interleavedStore, "channel", "FIRST");
+    expect(parseMessage(first.payload, first.root).message).toBe("FIRST");
+    const secondMessage = await second as IMamMessage;
+    expect(parseMessage(secondMessage.payload, secondMessage.root).message).toBe("SECOND");
+    expect(secondMessage.payload).not.toBe(first.payload);
+    await expect(store.load("channel")).resolves.toMatchObject({ channelState: { index: 2 }, revision: 4 });
+});
+
+test("publish() fails if the state can not be saved after the reservation", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 4 });
+    await store.save("channel", channelState);
+
+    let saves = 0;
+    const failingStore: IMamChannelStateStore = {
+        load: async id => store.load(id),
+        save: async (id, state, revision) => {
+            saves++;
+            if (saves === 2) {
+                throw new Error("Disk full");
+            }
+            return store.save(id, state, revision);
+        }
+    };
+
+    await expect(publish(failingStore, "channel", "FIRST")).rejects.toThrow("Disk full");
+});
+
+test("publish() leaves the state untouched if the message or options are invalid", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 4 });
+    await store.save("channel", channelState);
+    const before = await store.load("channel");
+
+    await expect(publish(store, "channel", "not trytes")).rejects.toThrow("must be in trytes");
+    await expect(publish(store, "channel", "FOO", { onProgress: "progress" as never }))
+        .rejects.toThrow("The onProgress must be a function");
+    const controller = new AbortController();
+    controller.abort();
+    await expect(publish(store, "channel", "FOO", { signal: controller.signal }))
+        .rejects.toThrow(new MamAbortError("The nonce search was aborted"));
+
+    await expect(store.load("channel")).resolves.toEqual(before);
+});
+
+test("publish() skips the reserved index if creating the message fails", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count: 4 });
+    await store.save("channel", channelState);
+
+    const nonceSearch = {
+        search: () => {
+            throw new Error("Nonce search failed");
+        }
+    };
+    await expect(publish(store, "channel", "FOO", { nonceSearch })).rejects.toThrow("Nonce search failed");
+    const stored = await store.load("channel");
+    expect((stored?.channelState as IMamChannelState).index).toBe(1);
+});
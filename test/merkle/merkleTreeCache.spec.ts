@@ -0,0 +1,45 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { createChannel, createMessage } from "../../src/mam/channel";
+import { MerkleTreeCache } from "../../src/merkle/merkleTreeCache";
+
+test("MerkleTreeCache fails with invalid maxSize", () => {
+    expect(() => new MerkleTreeCache(0)).toThrow("maxSize");
+});
+
+test("get() returns the cached tree", () => {
+    const cache = new MerkleTreeCache();
+    const tree = cache.get("A".repeat(81), 0, 2, 1);
+    expect(cache.get("A".repeat(81), 0, 2, 1)).toBe(tree);
+    expect(cache.get("A".repeat(81), 0, 2, 2)).not.toBe(tree);
+    expect(cache.size).toBe(2);
+});
+
+test("get() evicts the least recently used tree", () => {
+    const cache = new MerkleTreeCache();
+    const first = cache.get("A".repeat(81), 0, 1, 1);
+    const second = cache.get("A".repeat(81), 1, 1, 1);
+    cache.get("A".repeat(81), 0, 1, 1);
+    cache.get("A".repeat(81), 2, 1, 1);
+
+    expect(cache.size).toBe(2);
+    expect(cache.get("A".repeat(81), 0, 1, 1)).toBe(first);
+    expect(cache.get("A".repeat(81), 1, 1, 1)).not.toBe(second);
+
+    cache.clear();
+    expect(cache.size).toBe(0);
+});
+
+test("createMessage() with cache creates identical messages", () => {
+    const cache = new MerkleTreeCache();
+    const cachedChannel = createChannel("A".repeat(81), 1, "restricted", "MYKEY", { count: 2, nextCount: 1 });
+    const channel = createChannel("A".repeat(81), 1, "restricted", "MYKEY", { count: 2, nextCount: 1 });
+
+    for (let i = 0; i < 4; i++) {
+        const cachedMessage = createMessage(cachedChannel, "FOO", { treeCache: cache });
+        const message = createMessage(channel, "FOO");
+
+        expect(cachedMessage).toEqual(message);
+        expect(cachedChannel).toEqual(channel);
+    }
+});
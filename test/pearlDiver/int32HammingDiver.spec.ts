@@ -0,0 +1,107 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Curl } from "@iota/crypto.js";
+import { MamAbortError } from "../../src/errors/mamAbortError";
+import type { INonceSearchProgress } from "../../src/models/INonceSearchProgress";
+import { Int32HammingDiver } from "../../src/pearlDiver/int32HammingDiver";
+import { checksumSecurity } from "../../src/signing/iss-p27";
+import { mask } from "../../src/utils/mask";
+import { TrytesHelper } from "../../src/utils/trytesHelper";
+
+test("search() returns correct nonce for trits with security level 1", () => {
+    const diver = new Int32HammingDiver();
+    const res = diver.search(
+        TrytesHelper.toTrits("XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP"),
+        1,
+        27,
+        0);
+    expect(TrytesHelper.fromTrits(res)).toBe("H9L9SMXRV");
+});
+
+test("search() returns correct nonce for trits with security level 2", () => {
+    const diver = new Int32HammingDiver();
+    const res = diver.search(
+        TrytesHelper.toTrits("XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP"),
+        2,
+        27,
+        0);
+    expect(TrytesHelper.fromTrits(res)).toBe("C9L9SMXRV");
+});
+
+test("search() returns correct nonce for trits with security level 3", () => {
+    const diver = new Int32HammingDiver();
+    const res = diver.search(
+        TrytesHelper.toTrits("XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP"),
+        3,
+        27,
+        0);
+    expect(TrytesHelper.fromTrits(res)).toBe("DZL9SMYRV");
+});
+
+test("search() reports progress for each iteration", () => {
+    const diver = new Int32HammingDiver();
+    const progress: INonceSearchProgress[] = [];
+    const res = diver.search(
+        TrytesHelper.toTrits("XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP"),
+        3,
+        27,
+        0,
+        { onProgress: p => progress.push(p) });
+    expect(TrytesHelper.fromTrits(res)).toBe("DZL9SMYRV");
+    expect(progress.length).toBeGreaterThan(0);
+    for (let i = 0; i < progress.length; i++) {
+        expect(progress[i].iterations).toBe(i + 1);
+        expect(progress[i].elapsed).toBeGreaterThanOrEqual(i > 0 ? progress[i - 1].elapsed : 0);
+    }
+});
+
+test("search() fails when the signal is already aborted", () => {
+    const diver = new Int32HammingDiver();
+    const controller = new AbortController();
+    controller.abort();
+    expect(() => diver.search(
+        TrytesHelper.toTrits("XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP"),
+        1,
+        27,
+        0,
+        { signal: controller.signal })).toThrow(MamAbortError);
+});
+
+test("search() fails when the signal is aborted during the search", () => {
+    const diver = new Int32HammingDiver();
+    const controller = new AbortController();
+    let iterations = 0;
+    expect(() => diver.search(
+        TrytesHelper.toTrits("XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP"),
+        3,
+        27,
+        0,
+        {
+            signal: controller.signal,
+            onProgress: p => {
+                iterations = p.iterations;
+                controller.abort();
+            }
+        })).toThrow(new MamAbortError("The nonce search was aborted"));
+    expect(iterations).toBe(1);
+});
+
+test("search() returns nonces which pass checksumSecurity", () => {
+    const diver = new Int32HammingDiver();
+    for (let securityLevel = 1; securityLevel <= 3; securityLevel++) {
+        for (const trytes of ["MESSAGE9ONE", "ANOTHER9MESSAGE", "9".repeat(81)]) {
+            const sponge = new Curl(27);
+            const trits = TrytesHelper.toTrits(trytes);
+            sponge.absorb(trits, 0, trits.length);
+
+            const nonceTrits = diver.search(
+                sponge.rate(Curl.STATE_LENGTH),
+                securityLevel,
+                Curl.HASH_LENGTH / 3,
+                0);
+            mask(nonceTrits, sponge);
+
+            expect(checksumSecurity(sponge.rate())).toBe(securityLevel);
+        }
+    }
+});
@@ -19,6 +19,49 @@ test("subseed() returns correct hashed version of trits securityLevel 2", () =>
     expect(TrytesHelper.fromTrits(res)).toBe("AQPHUPQHMVPYXDYRGZKVGIOLJNC9KAAFRCPQBMULBWSVCJDWSVBAFFWEJWRAAHWYOLMCDASALLGRYSANW");
 });
 
+/**
+ * Calculate the subseed by incrementing the seed one step at a time.
+ * @param seed The seed trits.
+ * @param index The index for the subseed.
+ * @returns The subseed trits.
+ */
+function incrementSubseed(seed: Int8Array, index: number): Int8Array {
+    const preimage = seed.slice();
+    let localIndex = index;
+    while (localIndex-- > 0) {
+        for (let i = 0; i < preimage.length; i++) {
+            if (preimage[i]++ >= 1) {
+                preimage[i] = -1;
+            } else {
+                break;
+            }
+        }
+    }
+    return subseed(preimage, 0);
+}
+
+test("subseed() returns the same as incrementing the seed index times", () => {
+    for (const seed of ["XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP", "M".repeat(81), "N".repeat(81), "9".repeat(81)]) {
+        const seedTrits = TrytesHelper.toTrits(seed);
+        for (const index of [0, 1, 2, 3, 4, 5, 13, 14, 26, 27, 40, 41, 100, 364, 1000, 3280, 9841]) {
+            expect(subseed(seedTrits, index)).toEqual(incrementSubseed(seedTrits, index));
+        }
+    }
+});
+
+test("subseed() wraps when the index exceeds the seed", () => {
+    const seedTrits = TrytesHelper.toTrits("M");
+    expect(subseed(seedTrits, 1)).toEqual(subseed(TrytesHelper.toTrits("N"), 0));
+    expect(subseed(seedTrits, 27)).toEqual(subseed(seedTrits, 0));
+    expect(subseed(seedTrits, 28)).toEqual(subseed(seedTrits, 1));
+});
+
+test("subseed() handles large indexes", () => {
+    const seedTrits = TrytesHelper.toTrits("A".repeat(81));
+    const res = subseed(seedTrits, 1000000000);
+    expect(res.length).toBe(243);
+});
+
 test("digestFromSubseed() returns correct hashed version of trits security level 1", () => {
     const res = digestFromSubseed(TrytesHelper.toTrits("XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP"), 1);
     expect(TrytesHelper.fromTrits(res)).toBe("IBIBQNBGFUJSSTQNEOJNGIYYWQDNNWAQ9JBEHI9CDVVTGSTKBEOVL9PNN9RXBLOEEH9ONALVX9KERZZAL");
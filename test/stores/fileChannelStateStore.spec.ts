@@ -0,0 +1,125 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { createChannel } from "../../src/mam/channel";
+import { importChannelState } from "../../src/mam/channelState";
+import { FileChannelStateStore } from "../../src/stores/fileChannelStateStore";
+
+let directory: string;
+
+beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "mam-store-"));
+});
+
+afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("save() writes the state with its revision", async () => {
+    const store = new FileChannelStateStore(directory);
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await expect(store.save("channel", channelState)).resolves.toBe(1);
+    await expect(store.save("channel", channelState, 1)).resolves.toBe(2);
+
+    const content = await fs.readFile(path.join(directory, "channel.json"), "utf8");
+    expect((JSON.parse(content) as { revision: number }).revision).toBe(2);
+    expect(importChannelState(content)).toEqual(channelState);
+    expect(await fs.readdir(directory)).toEqual(["channel.json"]);
+
+    await expect(new FileChannelStateStore(directory).load("channel")).resolves.toEqual({ channelState, revision: 2 });
+});
+
+test("load() returns undefined for a missing state", async () => {
+    const store = new FileChannelStateStore(directory);
+    await expect(store.load("missing")).resolves.toBeUndefined();
+});
+
+test("save() fails with a stale revision", async () => {
+    const store = new FileChannelStateStore(directory);
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await store.save("channel", channelState);
+    await expect(store.save("channel", channelState)).rejects.toThrow("has been modified");
+    await expect(fs.readdir(directory)).resolves.toEqual(["channel.json"]);
+});
+
+test("save() serializes concurrent saves", async () => {
+    const store = new FileChannelStateStore(directory);
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await store.save("channel", channelState);
+
+    const results = await Promise.all([1, 2, 3, 4].map(async () =>
+        new FileChannelStateStore(directory)
+            .save("channel", channelState, 1)
+            .then(() => true, () => false)));
+    expect(results.filter(saved => saved)).toHaveLength(1);
+    await expect(store.load("channel")).resolves.toMatchObject({ revision: 2 });
+});
+
+test("save() waits for the lock and removes a stale lock", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await fs.writeFile(path.join(directory, "channel.json.lock"), "");
+
+    await expect(new FileChannelStateStore(directory, 50).save("channel", channelState))
+        .rejects.toThrow("Timed out waiting for the lock");
+    await expect(new FileChannelStateStore(directory, 1000, 0).save("channel", channelState))
+        .resolves.toBe(1);
+});
+
+test("save() keeps a lock taken by another process after it was checked as stale", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const lockFilename = path.join(directory, "channel.json.lock");
+    await fs.writeFile(lockFilename, "stale");
+    await fs.utimes(lockFilename, new Date(0), new Date(0));
+
+    const rename = fs.rename.bind(fs);
+    const spy = jest.spyOn(fs, "rename").mockImplementation(async (oldPath, newPath) => {
+        if (oldPath === lockFilename) {
+            // Another process removes the stale lock and takes the lock first
+            await fs.unlink(lockFilename);
+            await fs.writeFile(lockFilename, "other");
+        }
+        return rename(oldPath, newPath);
+    });
+    try {
+        await expect(new FileChannelStateStore(directory, 100, 1000).save("channel", channelState))
+            .rejects.toThrow("Timed out waiting for the lock");
+    } finally {
+        spy.mockRestore();
+    }
+
+    await expect(fs.readFile(lockFilename, "utf8")).resolves.toBe("other");
+    await expect(fs.readdir(directory)).resolves.toEqual(["channel.json.lock"]);
+});
+
+test("save() fails if its lock was removed as stale", async () => {
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const lockFilename = path.join(directory, "channel.json.lock");
+
+    const open = fs.open.bind(fs);
+    const spy = jest.spyOn(fs, "open").mockImplementation(async (filename, flags, mode) => {
+        const handle = await open(filename, flags, mode);
+        if (filename === lockFilename) {
+            // Another process takes the lock as it looks stale while it is being written
+            await fs.unlink(lockFilename);
+            await fs.writeFile(lockFilename, "other");
+        }
+        return handle;
+    });
+    try {
+        await expect(new FileChannelStateStore(directory).save("channel", channelState))
+            .rejects.toThrow("was removed by another process as it was stale");
+    } finally {
+        spy.mockRestore();
+    }
+
+    await expect(fs.readFile(lockFilename, "utf8")).resolves.toBe("other");
+    await expect(new FileChannelStateStore(directory).load("channel")).resolves.toBeUndefined();
+});
+
+test("save() fails with an invalid id", async () => {
+    const store = new FileChannelStateStore(directory);
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await expect(store.save("../channel", channelState)).rejects.toThrow("The id must only contain");
+});
@@ -0,0 +1,113 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { IDBFactory, IDBObjectStore } from "fake-indexeddb";
+import { createChannel } from "../../src/mam/channel";
+import { IndexedDbChannelStateStore } from "../../src/stores/indexedDbChannelStateStore";
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test("load() returns undefined for a missing state", async () => {
+    const store = new IndexedDbChannelStateStore();
+    await expect(store.load("missing")).resolves.toBeUndefined();
+});
+
+test("save() increments the revision", async () => {
+    const store = new IndexedDbChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await expect(store.save("channel", channelState)).resolves.toBe(1);
+    const nextChannelState = createChannel("B".repeat(81), 2, "public");
+    await expect(store.save("channel", nextChannelState, 1)).resolves.toBe(2);
+    await expect(new IndexedDbChannelStateStore().load("channel"))
+        .resolves.toEqual({ channelState: nextChannelState, revision: 2 });
+});
+
+test("save() fails with a stale revision and leaves the state", async () => {
+    const store = new IndexedDbChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    const otherChannelState = createChannel("B".repeat(81), 2, "public");
+    await store.save("channel", channelState);
+    await expect(store.save("channel", otherChannelState))
+        .rejects.toThrow("it is at revision 1 but revision none was expected");
+    await expect(store.save("channel", otherChannelState, 2))
+        .rejects.toThrow("it is at revision 1 but revision 2 was expected");
+    await expect(store.load("channel")).resolves.toEqual({ channelState, revision: 1 });
+});
+
+test("save() serializes concurrent saves", async () => {
+    const stores = [new IndexedDbChannelStateStore(), new IndexedDbChannelStateStore()];
+
+    const results = await Promise.all(stores.map(async store => {
+        try {
+            return await store.save("channel", createChannel("A".repeat(81), 2, "public"));
+        } catch (err) {
+            return err instanceof Error ? err.message : String(err);
+        }
+    }));
+
+    expect(results).toContainEqual(1);
+    expect(results).toContainEqual(expect.stringContaining("it is at revision 1 but revision none was expected"));
+});
+
+test("save() fails with the error of a failed write", async () => {
+    const store = new IndexedDbChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await store.save("channel", channelState);
+
+    jest.spyOn(IDBObjectStore.prototype, "put").mockImplementation(() => {
+        throw new DOMException("The quota has been exceeded", "QuotaExceededError");
+    });
+    await expect(store.save("channel", createChannel("B".repeat(81), 2, "public"), 1))
+        .rejects.toThrow("The quota has been exceeded");
+    jest.restoreAllMocks();
+
+    await expect(store.load("channel")).resolves.toEqual({ channelState, revision: 1 });
+});
+
+test("save() fails when the transaction is aborted", async () => {
+    const store = new IndexedDbChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await store.save("channel", channelState);
+
+    jest.spyOn(IDBObjectStore.prototype, "put").mockImplementation(function put(this: IDBObjectStore) {
+        this.transaction.abort();
+        return {} as IDBRequest<IDBValidKey>;
+    });
+    await expect(store.save("channel", createChannel("B".repeat(81), 2, "public"), 1))
+        .rejects.toThrow("The transaction to save the channel state 'channel' was aborted");
+    jest.restoreAllMocks();
+
+    await expect(store.load("channel")).resolves.toEqual({ channelState, revision: 1 });
+});
+
+test("load() fails when IndexedDB is not available and retries the open", async () => {
+    const factory = globalThis.indexedDB;
+    (globalThis as { indexedDB?: IDBFactory }).indexedDB = undefined;
+    const store = new IndexedDbChannelStateStore();
+    await expect(store.load("channel")).rejects.toThrow("IndexedDB is not available in this environment");
+
+    globalThis.indexedDB = factory;
+    await expect(store.load("channel")).resolves.toBeUndefined();
+});
+
+test("load() fails when the database can not be opened and retries the open", async () => {
+    await new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open("mam-channel-states", 2);
+        openRequest.addEventListener("success", () => resolve(openRequest.result.close()));
+        openRequest.addEventListener("error", () => reject(openRequest.error));
+    });
+    const store = new IndexedDbChannelStateStore();
+    await expect(store.load("channel")).rejects.toMatchObject({ name: "VersionError" });
+
+    await new Promise((resolve, reject) => {
+        const deleteRequest = indexedDB.deleteDatabase("mam-channel-states");
+        deleteRequest.addEventListener("success", resolve);
+        deleteRequest.addEventListener("error", () => reject(deleteRequest.error));
+    });
+    await expect(store.load("channel")).resolves.toBeUndefined();
+});
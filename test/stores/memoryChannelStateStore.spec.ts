@@ -0,0 +1,38 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { createChannel } from "../../src/mam/channel";
+import { MemoryChannelStateStore } from "../../src/stores/memoryChannelStateStore";
+
+test("load() returns undefined for a missing state", async () => {
+    const store = new MemoryChannelStateStore();
+    await expect(store.load("missing")).resolves.toBeUndefined();
+});
+
+test("save() increments the revision", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await expect(store.save("channel", channelState)).resolves.toBe(1);
+    await expect(store.save("channel", channelState, 1)).resolves.toBe(2);
+    await expect(store.load("channel")).resolves.toEqual({ channelState, revision: 2 });
+});
+
+test("save() fails with a stale revision", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await store.save("channel", channelState);
+    await expect(store.save("channel", channelState))
+        .rejects.toThrow("it is at revision 1 but revision none was expected");
+    await store.save("channel", channelState, 1);
+    await expect(store.save("channel", channelState, 1)).rejects.toThrow("it is at revision 2");
+});
+
+test("load() returns a copy of the state", async () => {
+    const store = new MemoryChannelStateStore();
+    const channelState = createChannel("A".repeat(81), 2, "public");
+    await store.save("channel", channelState);
+    const loaded = await store.load("channel");
+    if (loaded) {
+        loaded.channelState.index = 5;
+    }
+    await expect(store.load("channel")).resolves.toMatchObject({ channelState: { index: 0 } });
+});
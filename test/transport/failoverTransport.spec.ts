@@ -0,0 +1,134 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { LocalTangle } from "../../src/clients/localTangle";
+import { channelRoot, createChannel, createMessage } from "../../src/mam/channel";
+import { mamAttach, mamFetch, mamFetchAll } from "../../src/mam/client";
+import type { IMamTransport } from "../../src/models/IMamTransport";
+import { FailoverTransport } from "../../src/transport/failoverTransport";
+import { IndexationTransport } from "../../src/transport/indexationTransport";
+
+/**
+ * Create a transport which fails a number of calls before passing them to another transport.
+ * @param transport The transport to pass the calls to, if undefined the calls never settle.
+ * @param failures The number of calls to fail.
+ * @returns The transport and the names of the calls made.
+ */
+function createFlakyTransport(transport?: IMamTransport, failures: number = Number.MAX_VALUE): {
+    transport: IMamTransport;
+    calls: string[];
+} {
+    const calls: string[] = [];
+    let remaining = failures;
+    const call = async <T>(name: string, pass: (t: IMamTransport) => Promise<T>) => {
+        calls.push(name);
+        if (!transport) {
+            return new Promise<T>(() => { });
+        }
+        if (remaining > 0) {
+            remaining--;
+            throw new Error("Node unavailable");
+        }
+        return pass(transport);
+    };
+
+    return {
+        transport: {
+            submit: async (index, data) => call("submit", async t => t.submit(index, data)),
+            findMessageIds: async index => call("findMessageIds", async t => t.findMessageIds(index)),
+            get: async messageId => call("get", async t => t.get(messageId))
+        },
+        calls
+    };
+}
+
+test("FailoverTransport() fails with no endpoints", () => {
+    expect(() => new FailoverTransport([])).toThrow("At least one endpoint must be provided");
+});
+
+test("FailoverTransport() fails with invalid options", () => {
+    expect(() => new FailoverTransport(["http://localhost"], { retries: -1 }))
+        .toThrow("The retries must be a number of at least 0");
+    expect(() => new FailoverTransport(["http://localhost"], { backoffFactor: 0.5 }))
+        .toThrow("The backoffFactor must be a number of at least 1");
+});
+
+test("mamAttach() and mamFetch() fail over to the next endpoint", async () => {
+    const tangle = new LocalTangle();
+    const failing = createFlakyTransport();
+    const transport = new FailoverTransport([failing.transport, tangle], { timeout: 50, failureThreshold: 1 });
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+
+    await mamAttach(transport, createMessage(channel, "FOO"));
+    expect(failing.calls).toEqual(["submit"]);
+    expect(transport.health()).toEqual([{ healthy: false, failures: 1 }, { healthy: true, failures: 0 }]);
+
+    const fetched = await mamFetch(transport, root, "public");
+    expect(fetched?.message).toBe("FOO");
+    expect(failing.calls).toEqual(["submit"]);
+});
+
+test("FailoverTransport() uses an unhealthy endpoint again after its cooldown", async () => {
+    const tangle = new LocalTangle();
+    const flaky = createFlakyTransport(new IndexationTransport(tangle), 1);
+    const transport = new FailoverTransport([flaky.transport, tangle], { failureThreshold: 1, cooldown: 50 });
+
+    await transport.findMessageIds("A".repeat(81));
+    expect(transport.health()[0].healthy).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await transport.findMessageIds("A".repeat(81));
+    expect(flaky.calls).toEqual(["findMessageIds", "findMessageIds"]);
+    expect(transport.health()).toEqual([{ healthy: true, failures: 0 }, { healthy: true, failures: 0 }]);
+});
+
+test("FailoverTransport() retries reads with backoff once every endpoint has failed", async () => {
+    const tangle = new LocalTangle();
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    await mamAttach(tangle, createMessage(channel, "FOO"));
+    await mamAttach(tangle, createMessage(channel, "BAR"));
+
+    const flaky = createFlakyTransport(new IndexationTransport(tangle), 2);
+    const transport = new FailoverTransport([flaky.transport], { retries: 2, retryDelay: 10 });
+    const fetched = await mamFetchAll(transport, root, "public");
+    expect(fetched.map(f => f.message)).toEqual(["FOO", "BAR"]);
+    expect(flaky.calls.slice(0, 3)).toEqual(["findMessageIds", "findMessageIds", "findMessageIds"]);
+
+    const failing = createFlakyTransport(new IndexationTransport(tangle), 2);
+    const exhausted = new FailoverTransport([failing.transport], { retries: 1, retryDelay: 10 });
+    await expect(exhausted.findMessageIds(root)).rejects.toThrow(
+        `Unable to find the messages for ${root} on any of the endpoints, the last error was: Node unavailable`);
+    expect(failing.calls).toEqual(["findMessageIds", "findMessageIds"]);
+});
+
+test("FailoverTransport() does not retry submits", async () => {
+    const flaky = createFlakyTransport(new IndexationTransport(new LocalTangle()), 1);
+    const transport = new FailoverTransport([flaky.transport], { retries: 2, retryDelay: 10 });
+    const channel = createChannel("A".repeat(81), 1, "public");
+
+    await expect(mamAttach(transport, createMessage(channel, "FOO"))).rejects.toThrow("Node unavailable");
+    expect(flaky.calls).toEqual(["submit"]);
+});
+
+test("FailoverTransport() fails over when an endpoint times out", async () => {
+    const tangle = new LocalTangle();
+    const hanging = createFlakyTransport();
+    const transport = new FailoverTransport([hanging.transport, tangle], { timeout: 50 });
+
+    await expect(transport.findMessageIds("A".repeat(81))).resolves.toEqual([]);
+    expect(hanging.calls).toEqual(["findMessageIds"]);
+    expect(transport.health()[0]).toEqual({ healthy: true, failures: 1 });
+});
+
+test("FailoverTransport() does not fail over or retry when a message is not found", async () => {
+    const tangle = new LocalTangle();
+    const messageId = await tangle.injectMissingMessage("A".repeat(81));
+    const other = createFlakyTransport(new IndexationTransport(tangle), 0);
+    const transport = new FailoverTransport([tangle, other.transport], { retries: 2, retryDelay: 10 });
+    const health = transport.health();
+
+    await expect(transport.get(messageId)).rejects.toThrow(`message not found: ${messageId}`);
+    expect(other.calls).toEqual([]);
+    expect(transport.health()).toEqual(health);
+});
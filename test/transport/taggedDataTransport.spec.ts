@@ -0,0 +1,89 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { LocalTangle } from "../../src/clients/localTangle";
+import { channelRoot, createChannel, createMessage } from "../../src/mam/channel";
+import { decodeMessages, mamAttach, mamFetchAll } from "../../src/mam/client";
+import type { ITaggedDataBlock } from "../../src/models/ITaggedDataBlock";
+import type { ITaggedDataClient } from "../../src/models/ITaggedDataClient";
+import { ITaggedDataPayload, TAGGED_DATA_PAYLOAD_TYPE } from "../../src/models/ITaggedDataPayload";
+import { TaggedDataTransport } from "../../src/transport/taggedDataTransport";
+
+/**
+ * Create a client which stores the blocks in memory, like a node it only accepts
+ * 0x prefixed hex and returns the blocks with the fields added by the node.
+ * @returns The client.
+ */
+function createTaggedDataClient(): ITaggedDataClient {
+    const blocks: ITaggedDataBlock[] = [];
+
+    return {
+        blockSubmit: async (block: { payload: ITaggedDataPayload }) => {
+            if (!block.payload.tag?.startsWith("0x") || !block.payload.data?.startsWith("0x")) {
+                throw new Error("The tag and data must be 0x prefixed hex");
+            }
+            blocks.push({
+                protocolVersion: 2,
+                parents: [`0x${"0".repeat(64)}`],
+                payload: { ...block.payload },
+                nonce: "0"
+            } as ITaggedDataBlock);
+            return (blocks.length - 1).toString();
+        },
+        block: async (blockId: string) => blocks[Number(blockId)],
+        blocksFindByTag: async (tag: string) => blocks
+            .map((b, idx) => ((b.payload as ITaggedDataPayload).tag === tag ? idx.toString() : ""))
+            .filter(id => id.length > 0)
+    };
+}
+
+test("mamAttach() stores a tagged data payload", async () => {
+    const transport = new TaggedDataTransport(createTaggedDataClient());
+    const channel = createChannel("A".repeat(81), 1, "public");
+
+    const attached = await mamAttach(transport, createMessage(channel, "FOO"));
+
+    expect(attached.messageId).toBe("0");
+    expect(attached.message.payload?.type).toBe(TAGGED_DATA_PAYLOAD_TYPE);
+    expect((attached.message.payload as ITaggedDataPayload).tag).toMatch(/^0x[\da-f]{64}$/);
+    expect((attached.message.payload as ITaggedDataPayload).data).toMatch(/^0x[\da-f]+$/);
+});
+
+test("extractData() reads data with or without the 0x prefix", () => {
+    const prefixed = TaggedDataTransport.extractData({ payload: { type: TAGGED_DATA_PAYLOAD_TYPE, data: "0x0102ff" } });
+    const unprefixed = TaggedDataTransport.extractData({ payload: { type: TAGGED_DATA_PAYLOAD_TYPE, data: "0102ff" } });
+
+    expect(prefixed).toEqual(new Uint8Array([1, 2, 255]));
+    expect(unprefixed).toEqual(new Uint8Array([1, 2, 255]));
+});
+
+test("mamFetchAll() reads tagged data payloads", async () => {
+    const transport = new TaggedDataTransport(createTaggedDataClient());
+    const channel = createChannel("A".repeat(81), 1, "restricted", "MYKEY");
+    const root = channelRoot(channel);
+
+    await mamAttach(transport, createMessage(channel, "FOO"), "MYTAG");
+    await mamAttach(transport, createMessage(channel, "BAR"));
+
+    const fetched = await mamFetchAll(transport, root, "restricted", "MYKEY");
+    expect(fetched.map(f => f.message)).toEqual(["FOO", "BAR"]);
+    expect(fetched[0].tag).toBe("MYTAG");
+});
+
+test("decodeMessages() decodes both indexation and tagged data payloads", async () => {
+    const channel = createChannel("A".repeat(81), 1, "public");
+    const root = channelRoot(channel);
+    const first = createMessage(channel, "FOO");
+    const second = createMessage(channel, "BAR");
+
+    const chrysalis = await mamAttach(new LocalTangle(), first);
+    const stardust = await mamAttach(new TaggedDataTransport(createTaggedDataClient()), second);
+
+    const decodedFirst = await decodeMessages([stardust.message, chrysalis.message], root);
+    expect(decodedFirst?.message).toBe("FOO");
+
+    const decodedNext = await decodeMessages([chrysalis.message, stardust.message], channel.nextRoot ?? "");
+    expect(decodedNext).toBeUndefined();
+
+    const decodedStardust = await decodeMessages([chrysalis.message, stardust.message], second.root);
+    expect(decodedStardust?.message).toBe("BAR");
+});
@@ -0,0 +1,100 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { Curl } from "@iota/crypto.js";
+import { MamAbortError } from "../../src/errors/mamAbortError";
+import { createChannel, createMessage } from "../../src/mam/channel";
+import { parseMessage } from "../../src/mam/parser";
+import { Int32HammingDiver } from "../../src/pearlDiver/int32HammingDiver";
+import { TrytesHelper } from "../../src/utils/trytesHelper";
+import { createNonceSearch, createSponge, disableWasm, enableWasm, isWasmEnabled } from "../../src/wasm/wasm";
+
+const SEARCH_TRYTES = "XAL9SMWRVVMYNSIIUVHXH9LBAHYHUWXRRKOTWECQULPRVVHMJXIIHAKPMZZGUFQPJNNAWBRUMZMRLFXNP";
+
+afterEach(() => {
+    disableWasm();
+});
+
+test("enableWasm() returns false when WebAssembly is not available", async () => {
+    const wasm = globalThis.WebAssembly;
+    (globalThis as { WebAssembly?: typeof WebAssembly }).WebAssembly = undefined;
+    try {
+        expect(await enableWasm()).toBe(false);
+        expect(isWasmEnabled()).toBe(false);
+        expect(createSponge(27)).toBeInstanceOf(Curl);
+        expect(createNonceSearch()).toBeInstanceOf(Int32HammingDiver);
+    } finally {
+        globalThis.WebAssembly = wasm;
+    }
+});
+
+test("enableWasm() loads the module", async () => {
+    expect(await enableWasm()).toBe(true);
+    expect(isWasmEnabled()).toBe(true);
+    expect(createSponge(27)).not.toBeInstanceOf(Curl);
+    expect(createNonceSearch()).not.toBeInstanceOf(Int32HammingDiver);
+    disableWasm();
+    expect(isWasmEnabled()).toBe(false);
+    expect(createSponge(27)).toBeInstanceOf(Curl);
+});
+
+test("createSponge() with WebAssembly hashes the same as Curl", async () => {
+    await enableWasm();
+    for (const rounds of [27, 81]) {
+        for (const trytes of ["A", "MESSAGE9ONE", "Z".repeat(81), "9ABC".repeat(200)]) {
+            const trits = TrytesHelper.toTrits(trytes);
+
+            const curl = new Curl(rounds);
+            curl.absorb(trits, 0, trits.length);
+            const expected = new Int8Array(Curl.HASH_LENGTH * 2);
+            curl.squeeze(expected, 0, expected.length);
+
+            const sponge = createSponge(rounds);
+            sponge.absorb(trits, 0, trits.length);
+            const actual = new Int8Array(Curl.HASH_LENGTH * 2);
+            sponge.squeeze(actual, 0, actual.length);
+
+            expect(actual).toEqual(expected);
+            expect(sponge.rate(Curl.STATE_LENGTH)).toEqual(curl.rate(Curl.STATE_LENGTH));
+        }
+    }
+});
+
+test("createSponge() with WebAssembly fails with invalid rounds", async () => {
+    await enableWasm();
+    expect(() => createSponge(30)).toThrow("Illegal number of rounds");
+});
+
+test("createNonceSearch() with WebAssembly returns the same nonces", async () => {
+    await enableWasm();
+    const trits = TrytesHelper.toTrits(SEARCH_TRYTES);
+    const nonceSearch = createNonceSearch();
+    expect(TrytesHelper.fromTrits(nonceSearch.search(trits, 1, 27, 0))).toBe("H9L9SMXRV");
+    expect(TrytesHelper.fromTrits(nonceSearch.search(trits, 2, 27, 0))).toBe("C9L9SMXRV");
+    expect(TrytesHelper.fromTrits(nonceSearch.search(trits, 3, 27, 0))).toBe("DZL9SMYRV");
+});
+
+test("createNonceSearch() with WebAssembly can be aborted", async () => {
+    await enableWasm();
+    const controller = new AbortController();
+    controller.abort();
+    const trits = TrytesHelper.toTrits(SEARCH_TRYTES);
+    expect(() => createNonceSearch().search(trits, 1, 27, 0, { signal: controller.signal })).toThrow(MamAbortError);
+});
+
+test("createMessage() with WebAssembly produces identical payloads", async () => {
+    for (const security of [1, 2, 3]) {
+        const channel = createChannel("A".repeat(81), security, "restricted", "MYKEY", { count: 4 });
+        const wasmChannel = { ...channel };
+
+        const res = createMessage(channel, "MY9MESSAGE");
+        await enableWasm();
+        const wasmRes = createMessage(wasmChannel, "MY9MESSAGE");
+
+        expect(wasmRes).toEqual(res);
+        expect(wasmChannel).toEqual(channel);
+
+        const parsed = parseMessage(wasmRes.payload, wasmRes.root, "MYKEY");
+        expect(parsed.message).toBe("MY9MESSAGE");
+        disableWasm();
+    }
+});
@@ -0,0 +1,201 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import { MamAbortError } from "../../src/errors/mamAbortError";
+import { createChannel, createMessage, createMessageAsync } from "../../src/mam/channel";
+import type { IMamWorkerRequest } from "../../src/models/IMamWorkerRequest";
+import { BrowserWorker } from "../../src/workers/browserWorker";
+import { handleWorkerMessage } from "../../src/workers/workerHandler";
+
+const scripts = ["https://example.com/iota.js", "https://example.com/mam.js"];
+
+/**
+ * Web worker which handles the messages in process, after the current task as a web worker would.
+ */
+class FakeWorker {
+    public static created: FakeWorker[] = [];
+
+    public static paused: boolean = false;
+
+    public readonly url: string;
+
+    public readonly posted: number[] = [];
+
+    public terminated: boolean = false;
+
+    private readonly _listeners: { [type: string]: ((e: unknown) => void)[] } = {};
+
+    private readonly _queued: { id: number; request: IMamWorkerRequest }[] = [];
+
+    constructor(url: string) {
+        this.url = url;
+        FakeWorker.created.push(this);
+    }
+
+    public addEventListener(type: string, listener: (e: unknown) => void): void {
+        this._listeners[type] = [...this._listeners[type] ?? [], listener];
+    }
+
+    public postMessage(data: { id: number; request: IMamWorkerRequest }): void {
+        this.posted.push(data.id);
+        this._queued.push(JSON.parse(JSON.stringify(data)) as typeof data);
+        if (!FakeWorker.paused) {
+            setTimeout(() => this.handleQueued(), 0);
+        }
+    }
+
+    public terminate(): void {
+        this.terminated = true;
+    }
+
+    public emit(type: string, e: unknown): void {
+        for (const listener of this._listeners[type] ?? []) {
+            listener(JSON.parse(JSON.stringify(e)));
+        }
+    }
+
+    private handleQueued(): void {
+        for (const data of this._queued.splice(0)) {
+            if (!this.terminated) {
+                const response = handleWorkerMessage(data, message => this.emit("message", { data: message }));
+                this.emit("message", { data: response });
+            }
+        }
+    }
+}
+
+/**
+ * Wait until the first web worker has been posted a number of requests.
+ * @param count The number of requests.
+ */
+async function waitForPosted(count: number): Promise<void> {
+    for (let i = 0; i < 1000 && (FakeWorker.created[0]?.posted.length ?? 0) < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+}
+
+let blob: jest.Mock;
+
+let revokeObjectURL: jest.SpyInstance;
+
+beforeEach(() => {
+    FakeWorker.created = [];
+    FakeWorker.paused = false;
+    (globalThis as { Worker?: unknown }).Worker = FakeWorker;
+    blob = jest.fn();
+    (globalThis as { Blob?: unknown }).Blob = blob;
+    jest.spyOn(URL, "createObjectURL").mockImplementation(() => `blob:worker-${blob.mock.calls.length}`);
+    revokeObjectURL = jest.spyOn(URL, "revokeObjectURL").mockImplementation(() => { });
+});
+
+afterEach(() => {
+    delete (globalThis as { Worker?: unknown }).Worker;
+    delete (globalThis as { Blob?: unknown }).Blob;
+    jest.restoreAllMocks();
+});
+
+test("BrowserWorker() fails with no scripts", () => {
+    expect(() => new BrowserWorker([])).toThrow("You must provide the scripts to import in the worker");
+});
+
+test("createMessageAsync() in a web worker returns the same message and state as createMessage", async () => {
+    const worker = new BrowserWorker(scripts);
+    try {
+        const channel = createChannel("A".repeat(81), 2, "restricted", "B".repeat(81));
+        const asyncChannel = { ...channel };
+        for (let i = 0; i < 2; i++) {
+            const asyncRes = await createMessageAsync(asyncChannel, "FOO", { worker });
+            expect(asyncRes).toEqual(createMessage(channel, "FOO"));
+            expect(asyncChannel).toEqual(channel);
+        }
+        expect(FakeWorker.created.map(w => w.url)).toEqual(["blob:worker-1"]);
+        expect(blob).toHaveBeenCalledTimes(1);
+        expect(blob.mock.calls[0][0][0]).toContain(
+            "importScripts(\"https://example.com/iota.js\", \"https://example.com/mam.js\");");
+    } finally {
+        await worker.close();
+    }
+});
+
+test("createMessageAsync() in a web worker reports the progress of the nonce search", async () => {
+    const worker = new BrowserWorker(scripts);
+    try {
+        const onProgress = jest.fn();
+        await createMessageAsync(createChannel("A".repeat(81), 2, "public"), "FOO", { worker, onProgress });
+        expect(onProgress).toHaveBeenCalledWith({ iterations: 1, elapsed: expect.any(Number) });
+    } finally {
+        await worker.close();
+    }
+});
+
+test("execute() rejects the request when the progress callback throws", async () => {
+    const worker = new BrowserWorker(scripts);
+    try {
+        const onProgress = () => {
+            throw new Error("Progress failed");
+        };
+        await expect(createMessageAsync(createChannel("A".repeat(81), 2, "public"), "FOO", { worker, onProgress }))
+            .rejects.toThrow("Progress failed");
+        expect(FakeWorker.created[0].terminated).toBe(true);
+    } finally {
+        await worker.close();
+    }
+});
+
+test("execute() terminates the web worker when aborted and sends the other requests to a new web worker", async () => {
+    const worker = new BrowserWorker(scripts);
+    try {
+        const channel = createChannel("A".repeat(81), 2, "public");
+        const before = { ...channel };
+        const otherChannel = createChannel("B".repeat(81), 2, "public");
+        const expected = createMessage({ ...otherChannel }, "BAR");
+        const controller = new AbortController();
+
+        FakeWorker.paused = true;
+        const aborted = createMessageAsync(channel, "FOO", { worker, signal: controller.signal });
+        const completed = createMessageAsync(otherChannel, "BAR", { worker });
+        await waitForPosted(2);
+        FakeWorker.paused = false;
+        controller.abort();
+
+        await expect(aborted).rejects.toThrow(new MamAbortError("The request to the worker was aborted"));
+        expect(channel).toEqual(before);
+        await expect(completed).resolves.toEqual(expected);
+
+        expect(FakeWorker.created.length).toBe(2);
+        expect(FakeWorker.created[0].terminated).toBe(true);
+        expect(FakeWorker.created[0].posted).toEqual([0, 1]);
+        expect(FakeWorker.created[1].posted).toEqual([1]);
+        expect(revokeObjectURL).toHaveBeenCalledWith("blob:worker-1");
+    } finally {
+        await worker.close();
+    }
+});
+
+test("execute() rejects all the pending requests when the web worker fails", async () => {
+    const worker = new BrowserWorker(scripts);
+    try {
+        FakeWorker.paused = true;
+        const first = createMessageAsync(createChannel("A".repeat(81), 2, "public"), "FOO", { worker });
+        const second = createMessageAsync(createChannel("B".repeat(81), 2, "public"), "BAR", { worker });
+        await waitForPosted(2);
+        FakeWorker.created[0].emit("error", { message: "Failed to import the scripts" });
+
+        await expect(first).rejects.toThrow("Failed to import the scripts");
+        await expect(second).rejects.toThrow("Failed to import the scripts");
+    } finally {
+        await worker.close();
+    }
+});
+
+test("close() terminates the web worker, revokes its url and rejects the pending requests", async () => {
+    const worker = new BrowserWorker(scripts);
+    const channel = createChannel("A".repeat(81), 2, "public");
+    FakeWorker.paused = true;
+    const rejected = expect(createMessageAsync(channel, "FOO", { worker })).rejects.toThrow("The worker was closed");
+    await waitForPosted(1);
+    await worker.close();
+    await rejected;
+
+    expect(FakeWorker.created[0].terminated).toBe(true);
+    expect(revokeObjectURL).toHaveBeenCalledWith("blob:worker-1");
+});
@@ -0,0 +1,83 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import path from "path";
+import { MamAbortError } from "../../src/errors/mamAbortError";
+import { createChannel, createMessage, createMessageAsync } from "../../src/mam/channel";
+import { NodeWorker } from "../../src/workers/nodeWorker";
+
+const workerPath = path.join(__dirname, "nodeWorkerThread.js");
+
+test("createMessageAsync() in a worker thread returns the same message and state as createMessage", async () => {
+    const worker = new NodeWorker(workerPath);
+    try {
+        const channel = createChannel("A".repeat(81), 2, "restricted", "B".repeat(81));
+        const asyncChannel = { ...channel };
+        for (let i = 0; i < 2; i++) {
+            const asyncRes = await createMessageAsync(asyncChannel, "FOO", { worker });
+            expect(asyncRes).toEqual(createMessage(channel, "FOO"));
+            expect(asyncChannel).toEqual(channel);
+        }
+    } finally {
+        await worker.close();
+    }
+}, 60000);
+
+test("createMessageAsync() in a worker thread reports the progress of the nonce search", async () => {
+    const worker = new NodeWorker(workerPath);
+    try {
+        const onProgress = jest.fn();
+        await createMessageAsync(createChannel("A".repeat(81), 2, "public"), "FOO", { worker, onProgress });
+        expect(onProgress).toHaveBeenCalledWith({ iterations: 1, elapsed: expect.any(Number) });
+    } finally {
+        await worker.close();
+    }
+}, 60000);
+
+test("execute() terminates the thread when aborted and sends the other requests to a new thread", async () => {
+    const worker = new NodeWorker(workerPath);
+    try {
+        const channel = createChannel("A".repeat(81), 2, "public");
+        const before = { ...channel };
+        const otherChannel = createChannel("B".repeat(81), 2, "public");
+        const expected = createMessage({ ...otherChannel }, "BAR");
+        const controller = new AbortController();
+
+        const aborted = createMessageAsync(channel, "FOO", { worker, signal: controller.signal });
+        const completed = createMessageAsync(otherChannel, "BAR", { worker });
+        controller.abort();
+
+        await expect(aborted).rejects.toThrow(new MamAbortError("The request to the worker was aborted"));
+        expect(channel).toEqual(before);
+        await expect(completed).resolves.toEqual(expected);
+    } finally {
+        await worker.close();
+    }
+}, 60000);
+
+test("execute() rejects the request when the progress callback throws", async () => {
+    const worker = new NodeWorker(workerPath);
+    try {
+        const onProgress = () => {
+            throw new Error("Progress failed");
+        };
+        await expect(createMessageAsync(createChannel("A".repeat(81), 2, "public"), "FOO", { worker, onProgress }))
+            .rejects.toThrow("Progress failed");
+    } finally {
+        await worker.close();
+    }
+}, 60000);
+
+test("execute() rejects the pending requests when the worker is closed", async () => {
+    const worker = new NodeWorker(workerPath);
+    const channel = createChannel("A".repeat(81), 2, "public");
+    const rejected = expect(createMessageAsync(channel, "FOO", { worker })).rejects.toThrow("The worker was closed");
+    await worker.close();
+    await rejected;
+});
+
+test("execute() fails when the worker entry script is missing", async () => {
+    const worker = new NodeWorker(path.join(__dirname, "missing.js"));
+    const channel = createChannel("A".repeat(81), 2, "public");
+    await expect(createMessageAsync(channel, "FOO", { worker })).rejects.toThrow("Cannot find module");
+    await worker.close();
+});
@@ -0,0 +1,5 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+// Run the TypeScript worker entry script in a worker thread for the tests
+require("ts-node").register({ transpileOnly: true, compilerOptions: { module: "commonjs" } });
+require("../../src/workers/nodeWorkerThread.ts");
@@ -0,0 +1,7 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+// The tests run as CommonJS which has no import.meta, so provide the url of the module it replaces
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+exports.workerModuleUrl = pathToFileURL(path.join(__dirname, "../../src/workers/workerModuleUrl.ts")).href;
@@ -0,0 +1,106 @@
+// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+import {
+    channelRoot, channelRootAsync, createChannel, createMessage, createMessageAsync
+} from "../../src/mam/channel";
+import { MerkleTreeCache } from "../../src/merkle/merkleTreeCache";
+import type { IMamWorker } from "../../src/models/IMamWorker";
+import type { IMamWorkerExecuteOptions } from "../../src/models/IMamWorkerExecuteOptions";
+import type { IMamWorkerRequest } from "../../src/models/IMamWorkerRequest";
+import type { IMamWorkerResponse } from "../../src/models/IMamWorkerResponse";
+import { handleWorkerRequest } from "../../src/workers/workerHandler";
+import { MamWorkerPool } from "../../src/workers/workerPool";
+
+/**
+ * Worker which runs the requests in process, cloning the data as it would be between threads.
+ */
+class InProcessWorker implements IMamWorker {
+    public executed: number = 0;
+
+    public closed: boolean = false;
+
+    public async execute(request: IMamWorkerRequest, options?: IMamWorkerExecuteOptions): Promise<IMamWorkerResponse> {
+        this.executed++;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return JSON.parse(JSON.stringify(
+            handleWorkerRequest(JSON.parse(JSON.stringify(request)) as IMamWorkerRequest, options?.onProgress)
+        )) as IMamWorkerResponse;
+    }
+
+    public async close(): Promise<void> {
+        this.closed = true;
+    }
+}
+
+test("MamWorkerPool() fails with invalid size", () => {
+    expect(() => new MamWorkerPool(() => new InProcessWorker(), 0)).toThrow("size must be");
+});
+
+test("MamWorkerPool() fails with invalid factory", () => {
+    expect(() => new MamWorkerPool(undefined as never, 1)).toThrow("factory must be");
+});
+
+test("MamWorkerPool() creates workers only when they are needed", async () => {
+    const workers: InProcessWorker[] = [];
+    const pool = new MamWorkerPool(() => {
+        const worker = new InProcessWorker();
+        workers.push(worker);
+        return worker;
+    }, 3);
+    expect(pool.concurrency).toBe(3);
+
+    const seed = "A".repeat(81);
+    await pool.execute({ type: "generateAddresses", seed, start: 0, count: 1, security: 1 });
+    await pool.execute({ type: "generateAddresses", seed, start: 1, count: 1, security: 1 });
+    expect(workers.length).toBe(1);
+
+    await Promise.all([0, 1, 2, 3].map(async start =>
+        pool.execute({ type: "generateAddresses", seed, start, count: 1, security: 1 })));
+    expect(workers.length).toBe(3);
+    expect(workers.map(w => w.executed)).toEqual([4, 1, 1]);
+
+    await pool.close();
+    expect(workers.every(w => w.closed)).toBe(true);
+});
+
+test("channelRootAsync() returns the same root as channelRoot", async () => {
+    const pool = new MamWorkerPool(() => new InProcessWorker(), 3);
+    for (const count of [1, 2, 4, 8]) {
+        const channelState = createChannel("A".repeat(81), 1, "public", undefined, { count });
+        expect(await channelRootAsync(channelState, pool)).toBe(channelRoot(channelState));
+    }
+    await pool.close();
+});
+
+test("channelRootAsync() returns the same root with a single worker", async () => {
+    const channelState = createChannel("B".repeat(81), 2, "public", undefined, { count: 4 });
+    expect(await channelRootAsync(channelState, new InProcessWorker())).toBe(channelRoot(channelState));
+});
+
+test("MerkleTreeCache prepareAsync() creates the same messages as createMessage", async () => {
+    const pool = new MamWorkerPool(() => new InProcessWorker(), 4);
+    const channelState = createChannel("A".repeat(81), 1, "restricted", "MYKEY", { count: 4 });
+    const cachedState = { ...channelState };
+
+    const treeCache = new MerkleTreeCache();
+    await treeCache.prepareAsync(cachedState, pool);
+    expect(treeCache.size).toBe(2);
+
+    expect(createMessage(cachedState, "FOO", { treeCache })).toEqual(createMessage(channelState, "FOO"));
+    expect(treeCache.size).toBe(2);
+    expect(createMessage(cachedState, "BAR", { treeCache })).toEqual(createMessage(channelState, "BAR"));
+    expect(cachedState).toEqual(channelState);
+    await pool.close();
+});
+
+test("MamWorkerPool() passes the options to the worker", async () => {
+    const pool = new MamWorkerPool(() => new InProcessWorker(), 2);
+    const channel = createChannel("A".repeat(81), 2, "public");
+    const asyncChannel = { ...channel };
+    const onProgress = jest.fn();
+
+    expect(await createMessageAsync(asyncChannel, "FOO", { worker: pool, onProgress }))
+        .toEqual(createMessage(channel, "FOO"));
+    expect(onProgress).toHaveBeenCalled();
+    await pool.close();
+});
@@ -0,0 +1,40 @@
+const fs = require("fs").promises;
+const path = require("path");
+const wabt = require("wabt");
+
+async function run(watFile, tsFile) {
+    console.log("Source", path.resolve(watFile));
+
+    const wat = await fs.readFile(watFile, "utf-8");
+    const wabtModule = await wabt();
+    const parsed = wabtModule.parseWat(path.basename(watFile), wat);
+    parsed.validate();
+    const { buffer } = parsed.toBinary({});
+    parsed.destroy();
+
+    const base64 = Buffer.from(buffer).toString("base64");
+    const lines = base64.match(/.{1,100}/g).map(l => `    "${l}"`).join(" +\n");
+
+    const content = `// Copyright 2021 IOTA Stiftung
+// SPDX-License-Identifier: Apache-2.0
+// This file is generated from curl.wat by running npm run build-wasm, do not edit it.
+
+/**
+ * The compiled WebAssembly module for the Curl transform and nonce search, base64 encoded.
+ * @internal
+ */
+export const CURL_WASM: string =
+${lines};
+`;
+
+    await fs.writeFile(tsFile, content, "utf-8");
+    console.log("Generated", path.resolve(tsFile), buffer.length, "bytes");
+}
+
+console.error("WASM Module");
+run("./src/wasm/curl.wat", "./src/wasm/curlWasmModule.ts")
+    .then(() => console.log("Done"))
+    .catch(e => {
+        console.error(e);
+        process.exit(1);
+    });